@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+// Command-line runner: Benchmark All over text files, reported as JSON or CSV.
+//
+//   npm run cli -- corpus/ -p needle -p haystack -a kmp,boyer-moore -f csv
+//
+// JSON output is one exported run per input file, the same file "Export run" writes,
+// so the web app's "Import run" shows it in the benchmark charts.
+import { readFile, readdir, stat, writeFile, mkdir } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { ALGORITHM_IDS } from '../src/lib/engine.js';
+import { DEFAULT_BENCHMARK, SWEEP_SIZES } from '../src/lib/benchmark.js';
+import { PATTERN_SYNTAXES } from '../src/lib/regex.js';
+import { UNICODE_UNITS, NORMALIZATIONS } from '../src/lib/unicode.js';
+import { benchmarkText, batchRunJson, batchMetricsCsv, batchMatchesCsv } from '../src/lib/batch.js';
+import { CORPUS_EXTENSIONS } from '../src/lib/corpus.js';
+
+const USAGE = `Usage: string-viz-lab <file or directory>... -p <pattern> [options]
+
+Benchmarks the matchers on every file and reports matches and metrics.
+Directories are searched recursively for files with the --ext extensions.
+
+  -p, --pattern <text>        pattern to search for; repeat for several
+  -a, --algorithms <ids>      comma-separated algorithm ids (default: all)
+                              ${ALGORITHM_IDS.join(', ')}
+  -f, --format <json|csv>     json: one exported run per file, one per line (default)
+                              csv: one row per file and algorithm
+      --matches               with csv: one row per match instead
+  -o, --output <path>         csv: write to this file
+                              json: write one <name>.run.json per file into this directory
+  -i, --case-insensitive
+  -k, --max-errors <n>        errors allowed by the approximate matchers (default 1)
+      --syntax <name>         ${Object.keys(PATTERN_SYNTAXES).join(', ')} (default literal)
+      --unit <name>           code-unit, ${Object.keys(UNICODE_UNITS).join(', ')} (default code-unit)
+      --normalization <name>  ${Object.keys(NORMALIZATIONS).join(', ')} (default none)
+      --warmup <n>            discarded runs per algorithm (default ${DEFAULT_BENCHMARK.warmup})
+      --repetitions <n>       timed runs per algorithm (default ${DEFAULT_BENCHMARK.repetitions})
+      --sweep <name>          none, ${Object.keys(SWEEP_SIZES).join(', ')} (default none)
+      --ext <list>            extensions read from directories (default ${CORPUS_EXTENSIONS.join(',')})
+  -h, --help
+`;
+
+class UsageError extends Error {}
+
+const integer = (value, name, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new UsageError(`--${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+};
+
+const oneOf = (value, name, allowed) => {
+  if (!allowed.includes(value)) throw new UsageError(`--${name} must be one of ${allowed.join(', ')}`);
+  return value;
+};
+
+const parseCommandLine = (args) => {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      pattern: { type: 'string', short: 'p', multiple: true, default: [] },
+      algorithms: { type: 'string', short: 'a', default: 'all' },
+      format: { type: 'string', short: 'f', default: 'json' },
+      matches: { type: 'boolean', default: false },
+      output: { type: 'string', short: 'o' },
+      'case-insensitive': { type: 'boolean', short: 'i', default: false },
+      'max-errors': { type: 'string', short: 'k', default: '1' },
+      syntax: { type: 'string', default: 'literal' },
+      unit: { type: 'string', default: 'code-unit' },
+      normalization: { type: 'string', default: 'none' },
+      warmup: { type: 'string', default: String(DEFAULT_BENCHMARK.warmup) },
+      repetitions: { type: 'string', default: String(DEFAULT_BENCHMARK.repetitions) },
+      sweep: { type: 'string', default: 'none' },
+      ext: { type: 'string', default: CORPUS_EXTENSIONS.join(',') },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (values.help) return { help: true };
+
+  if (positionals.length === 0) throw new UsageError('Give at least one file or directory');
+  const patterns = values.pattern.filter(pattern => pattern.length > 0);
+  if (patterns.length === 0) throw new UsageError('Give at least one non-empty --pattern');
+
+  const syntax = oneOf(values.syntax, 'syntax', Object.keys(PATTERN_SYNTAXES));
+  if (syntax !== 'literal' && patterns.length > 1) throw new UsageError(`A ${syntax} search takes a single --pattern`);
+
+  const algorithmIds = values.algorithms === 'all' ? ALGORITHM_IDS : values.algorithms.split(',').map(id => id.trim());
+  const unknown = algorithmIds.filter(id => !ALGORITHM_IDS.includes(id));
+  if (unknown.length > 0) throw new UsageError(`Unknown algorithm ${unknown.join(', ')}; use one of ${ALGORITHM_IDS.join(', ')}`);
+
+  const unit = oneOf(values.unit, 'unit', ['code-unit', ...Object.keys(UNICODE_UNITS)]);
+  return {
+    inputs: positionals,
+    patterns,
+    algorithmIds,
+    format: oneOf(values.format, 'format', ['json', 'csv']),
+    matches: values.matches,
+    output: values.output,
+    caseInsensitive: values['case-insensitive'],
+    options: {
+      maxErrors: integer(values['max-errors'], 'max-errors', 0, 10),
+      patternSyntax: syntax,
+      unicode: unit === 'code-unit'
+        ? null
+        : { unit, normalization: oneOf(values.normalization, 'normalization', Object.keys(NORMALIZATIONS)) }
+    },
+    settings: {
+      warmup: integer(values.warmup, 'warmup', 0, 20),
+      repetitions: integer(values.repetitions, 'repetitions', 1, 100),
+      sweep: oneOf(values.sweep, 'sweep', ['none', ...Object.keys(SWEEP_SIZES)])
+    },
+    extensions: values.ext.split(',').map(ext => ext.trim().toLowerCase()).filter(Boolean)
+  };
+};
+
+// Files are taken as given; directories contribute their matching files, in name order
+const collectFiles = async (paths, extensions) => {
+  const files = [];
+  const walk = async (dir) => {
+    const entries = await readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) await walk(path);
+      else if (entry.isFile() && extensions.includes(extname(entry.name).toLowerCase())) files.push(path);
+    }
+  };
+  for (const path of paths) {
+    if ((await stat(path)).isDirectory()) await walk(path);
+    else files.push(path);
+  }
+  return files;
+};
+
+const main = async () => {
+  const config = parseCommandLine(process.argv.slice(2));
+  if (config.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const files = await collectFiles(config.inputs, config.extensions);
+  if (files.length === 0) throw new UsageError('No input files found');
+
+  const runs = [];
+  for (const [index, file] of files.entries()) {
+    process.stderr.write(`[${index + 1}/${files.length}] ${file}\n`);
+    const run = await benchmarkText({ ...config, file, text: await readFile(file, 'utf8') });
+    if (run.skipped.length > 0) {
+      process.stderr.write(`  skipped ${run.skipped.join(', ')}: they cannot search for these patterns\n`);
+    }
+    runs.push(run);
+  }
+
+  if (config.format === 'csv') {
+    const csv = config.matches ? batchMatchesCsv(runs) : batchMetricsCsv(runs);
+    if (config.output) await writeFile(config.output, csv);
+    else process.stdout.write(csv);
+    return;
+  }
+
+  if (config.output) {
+    await mkdir(config.output, { recursive: true });
+    // Files with the same name in different directories are told apart by their index
+    const names = new Set();
+    for (const [index, run] of runs.entries()) {
+      let name = `${basename(run.file, extname(run.file))}.run.json`;
+      if (names.has(name)) name = `${basename(run.file, extname(run.file))}-${index + 1}.run.json`;
+      names.add(name);
+      await writeFile(join(config.output, name), batchRunJson(run));
+    }
+  } else {
+    runs.forEach(run => process.stdout.write(`${batchRunJson(run)}\n`));
+  }
+};
+
+// A reader that stops early (| head) closes the pipe; that ends the output, not the run
+process.stdout.on('error', error => {
+  if (error.code === 'EPIPE') process.exit(0);
+  throw error;
+});
+
+main().catch(error => {
+  process.stderr.write(`string-viz-lab: ${error.message}\n`);
+  if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+    process.stderr.write('Run with --help for usage\n');
+    process.exitCode = 2;
+  } else {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,107 @@
+import { useLayoutEffect, useRef } from 'react';
+import { cn } from '@/lib/utils';
+import { alignStep, range } from '@/lib/timeline';
+
+const CELL_WIDTH = 24;
+const WINDOW_CHUNK = 100;
+const WINDOW_MARGIN = 20;
+
+// text and pattern are strings, or unit arrays from a Unicode-mode run
+export default function AlignmentView({ text, pattern, step, algorithm }) {
+  const scrollRef = useRef(null);
+  const alignment = alignStep(algorithm, step, pattern.length);
+  // Regex matches set their own span and show the matched text in the pattern row
+  const span = alignment?.span ?? pattern.length;
+  const patternCell = (k) => (alignment?.span === undefined ? pattern[k] : text[alignment.offset + k]);
+
+  // Only a bounded slice of the text is drawn; it moves in chunks so most shifts animate
+  const offset = alignment?.offset ?? 0;
+  const windowStart = Math.max(0, Math.floor((offset - WINDOW_MARGIN) / WINDOW_CHUNK) * WINDOW_CHUNK);
+  const windowEnd = Math.min(text.length, windowStart + 2 * WINDOW_CHUNK + span);
+
+  const hasAlignment = alignment !== null;
+
+  useLayoutEffect(() => {
+    const container = scrollRef.current;
+    if (!container || !hasAlignment) return;
+    const left = (offset - windowStart) * CELL_WIDTH;
+    const right = left + span * CELL_WIDTH;
+    if (left < container.scrollLeft || right > container.scrollLeft + container.clientWidth) {
+      container.scrollTo({ left: Math.max(left - 4 * CELL_WIDTH, 0), behavior: 'smooth' });
+    }
+  }, [offset, windowStart, span, hasAlignment]);
+
+  if (!hasAlignment) return null;
+
+  const cellState = (patternIndex) => {
+    if (alignment.compared?.index === patternIndex) return alignment.compared.result;
+    if (alignment.matched.includes(patternIndex)) return 'match';
+    return 'window';
+  };
+
+  const textStates = {};
+  range(0, span).forEach(k => {
+    textStates[offset + k] = cellState(k);
+  });
+
+  const cellClass = (state, isCompared) => cn(
+    'flex items-center justify-center shrink-0 rounded-sm border transition-smooth',
+    state === 'match' && 'bg-success/40 border-success',
+    state === 'mismatch' && 'bg-destructive/40 border-destructive',
+    state === 'window' && 'bg-primary/10 border-primary/40',
+    !state && 'border-transparent',
+    isCompared && 'ring-2 ring-primary'
+  );
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-xs text-muted-foreground">
+        <span>Alignment</span>
+        <span>offset {offset}</span>
+      </div>
+      <div ref={scrollRef} className="p-3 bg-secondary rounded-lg overflow-x-auto">
+        <div className="relative font-mono text-sm" style={{ width: (windowEnd - windowStart) * CELL_WIDTH }}>
+          {/* Text indices */}
+          <div className="flex text-[10px] text-muted-foreground">
+            {range(windowStart, windowEnd).map(i => (
+              <div key={i} className="shrink-0 text-center" style={{ width: CELL_WIDTH }}>
+                {i % 5 === 0 ? i : ''}
+              </div>
+            ))}
+          </div>
+
+          {/* Text row */}
+          <div className="flex">
+            {range(windowStart, windowEnd).map(i => (
+              <div
+                key={i}
+                className={cellClass(textStates[i], alignment.compared && offset + alignment.compared.index === i)}
+                style={{ width: CELL_WIDTH, height: CELL_WIDTH }}
+              >
+                {text[i]}
+              </div>
+            ))}
+          </div>
+
+          {/* Pattern row, slid under the text */}
+          <div className="relative mt-1 overflow-hidden" style={{ height: CELL_WIDTH }}>
+            <div
+              className="absolute top-0 left-0 flex transition-transform duration-300 ease-out"
+              style={{ transform: `translateX(${(offset - windowStart) * CELL_WIDTH}px)` }}
+            >
+              {range(0, span).map(k => (
+                <div
+                  key={k}
+                  className={cellClass(cellState(k), alignment.compared?.index === k)}
+                  style={{ width: CELL_WIDTH, height: CELL_WIDTH }}
+                >
+                  {patternCell(k)}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
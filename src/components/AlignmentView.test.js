@@ -0,0 +1,69 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { pathToFileURL, fileURLToPath } from 'node:url';
+import { build } from 'esbuild';
+import { algorithms } from '../lib/matchers.js';
+import { alignStep } from '../lib/timeline.js';
+
+// Components are JSX with '@/' imports, so the view is bundled the way Vite would and
+// server-rendered; a missing helper or a render-time throw fails here
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+
+const bundleRenderer = async (component) => {
+  const dir = await mkdtemp(join(ROOT, 'node_modules', '.render-'));
+  const outfile = join(dir, 'render.mjs');
+  try {
+    await build({
+      stdin: {
+        contents: `
+          import { createElement } from 'react';
+          import { renderToStaticMarkup } from 'react-dom/server';
+          import Component from '@/components/${component}';
+          export const render = (props) => renderToStaticMarkup(createElement(Component, props));
+        `,
+        resolveDir: ROOT,
+        loader: 'jsx'
+      },
+      bundle: true,
+      format: 'esm',
+      platform: 'node',
+      jsx: 'automatic',
+      loader: { '.js': 'jsx' },
+      tsconfig: join(ROOT, 'tsconfig.json'),
+      external: ['react', 'react-dom'],
+      outfile,
+      logLevel: 'silent'
+    });
+    return (await import(pathToFileURL(outfile).href)).render;
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+};
+
+describe('AlignmentView', () => {
+  let render;
+  before(async () => {
+    render = await bundleRenderer('AlignmentView');
+  });
+
+  it('renders every step of a trace', () => {
+    const text = 'abababcabab';
+    ['kmp', 'boyer-moore', 'z-algorithm'].forEach(algorithm => {
+      algorithms[algorithm].func(text, 'abab').detailedSteps.forEach(step => {
+        const html = render({ text, pattern: 'abab', step, algorithm });
+        // Steps without a text alignment render nothing
+        if (alignStep(algorithm, step, 4)) assert.ok(html.includes('Alignment'), `${algorithm}: ${step.type}`);
+        else assert.equal(html, '');
+      });
+    });
+  });
+
+  it('renders a regex match and a step without alignment', () => {
+    const { detailedSteps } = algorithms['thompson-nfa'].func('xaab', 'a+b', false, { patternSyntax: 'regex' });
+    const found = detailedSteps.find(step => step.type === 'found');
+    assert.ok(render({ text: 'xaab', pattern: 'a+b', step: found, algorithm: 'thompson-nfa' }).length > 0);
+    assert.doesNotThrow(() => render({ text: 'xaab', pattern: 'a+b', step: null, algorithm: 'kmp' }));
+  });
+});
@@ -0,0 +1,187 @@
+import { Badge } from '@/components/ui/badge';
+
+const NODE_RADIUS = 14;
+const LEVEL_HEIGHT = 70;
+const COLUMN_WIDTH = 48;
+
+// Leaves get consecutive columns, inner states sit above the middle of their children
+const layoutTrie = (automaton) => {
+  const positions = {};
+  let column = 0;
+
+  const place = (id) => {
+    const children = Object.keys(automaton[id].children).sort().map(char => automaton[id].children[char]);
+    if (children.length === 0) {
+      positions[id] = { x: column++, y: automaton[id].depth };
+    } else {
+      children.forEach(place);
+      const xs = children.map(child => positions[child].x);
+      positions[id] = { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: automaton[id].depth };
+    }
+  };
+  place(0);
+
+  const depth = Math.max(...automaton.map(node => node.depth));
+  return {
+    positions,
+    width: Math.max(column, 1) * COLUMN_WIDTH,
+    height: (depth + 1) * LEVEL_HEIGHT
+  };
+};
+
+const toPoint = ({ x, y }) => ({
+  x: x * COLUMN_WIDTH + COLUMN_WIDTH / 2,
+  y: y * LEVEL_HEIGHT + LEVEL_HEIGHT / 2
+});
+
+// Curved link between two states so failure/output links don't hide trie edges
+const linkPath = (from, to, bend) => {
+  const midX = (from.x + to.x) / 2 + bend;
+  const midY = (from.y + to.y) / 2;
+  return `M ${from.x} ${from.y} Q ${midX} ${midY} ${to.x} ${to.y}`;
+};
+
+export default function AutomatonView({ automaton, patterns, activeState, outputState }) {
+  if (!automaton || automaton.length === 0) return null;
+
+  const { positions, width, height } = layoutTrie(automaton);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium">Aho-Corasick Automaton</h4>
+        <div className="flex gap-3 text-xs text-muted-foreground">
+          <span className="flex items-center gap-1">
+            <span className="w-4 border-t-2 border-foreground inline-block" /> trie
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="w-4 border-t-2 border-dashed border-muted-foreground inline-block" /> failure
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="w-4 border-t-2 border-dotted border-warning inline-block" /> output
+          </span>
+        </div>
+      </div>
+
+      <div className="p-4 bg-secondary rounded-lg overflow-auto max-h-96">
+        <svg width={width} height={height} className="font-mono text-xs">
+          <defs>
+            <marker id="ac-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="hsl(var(--muted-foreground))" />
+            </marker>
+          </defs>
+
+          {/* Failure links (links to the root are implied and omitted) */}
+          {automaton.filter(node => node.id !== 0 && node.fail !== 0).map(node => (
+            <path
+              key={`fail-${node.id}`}
+              d={linkPath(toPoint(positions[node.id]), toPoint(positions[node.fail]), 24)}
+              fill="none"
+              stroke="hsl(var(--muted-foreground))"
+              strokeDasharray="4 3"
+              markerEnd="url(#ac-arrow)"
+              opacity={node.id === activeState ? 1 : 0.5}
+            />
+          ))}
+
+          {/* Output links */}
+          {automaton.filter(node => node.outputLink !== null).map(node => (
+            <path
+              key={`out-${node.id}`}
+              d={linkPath(toPoint(positions[node.id]), toPoint(positions[node.outputLink]), -24)}
+              fill="none"
+              stroke="hsl(var(--warning))"
+              strokeDasharray="1 3"
+              strokeWidth={2}
+              markerEnd="url(#ac-arrow)"
+            />
+          ))}
+
+          {/* Trie edges */}
+          {automaton.filter(node => node.parent !== null).map(node => {
+            const from = toPoint(positions[node.parent]);
+            const to = toPoint(positions[node.id]);
+            return (
+              <g key={`edge-${node.id}`}>
+                <line x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke="hsl(var(--foreground))" strokeWidth={1.5} />
+                <text
+                  x={(from.x + to.x) / 2 - 8}
+                  y={(from.y + to.y) / 2}
+                  fill="hsl(var(--primary))"
+                  textAnchor="middle"
+                >
+                  {node.char}
+                </text>
+              </g>
+            );
+          })}
+
+          {/* States */}
+          {automaton.map(node => {
+            const { x, y } = toPoint(positions[node.id]);
+            const isActive = node.id === activeState;
+            const isOutput = node.id === outputState;
+            return (
+              <g key={`node-${node.id}`}>
+                <title>
+                  {`State ${node.id} "${node.prefix}"\nfail → ${node.fail}` +
+                    (node.outputLink !== null ? `\noutput → ${node.outputLink}` : '') +
+                    (node.output.length > 0 ? `\nends: ${node.output.map(i => patterns[i]).join(', ')}` : '')}
+                </title>
+                <circle
+                  cx={x}
+                  cy={y}
+                  r={NODE_RADIUS}
+                  fill={isActive ? 'hsl(var(--primary))' : isOutput ? 'hsl(var(--warning))' : 'hsl(var(--card))'}
+                  stroke={node.output.length > 0 ? 'hsl(var(--success))' : 'hsl(var(--border))'}
+                  strokeWidth={node.output.length > 0 ? 3 : 1.5}
+                  className="transition-smooth"
+                />
+                <text
+                  x={x}
+                  y={y + 4}
+                  textAnchor="middle"
+                  fill={isActive ? 'hsl(var(--primary-foreground))' : 'hsl(var(--foreground))'}
+                >
+                  {node.id}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      {/* State table */}
+      <div className="max-h-48 overflow-auto rounded-lg border">
+        <table className="w-full text-xs font-mono">
+          <thead className="bg-muted sticky top-0">
+            <tr>
+              <th className="p-2 text-left">State</th>
+              <th className="p-2 text-left">Prefix</th>
+              <th className="p-2 text-left">Fail</th>
+              <th className="p-2 text-left">Output link</th>
+              <th className="p-2 text-left">Ends</th>
+            </tr>
+          </thead>
+          <tbody>
+            {automaton.map(node => (
+              <tr key={node.id} className={node.id === activeState ? 'bg-primary/20' : ''}>
+                <td className="p-2">{node.id}</td>
+                <td className="p-2">{node.prefix || 'ε'}</td>
+                <td className="p-2">{node.id === 0 ? '—' : node.fail}</td>
+                <td className="p-2">{node.outputLink ?? '—'}</td>
+                <td className="p-2">
+                  <div className="flex flex-wrap gap-1">
+                    {node.output.map(i => (
+                      <Badge key={i} variant="outline" className="text-xs">{patterns[i]}</Badge>
+                    ))}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer } from 'recharts';
+
+export const CHART_COLORS = [
+  'hsl(var(--primary))',
+  'hsl(var(--accent))',
+  'hsl(var(--success))',
+  'hsl(var(--warning))',
+  'hsl(var(--info))',
+  'hsl(var(--destructive))',
+  'hsl(280 80% 65%)',
+  'hsl(330 80% 65%)',
+  'hsl(60 80% 55%)'
+];
+
+const SWEEP_LABELS = {
+  text: 'Text length',
+  pattern: 'Pattern length'
+};
+
+// Runtime and comparison curves per algorithm over a text- or pattern-length sweep
+export default function BenchmarkCurves({ sweep, algorithms }) {
+  if (!sweep || sweep.curve.length === 0) return null;
+
+  const keys = Object.keys(algorithms).filter(alg => sweep.curve.some(row => row[alg] !== undefined));
+
+  const renderChart = (title, suffix) => (
+    <div>
+      <h4 className="text-sm font-medium mb-3">{title}</h4>
+      <ResponsiveContainer width="100%" height={220}>
+        <LineChart data={sweep.curve}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="size" label={{ value: SWEEP_LABELS[sweep.dimension], position: 'insideBottom', offset: -2 }} />
+          <YAxis />
+          <RechartsTooltip />
+          <Legend />
+          {keys.map((alg, index) => (
+            <Line
+              key={alg}
+              type="monotone"
+              dataKey={`${alg}${suffix}`}
+              name={algorithms[alg].name}
+              stroke={CHART_COLORS[index % CHART_COLORS.length]}
+              dot={false}
+              connectNulls
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {renderChart('Median runtime (ms) vs ' + SWEEP_LABELS[sweep.dimension].toLowerCase(), '')}
+      {renderChart('Comparisons vs ' + SWEEP_LABELS[sweep.dimension].toLowerCase(), '_comparisons')}
+    </div>
+  );
+}
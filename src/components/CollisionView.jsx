@@ -0,0 +1,84 @@
+import { Badge } from '@/components/ui/badge';
+import { XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, BarChart, Bar, Cell } from 'recharts';
+import { HASH_SCHEMES } from '@/lib/hashing';
+
+const formatRate = (rate) => {
+  if (rate === 0) return '0%';
+  if (rate < 1e-4) return rate.toExponential(1);
+  return `${(rate * 100).toFixed(2)}%`;
+};
+
+// Rabin-Karp collision analytics for one run: how often equal hashes turned out to be
+// different windows, set against what a uniform hash over the modulus would give,
+// and how the window hashes spread over the hash space
+export default function CollisionView({ hashing }) {
+  const verified = hashing.hashHits - hashing.spuriousHits;
+  const histogram = hashing.histogram.map((count, bucket) => ({ bucket: bucket + 1, count }));
+
+  return (
+    <div className="p-4 bg-secondary rounded-lg space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-medium">Hash collisions</span>
+        <Badge variant="outline">{HASH_SCHEMES[hashing.scheme]} · {hashing.label}</Badge>
+        <Badge variant="outline">base {hashing.scheme === 'double' ? `${hashing.base} / ${hashing.base2}` : hashing.base}</Badge>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        <div>
+          <div className="text-muted-foreground text-xs">Windows hashed</div>
+          <div className="font-mono">{hashing.windows}</div>
+        </div>
+        <div>
+          <div className="text-muted-foreground text-xs">Hash hits (verified / spurious)</div>
+          <div className="font-mono">{hashing.hashHits} ({verified} / {hashing.spuriousHits})</div>
+        </div>
+        <div>
+          <div className="text-muted-foreground text-xs">Spurious-hit rate (uniform hash)</div>
+          <div className="font-mono">
+            {formatRate(hashing.spuriousRate)}
+            <span className="text-muted-foreground"> ({formatRate(hashing.expectedRate)})</span>
+          </div>
+        </div>
+        <div>
+          <div className="text-muted-foreground text-xs">Distinct window hashes</div>
+          <div className="font-mono">{hashing.distinct}{hashing.distinctCapped && '+'}</div>
+        </div>
+      </div>
+
+      <div>
+        <h4 className="text-xs text-muted-foreground mb-2">
+          Window hashes per bucket of the hash space (the pattern's bucket highlighted)
+        </h4>
+        <ResponsiveContainer width="100%" height={160}>
+          <BarChart data={histogram}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="bucket" />
+            <YAxis allowDecimals={false} />
+            <RechartsTooltip />
+            <Bar dataKey="count" name="windows">
+              {histogram.map(({ bucket }) => (
+                <Cell
+                  key={bucket}
+                  fill={bucket - 1 === hashing.patternBucket ? 'hsl(var(--accent))' : 'hsl(var(--primary))'}
+                />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      {hashing.topValues.length > 0 && (
+        <div>
+          <h4 className="text-xs text-muted-foreground mb-2">Most frequent window hashes</h4>
+          <div className="flex flex-wrap gap-1">
+            {hashing.topValues.map(({ value, count }) => (
+              <Badge key={value} variant="outline" className="font-mono text-xs">
+                {value} × {count} ({formatRate(count / hashing.windows)})
+              </Badge>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
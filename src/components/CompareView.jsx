@@ -0,0 +1,297 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Slider } from '@/components/ui/slider';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Play, Pause, ChevronLeft, ChevronRight, X, Link2 } from 'lucide-react';
+import { XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, LineChart, Line, ReferenceLine, Legend } from 'recharts';
+import { useToast } from '@/hooks/use-toast';
+import { useMatcherWorker } from '@/hooks/use-matcher-worker';
+import { algorithms, supportsPatterns, describeStep } from '@/lib/engine';
+import { buildMergedTimeline } from '@/lib/timeline';
+import { searchTimeout } from '@/lib/plugins';
+import AlignmentView from '@/components/AlignmentView';
+
+const SIDES = ['left', 'right'];
+const CHART_POINTS = 400;
+const PLAY_INTERVAL = 300;
+
+// One frame per lockstep position: the step index each side is showing (-1 before its first step).
+// By step count both traces advance together; by text position the traces are merged on
+// window offset so both sides sit over the same part of the text.
+const buildFrames = (runs, alignBy) => {
+  const { left, right } = runs;
+  if (alignBy === 'step') {
+    const length = Math.max(left.detailedSteps.length, right.detailedSteps.length);
+    return Array.from({ length }, (_, k) => ({
+      left: Math.min(k, left.detailedSteps.length - 1),
+      right: Math.min(k, right.detailedSteps.length - 1)
+    }));
+  }
+
+  const current = { left: -1, right: -1 };
+  return buildMergedTimeline(runs).map(step => {
+    current[step.patternKey] = step.sourceIndex;
+    return { ...current };
+  });
+};
+
+const comparisonsAt = (run, index) => (index < 0 ? 0 : run.detailedSteps[index].comparisons ?? 0);
+
+// Two algorithms on the same text and pattern, stepped in lockstep, with a running
+// count of which one has made fewer character comparisons so far. `initial` comes from a
+// shared link ({ left, right, alignBy, frame }) and runs the comparison straight away.
+export default function CompareView({ text, pattern, caseInsensitive, options, onClose, initial, onShare }) {
+  const [choice, setChoice] = useState(initial ? { left: initial.left, right: initial.right } : { left: 'kmp', right: 'boyer-moore' });
+  const [alignBy, setAlignBy] = useState(initial?.alignBy ?? 'position');
+  const [runs, setRuns] = useState(null);
+  const [cursor, setCursor] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const { toast } = useToast();
+  const worker = useMatcherWorker();
+
+  const frames = useMemo(() => (runs ? buildFrames(runs, alignBy) : []), [runs, alignBy]);
+  const frame = frames[Math.min(cursor, frames.length - 1)];
+
+  const counts = useMemo(() => frames.map(f => ({
+    left: comparisonsAt(runs.left, f.left),
+    right: comparisonsAt(runs.right, f.right)
+  })), [frames, runs]);
+
+  // Frames where the side with fewer comparisons changes
+  const leadChanges = useMemo(() => {
+    const changes = [];
+    let leader = 0;
+    counts.forEach(({ left, right }, index) => {
+      const next = Math.sign(right - left);
+      if (next !== 0 && next !== leader) {
+        if (leader !== 0) changes.push(index);
+        leader = next;
+      }
+    });
+    return changes;
+  }, [counts]);
+
+  const chartData = useMemo(() => {
+    const stride = Math.max(1, Math.ceil(counts.length / CHART_POINTS));
+    return counts
+      .filter((_, index) => index % stride === 0 || index === counts.length - 1)
+      .map((count, i) => ({ frame: Math.min(i * stride, counts.length - 1), ...count }));
+  }, [counts]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (cursor >= frames.length - 1) {
+      setIsPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setCursor(cursor + 1), PLAY_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [isPlaying, cursor, frames.length]);
+
+  useEffect(() => {
+    if (initial) runBoth(initial.frame);
+  }, []);
+
+  const runBoth = async (startFrame = 0) => {
+    if (!text || !pattern) return;
+    const unsupported = SIDES.map(side => choice[side]).find(alg => !supportsPatterns(alg, [pattern], options));
+    if (unsupported) {
+      toast({ title: "Comparison failed", description: `${algorithms[unsupported].name} does not support this pattern`, variant: "destructive" });
+      return;
+    }
+    const request = (algorithm) => ({
+      source: { text },
+      patterns: [pattern],
+      algorithm,
+      caseInsensitive,
+      options
+    });
+
+    try {
+      const left = await worker.run('search', request(choice.left), { timeout: searchTimeout(choice.left) });
+      const right = await worker.run('search', request(choice.right), { timeout: searchTimeout(choice.right) });
+      const next = { left: left.pattern_0, right: right.pattern_0 };
+      setRuns(next);
+      setCursor(Math.max(0, Math.min(startFrame, buildFrames(next, alignBy).length - 1)));
+      setIsPlaying(false);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      toast({ title: "Comparison failed", description: error.message, variant: "destructive" });
+    }
+  };
+
+  const current = frame && counts[Math.min(cursor, counts.length - 1)];
+  const difference = current ? current.left - current.right : 0;
+  const nameOf = (side) => algorithms[runs?.[side].algorithm ?? choice[side]].name;
+
+  const renderSide = (side) => {
+    const run = runs?.[side];
+    const index = frame?.[side] ?? -1;
+    const step = index >= 0 ? run.detailedSteps[index] : null;
+
+    return (
+      <div key={side} className="space-y-3 min-w-0">
+        <Select value={choice[side]} onValueChange={(value) => setChoice({ ...choice, [side]: value })}>
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(algorithms).map(([key, algo]) => (
+              <SelectItem key={key} value={key} disabled={!supportsPatterns(key, [pattern], options)}>
+                {algo.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        {run && (
+          <>
+            <div className="flex items-center justify-between text-xs text-muted-foreground">
+              <span>Step {index + 1} of {run.detailedSteps.length}</span>
+              <span className="font-mono">{comparisonsAt(run, index)} comparisons</span>
+            </div>
+            <AlignmentView
+              text={run.unicode?.textUnits ?? text}
+              pattern={run.unicode?.patternUnits ?? run.pattern}
+              step={step}
+              algorithm={run.algorithm}
+            />
+            <div className="p-3 bg-secondary rounded text-sm min-h-16">
+              {step ? (
+                <>
+                  <div className="flex gap-2 mb-1">
+                    <Badge variant="outline">{step.type}</Badge>
+                    {step.phase === 'preprocessing' && <Badge variant="secondary">preprocessing</Badge>}
+                  </div>
+                  <p className="text-muted-foreground">{describeStep(step, run, text)}</p>
+                </>
+              ) : (
+                <p className="text-muted-foreground">Not started yet at this position</p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle>Compare Algorithms</CardTitle>
+          {onClose && (
+            <Button variant="ghost" size="sm" onClick={onClose}>
+              <X className="w-4 h-4" />
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="space-y-1">
+            <Label>Align by</Label>
+            <Select value={alignBy} onValueChange={(value) => { setAlignBy(value); setCursor(0); }}>
+              <SelectTrigger className="w-40">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="position">Text position</SelectItem>
+                <SelectItem value="step">Step count</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <Button onClick={() => runBoth()} disabled={worker.isRunning || !text || !pattern}>
+            <Play className="w-4 h-4 mr-2" />
+            Run both on "{pattern}"
+          </Button>
+          {onShare && (
+            <Button variant="outline" onClick={() => onShare({ ...choice, alignBy, frame: runs ? cursor : 0 })}>
+              <Link2 className="w-4 h-4 mr-2" />
+              Share
+            </Button>
+          )}
+          {worker.isRunning && (
+            <Button onClick={worker.cancel} variant="destructive">
+              <X className="w-4 h-4 mr-2" />
+              Cancel
+            </Button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {SIDES.map(renderSide)}
+        </div>
+
+        {runs && frames.length > 0 && (
+          <div className="space-y-4">
+            <div className="flex items-center gap-2">
+              <Button variant="outline" size="sm" onClick={() => setCursor(Math.max(0, cursor - 1))} disabled={cursor === 0}>
+                <ChevronLeft className="w-4 h-4" />
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => setIsPlaying(!isPlaying)}>
+                {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setCursor(Math.min(frames.length - 1, cursor + 1))}
+                disabled={cursor >= frames.length - 1}
+              >
+                <ChevronRight className="w-4 h-4" />
+              </Button>
+              <Slider
+                value={[cursor]}
+                min={0}
+                max={frames.length - 1}
+                step={1}
+                onValueChange={([value]) => setCursor(value)}
+                className="flex-1"
+              />
+              <span className="text-xs text-muted-foreground w-24 text-right">
+                {cursor + 1} / {frames.length}
+              </span>
+            </div>
+
+            {/* Running comparison counter */}
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <Badge variant="outline">{nameOf('left')}: {current.left}</Badge>
+              <Badge variant="outline">{nameOf('right')}: {current.right}</Badge>
+              <span className="text-muted-foreground">
+                {difference === 0
+                  ? 'Level on comparisons'
+                  : `${nameOf(difference < 0 ? 'left' : 'right')} is ahead by ${Math.abs(difference)} comparison${Math.abs(difference) === 1 ? '' : 's'}`}
+              </span>
+            </div>
+            {leadChanges.length > 0 && (
+              <div className="flex flex-wrap items-center gap-1 text-xs">
+                <span className="text-muted-foreground mr-1">Lead changes at frame:</span>
+                {leadChanges.slice(0, 20).map(index => (
+                  <Button key={index} variant="outline" size="sm" className="h-6 px-2 text-xs" onClick={() => setCursor(index)}>
+                    {index + 1}
+                  </Button>
+                ))}
+              </div>
+            )}
+
+            <ResponsiveContainer width="100%" height={200}>
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="frame" type="number" domain={[0, frames.length - 1]} />
+                <YAxis />
+                <RechartsTooltip />
+                <Legend />
+                <Line type="stepAfter" dataKey="left" name={nameOf('left')} stroke="hsl(var(--primary))" dot={false} />
+                <Line type="stepAfter" dataKey="right" name={nameOf('right')} stroke="hsl(var(--accent))" dot={false} />
+                <ReferenceLine x={cursor} stroke="hsl(var(--foreground))" strokeDasharray="4 2" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,181 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { X, ChevronLeft } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { algorithms } from '@/lib/engine';
+import { corpusHeatmap, fileMatchCount } from '@/lib/corpus';
+import { cn, formatBytes } from '@/lib/utils';
+import TextViewer from '@/components/TextViewer';
+
+// Per-file results of a corpus search: match counts per file and algorithm, a file ×
+// pattern heatmap for one algorithm, and the highlighted text of a file picked from either.
+// entries hold the searched File objects, in the order of corpus.files.
+export default function CorpusView({ entries, corpus, initialAlgorithm, onClose }) {
+  const { toast } = useToast();
+  const [algorithm, setAlgorithm] = useState(
+    corpus.algorithms.includes(initialAlgorithm) ? initialAlgorithm : corpus.algorithms[0]
+  );
+  // { index, text } of the file shown highlighted
+  const [opened, setOpened] = useState(null);
+
+  // A new search starts again from the file list
+  useEffect(() => {
+    setOpened(null);
+    setAlgorithm(prev => (corpus.algorithms.includes(prev) ? prev : corpus.algorithms[0]));
+  }, [corpus]);
+
+  const heatmap = useMemo(() => corpusHeatmap(corpus, algorithm), [corpus, algorithm]);
+  const peak = Math.max(1, ...heatmap.flat());
+  const totals = corpus.algorithms.map(alg => corpus.files.reduce((sum, file) => sum + fileMatchCount(file, alg), 0));
+
+  const openFile = async (index) => {
+    try {
+      setOpened({ index, text: await entries[index].file.text() });
+    } catch (error) {
+      toast({ title: "Could not read file", description: error.message, variant: "destructive" });
+    }
+  };
+
+  const openedFile = opened && corpus.files[opened.index];
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <CardTitle className="flex items-center gap-2">
+            Corpus Results
+            <Badge variant="secondary" className="text-xs">
+              {corpus.files.length} files · {corpus.patterns.length} patterns
+            </Badge>
+          </CardTitle>
+          <div className="flex items-center gap-2">
+            <Label className="text-sm">Algorithm</Label>
+            <Select value={algorithm} onValueChange={setAlgorithm}>
+              <SelectTrigger className="w-48 h-9">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {corpus.algorithms.map(alg => (
+                  <SelectItem key={alg} value={alg}>{algorithms[alg]?.name ?? alg}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="ghost" size="sm" onClick={onClose} title="Close corpus results">
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {corpus.skipped.length > 0 && (
+          <p className="text-xs text-muted-foreground">
+            Not run: {corpus.skipped.map(alg => algorithms[alg]?.name ?? alg).join(', ')} cannot search for these patterns.
+          </p>
+        )}
+        {corpus.failed.map(({ algorithm: alg, path, message }) => (
+          <p key={alg} className="text-xs text-destructive">
+            Failed: {algorithms[alg]?.name ?? alg} stopped on {path}: {message}
+          </p>
+        ))}
+
+        {openedFile ? (
+          <div className="space-y-3">
+            <div className="flex items-center justify-between gap-2">
+              <Button variant="outline" size="sm" onClick={() => setOpened(null)}>
+                <ChevronLeft className="w-4 h-4 mr-1" />
+                All files
+              </Button>
+              <span className="text-sm font-mono truncate">{openedFile.path}</span>
+              <Badge variant="outline" className="text-xs shrink-0">
+                {fileMatchCount(openedFile, algorithm)} matches · {algorithms[algorithm]?.name ?? algorithm}
+              </Badge>
+            </div>
+            <TextViewer text={opened.text} results={openedFile.found[algorithm] ?? {}} />
+          </div>
+        ) : (
+          <>
+            {/* Matches per file and algorithm; a row opens the file */}
+            <div className="max-h-80 overflow-auto rounded-lg border">
+              <table className="w-full text-xs">
+                <thead className="bg-muted sticky top-0">
+                  <tr>
+                    <th className="p-2 text-left">File</th>
+                    <th className="p-2 text-right">Size</th>
+                    {corpus.algorithms.map(alg => (
+                      <th key={alg} className={cn('p-2 text-right whitespace-nowrap', alg === algorithm && 'bg-primary/20')}>
+                        {algorithms[alg]?.name ?? alg}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {corpus.files.map((file, index) => (
+                    <tr key={file.path} className="border-t hover:bg-muted/50 cursor-pointer" onClick={() => openFile(index)}>
+                      <td className="p-2 font-mono truncate max-w-64" title={file.path}>{file.path}</td>
+                      <td className="p-2 text-right text-muted-foreground whitespace-nowrap">{formatBytes(file.size)}</td>
+                      {corpus.algorithms.map(alg => (
+                        <td key={alg} className={cn('p-2 text-right font-mono', alg === algorithm && 'bg-primary/10')}>
+                          {fileMatchCount(file, alg)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot className="bg-muted">
+                  <tr>
+                    <td className="p-2 font-medium" colSpan={2}>Total</td>
+                    {totals.map((total, index) => (
+                      <td key={corpus.algorithms[index]} className="p-2 text-right font-mono">{total}</td>
+                    ))}
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+
+            {/* File × pattern heatmap for the chosen algorithm; a cell opens its file */}
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium">
+                Matches per file and pattern · {algorithms[algorithm]?.name ?? algorithm}
+              </h4>
+              <div className="overflow-auto max-h-96">
+                <div
+                  className="grid gap-1 text-xs"
+                  style={{ gridTemplateColumns: `minmax(8rem, 16rem) repeat(${corpus.patterns.length}, minmax(3.5rem, 1fr))` }}
+                >
+                  <div />
+                  {corpus.patterns.map((pattern, index) => (
+                    <div key={index} className="font-mono truncate text-center text-muted-foreground" title={pattern}>
+                      "{pattern}"
+                    </div>
+                  ))}
+                  {corpus.files.map((file, row) => [
+                    <div key={file.path} className="font-mono truncate self-center" title={file.path}>{file.path}</div>,
+                    ...heatmap[row].map((count, column) => (
+                      <button
+                        key={`${file.path}:${column}`}
+                        type="button"
+                        onClick={() => openFile(row)}
+                        title={`${file.path} · "${corpus.patterns[column]}": ${count} matches`}
+                        className="relative h-7 rounded bg-secondary overflow-hidden font-mono hover:ring-1 hover:ring-primary"
+                      >
+                        <span
+                          className="absolute inset-0 bg-primary"
+                          style={{ opacity: count === 0 ? 0 : 0.2 + 0.8 * (count / peak) }}
+                        />
+                        <span className="relative">{count}</span>
+                      </button>
+                    ))
+                  ])}
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dices, Wand2 } from 'lucide-react';
+import { GENERATORS, DEFAULT_GENERATOR, MAX_GENERATED_LENGTH } from '@/lib/generators';
+import { HASH_SCHEMES } from '@/lib/hashing';
+
+const clampInt = (value, min, max) => Math.max(min, Math.min(max, Math.floor(Number(value)) || min));
+
+// Settings for a seeded generator; onGenerate receives the full settings, which together
+// with the seed reproduce the same text
+export default function GeneratorPanel({ hashing, onGenerate, disabled }) {
+  const [settings, setSettings] = useState(DEFAULT_GENERATOR);
+  const generator = GENERATORS[settings.kind];
+  const update = (key, value) => setSettings(prev => ({ ...prev, [key]: value }));
+
+  // Number fields are clamped on blur; clamp again in case Generate is pressed mid-edit
+  const generate = () => onGenerate({
+    ...settings,
+    length: clampInt(settings.length, 1, MAX_GENERATED_LENGTH),
+    period: clampInt(settings.period, 1, 10000),
+    patternLength: clampInt(settings.patternLength, 1, 10000),
+    seed: clampInt(settings.seed, 0, 2 ** 32 - 1)
+  });
+
+  const numberField = (key, label, min, max, width = 'w-28') => (
+    <div className={`space-y-1 ${width}`}>
+      <Label htmlFor={`generator-${key}`} className="text-xs">{label}</Label>
+      <Input
+        id={`generator-${key}`}
+        type="number"
+        min={min}
+        max={max}
+        value={settings[key]}
+        onChange={(e) => update(key, e.target.value)}
+        onBlur={() => update(key, clampInt(settings[key], min, max))}
+        className="font-mono h-8"
+      />
+    </div>
+  );
+
+  return (
+    <div className="p-3 bg-secondary rounded-lg space-y-3">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="space-y-1 w-52">
+          <Label className="text-xs">Generator</Label>
+          <Select value={settings.kind} onValueChange={(kind) => update('kind', kind)}>
+            <SelectTrigger className="h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(GENERATORS).map(([key, { name }]) => (
+                <SelectItem key={key} value={key}>{name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        {numberField('length', 'Text length', 1, MAX_GENERATED_LENGTH)}
+        <div className="space-y-1 w-28">
+          <Label htmlFor="generator-alphabet" className="text-xs">Alphabet</Label>
+          <Input
+            id="generator-alphabet"
+            value={settings.alphabet}
+            onChange={(e) => update('alphabet', e.target.value)}
+            className="font-mono h-8"
+          />
+        </div>
+        {settings.kind === 'periodic' && numberField('period', 'Period', 1, 10000, 'w-24')}
+        {numberField('patternLength', 'Pattern length', 1, 10000, 'w-28')}
+        <div className="space-y-1 w-36">
+          <Label htmlFor="generator-seed" className="text-xs">Seed</Label>
+          <div className="flex gap-1">
+            <Input
+              id="generator-seed"
+              type="number"
+              min={0}
+              value={settings.seed}
+              onChange={(e) => update('seed', e.target.value)}
+              onBlur={() => update('seed', clampInt(settings.seed, 0, 2 ** 32 - 1))}
+              className="font-mono h-8"
+            />
+            <Button
+              variant="outline"
+              size="sm"
+              className="h-8 px-2"
+              title="New random seed"
+              onClick={() => update('seed', Math.floor(Math.random() * 2 ** 32))}
+            >
+              <Dices className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+        <Button
+          size="sm"
+          className="h-8"
+          disabled={disabled || Array.from(settings.alphabet).length === 0}
+          onClick={generate}
+        >
+          <Wand2 className="w-4 h-4 mr-2" />
+          Generate
+        </Button>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        {generator.description}
+        {generator.usesHashing && ` (${HASH_SCHEMES[hashing.scheme].toLowerCase()}, base ${hashing.base}${hashing.scheme === 'mod64' ? '' : `, modulus ${hashing.modulus}`})`}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { Tooltip, TooltipContent, TooltipTrigger } from '@/components/ui/tooltip';
+import { cn } from '@/lib/utils';
+import { patternColor, describeMatch } from '@/lib/highlight';
+
+// The innermost match fills the background; every enclosing match adds a stripe
+// underneath, so overlaps stay visible instead of one span hiding another.
+const layerStyle = (layers) => {
+  const inner = layers[layers.length - 1];
+  const stripes = layers.slice(0, -1).reverse().map((match, depth) => `inset 0 -${(depth + 1) * 3}px 0 ${patternColor(match)}`);
+  return {
+    backgroundColor: patternColor(inner),
+    boxShadow: stripes.length > 0 ? stripes.join(', ') : undefined,
+    paddingBottom: stripes.length > 0 ? `${stripes.length * 3}px` : undefined
+  };
+};
+
+// Renders segments of the text as React children so it is always escaped, with every
+// match from every pattern highlighted, overlapping and nested ones included.
+// `segments` come from segmentMatches, optionally cut to one row by sliceSegments.
+export default function MatchHighlighter({ text, segments, activeMatch }) {
+  return (
+    <>
+      {segments.map(segment => {
+        const content = text.slice(segment.start, segment.end);
+        if (segment.matches.length === 0) return <span key={segment.start}>{content}</span>;
+
+        return (
+          <Tooltip key={segment.start}>
+            <TooltipTrigger asChild>
+              <span
+                className={cn(
+                  'text-white font-bold transition-smooth',
+                  activeMatch && segment.matches.includes(activeMatch) && 'outline outline-2 outline-foreground'
+                )}
+                style={layerStyle(segment.matches)}
+              >
+                {content}
+              </span>
+            </TooltipTrigger>
+            <TooltipContent>
+              <div className="space-y-1 text-xs">
+                {segment.matches.map(match => (
+                  <div key={`${match.patternIndex}-${match.start}-${match.end}`} className="flex items-center gap-2">
+                    <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: patternColor(match) }} />
+                    <span className="font-mono">{describeMatch(match)}</span>
+                  </div>
+                ))}
+              </div>
+            </TooltipContent>
+          </Tooltip>
+        );
+      })}
+    </>
+  );
+}
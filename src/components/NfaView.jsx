@@ -0,0 +1,186 @@
+import { Badge } from '@/components/ui/badge';
+import { PATTERN_SYNTAXES } from '@/lib/regex';
+
+const NODE_RADIUS = 14;
+const COLUMN_WIDTH = 64;
+const ROW_HEIGHT = 48;
+
+// Columns are breadth-first distances from the start state; states at the same
+// distance stack vertically
+const layoutNfa = (nfa) => {
+  const column = new Map([[nfa.start, 0]]);
+  const queue = [nfa.start];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const state = nfa.states[id];
+    [...state.epsilon, ...state.edges.map(edge => edge.to)].forEach(next => {
+      if (!column.has(next)) {
+        column.set(next, column.get(id) + 1);
+        queue.push(next);
+      }
+    });
+  }
+
+  const positions = {};
+  const rows = [];
+  nfa.states.forEach(({ id }) => {
+    const x = column.get(id) ?? 0;
+    rows[x] = (rows[x] ?? 0) + 1;
+    positions[id] = { x, y: rows[x] - 1 };
+  });
+
+  return {
+    positions,
+    width: rows.length * COLUMN_WIDTH,
+    height: Math.max(...rows.filter(Boolean)) * ROW_HEIGHT + ROW_HEIGHT
+  };
+};
+
+const toPoint = ({ x, y }) => ({
+  x: x * COLUMN_WIDTH + COLUMN_WIDTH / 2,
+  y: y * ROW_HEIGHT + ROW_HEIGHT / 2 + ROW_HEIGHT / 2
+});
+
+// Forward edges are straight; edges that go back or stay in a column arc above
+const edgePath = (from, to) => {
+  if (to.x > from.x) return `M ${from.x} ${from.y} L ${to.x} ${to.y}`;
+  const lift = Math.max(ROW_HEIGHT / 2, (from.x - to.x) / 3);
+  const midX = (from.x + to.x) / 2;
+  const midY = Math.min(from.y, to.y) - lift;
+  return `M ${from.x} ${from.y} Q ${midX} ${midY} ${to.x} ${to.y}`;
+};
+
+// Thompson NFA for the current pattern with the states active at the current step
+export default function NfaView({ nfa, activeStates }) {
+  if (!nfa || nfa.states.length === 0) return null;
+
+  const { positions, width, height } = layoutNfa(nfa);
+  const active = new Set(activeStates ?? []);
+  const links = nfa.states.flatMap(state => [
+    ...state.edges.map((edge, k) => ({ key: `e-${state.id}-${k}`, from: state.id, to: edge.to, label: edge.label })),
+    ...state.epsilon.map((to, k) => ({ key: `eps-${state.id}-${k}`, from: state.id, to, label: null }))
+  ]);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <h4 className="text-sm font-medium">Thompson NFA</h4>
+          <Badge variant="outline">{PATTERN_SYNTAXES[nfa.syntax]}</Badge>
+          <Badge variant="secondary">DFA states built lazily: {nfa.dfaStates}</Badge>
+        </div>
+        <div className="flex gap-3 text-xs text-muted-foreground">
+          <span className="flex items-center gap-1">
+            <span className="w-4 border-t-2 border-foreground inline-block" /> character
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="w-4 border-t-2 border-dashed border-muted-foreground inline-block" /> ε
+          </span>
+        </div>
+      </div>
+
+      <div className="p-4 bg-secondary rounded-lg overflow-auto max-h-96">
+        <svg width={width} height={height} className="font-mono text-xs">
+          <defs>
+            <marker id="nfa-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="hsl(var(--muted-foreground))" />
+            </marker>
+          </defs>
+
+          {links.map(link => {
+            const from = toPoint(positions[link.from]);
+            const to = toPoint(positions[link.to]);
+            // Stop the arrow at the target's rim
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+            const length = Math.hypot(dx, dy) || 1;
+            const end = to.x > from.x
+              ? { x: to.x - (dx / length) * NODE_RADIUS, y: to.y - (dy / length) * NODE_RADIUS }
+              : { x: to.x, y: to.y - NODE_RADIUS };
+            const isCharacter = link.label !== null;
+            return (
+              <g key={link.key}>
+                <path
+                  d={edgePath(from, end)}
+                  fill="none"
+                  stroke={isCharacter ? 'hsl(var(--foreground))' : 'hsl(var(--muted-foreground))'}
+                  strokeDasharray={isCharacter ? undefined : '4 3'}
+                  strokeWidth={isCharacter ? 1.5 : 1}
+                  markerEnd="url(#nfa-arrow)"
+                  opacity={active.has(link.from) ? 1 : 0.6}
+                />
+                {isCharacter && (
+                  <text x={(from.x + to.x) / 2} y={(from.y + to.y) / 2 - 6} fill="hsl(var(--primary))" textAnchor="middle">
+                    {link.label}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+
+          {nfa.states.map(state => {
+            const { x, y } = toPoint(positions[state.id]);
+            const isActive = active.has(state.id);
+            return (
+              <g key={`state-${state.id}`}>
+                <title>
+                  {`State ${state.id}` +
+                    (state.id === nfa.start ? ' (start)' : '') +
+                    (state.accept ? ' (accept)' : '') +
+                    (state.edges.length > 0 ? `\non ${state.edges.map(edge => `${edge.label} → ${edge.to}`).join(', ')}` : '') +
+                    (state.epsilon.length > 0 ? `\nε → ${state.epsilon.join(', ')}` : '')}
+                </title>
+                {state.accept && (
+                  <circle cx={x} cy={y} r={NODE_RADIUS + 4} fill="none" stroke="hsl(var(--success))" strokeWidth={2} />
+                )}
+                <circle
+                  cx={x}
+                  cy={y}
+                  r={NODE_RADIUS}
+                  fill={isActive ? 'hsl(var(--primary))' : 'hsl(var(--card))'}
+                  stroke={state.id === nfa.start ? 'hsl(var(--primary))' : 'hsl(var(--border))'}
+                  strokeWidth={state.id === nfa.start ? 3 : 1.5}
+                  className="transition-smooth"
+                />
+                <text
+                  x={x}
+                  y={y + 4}
+                  textAnchor="middle"
+                  fill={isActive ? 'hsl(var(--primary-foreground))' : 'hsl(var(--foreground))'}
+                >
+                  {state.id}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      {/* State table */}
+      <div className="max-h-48 overflow-auto rounded-lg border">
+        <table className="w-full text-xs font-mono">
+          <thead className="bg-muted sticky top-0">
+            <tr>
+              <th className="p-2 text-left">State</th>
+              <th className="p-2 text-left">On character</th>
+              <th className="p-2 text-left">ε</th>
+            </tr>
+          </thead>
+          <tbody>
+            {nfa.states.map(state => (
+              <tr key={state.id} className={active.has(state.id) ? 'bg-primary/20' : ''}>
+                <td className="p-2">
+                  {state.id}
+                  {state.id === nfa.start && ' start'}
+                  {state.accept && ' accept'}
+                </td>
+                <td className="p-2">{state.edges.map(edge => `${edge.label} → ${edge.to}`).join(', ') || '—'}</td>
+                <td className="p-2">{state.epsilon.join(', ') || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { cn } from '@/lib/utils';
+
+// Steps without an explicit phase belong to the search
+const isPreprocessing = (step) => step.phase === 'preprocessing';
+
+export default function PhaseTimeline({ steps, currentStep, onSeek }) {
+  if (!steps || steps.length === 0) return null;
+
+  const preprocessingCount = steps.filter(isPreprocessing).length;
+  const searchCount = steps.length - preprocessingCount;
+
+  const segments = [
+    { label: 'Preprocessing', start: 0, count: preprocessingCount, color: 'bg-warning' },
+    { label: 'Search', start: preprocessingCount, count: searchCount, color: 'bg-primary' }
+  ].filter(segment => segment.count > 0);
+
+  return (
+    <div className="space-y-1">
+      <div className="flex gap-1 h-2">
+        {segments.map(segment => {
+          const done = Math.min(Math.max(currentStep - segment.start + 1, 0), segment.count);
+          return (
+            <button
+              key={segment.label}
+              type="button"
+              onClick={() => onSeek(segment.start)}
+              className="relative h-full overflow-hidden rounded-full bg-secondary"
+              style={{ flexGrow: segment.count, flexBasis: 0 }}
+              title={`Jump to ${segment.label.toLowerCase()}`}
+            >
+              <div
+                className={cn('h-full transition-all', segment.color)}
+                style={{ width: `${(done / segment.count) * 100}%` }}
+              />
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex gap-1 text-xs text-muted-foreground">
+        {segments.map(segment => (
+          <span
+            key={segment.label}
+            className={cn(
+              'truncate',
+              currentStep >= segment.start && currentStep < segment.start + segment.count && 'text-foreground font-medium'
+            )}
+            style={{ flexGrow: segment.count, flexBasis: 0 }}
+          >
+            {segment.label} ({segment.count})
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Badge } from '@/components/ui/badge';
+import { Code, Puzzle, Trash2, RotateCcw } from 'lucide-react';
+import { PLUGIN_TEMPLATE, PLUGIN_MAX_STEPS, PLUGIN_TIME_LIMIT, pluginId } from '@/lib/plugins';
+
+const INDENT = '  ';
+
+const formatPositions = (positions) => `[${positions.slice(0, 10).join(', ')}${positions.length > 10 ? ', …' : ''}]`;
+
+// Editor for user plugins. onSubmit validates and installs a plugin and resolves to the
+// validation report, or null if the run was cancelled.
+export default function PluginEditor({ plugins, onSubmit, onRemove, disabled }) {
+  const [name, setName] = useState('Naive search');
+  const [description, setDescription] = useState('');
+  const [source, setSource] = useState(PLUGIN_TEMPLATE);
+  const [report, setReport] = useState(null);
+
+  const id = pluginId(name);
+  const replacing = plugins.some(plugin => plugin.id === id);
+
+  const submit = async () => {
+    setReport(null);
+    setReport(await onSubmit({ id, name: name.trim(), description: description.trim(), source }));
+  };
+
+  const edit = (plugin) => {
+    setName(plugin.name);
+    setDescription(plugin.description ?? '');
+    setSource(plugin.source);
+    setReport(null);
+  };
+
+  // Tab indents instead of leaving the editor
+  const handleKeyDown = (event) => {
+    if (event.key !== 'Tab' || event.shiftKey) return;
+    event.preventDefault();
+    const { selectionStart, selectionEnd, value } = event.target;
+    setSource(value.slice(0, selectionStart) + INDENT + value.slice(selectionEnd));
+    requestAnimationFrame(() => {
+      event.target.selectionStart = event.target.selectionEnd = selectionStart + INDENT.length;
+    });
+  };
+
+  return (
+    <div className="p-4 bg-secondary rounded-lg space-y-3">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="space-y-1 w-48">
+          <Label htmlFor="plugin-name" className="text-xs">Name</Label>
+          <Input id="plugin-name" value={name} onChange={(e) => setName(e.target.value)} className="h-8" />
+        </div>
+        <div className="space-y-1 flex-1 min-w-48">
+          <Label htmlFor="plugin-description" className="text-xs">Description</Label>
+          <Input
+            id="plugin-description"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="Shown under the algorithm name"
+            className="h-8"
+          />
+        </div>
+      </div>
+
+      <Textarea
+        value={source}
+        onChange={(e) => setSource(e.target.value)}
+        onKeyDown={handleKeyDown}
+        spellCheck={false}
+        className="font-mono text-xs min-h-72 resize-y bg-background"
+      />
+      <p className="text-xs text-muted-foreground">
+        Define <code>search(text, pattern, api)</code> and record steps of the trace schema with
+        {' '}<code>api.record</code>; every <code>found</code> step is a match. Runs in the worker with
+        up to {PLUGIN_MAX_STEPS.toLocaleString()} steps and {PLUGIN_TIME_LIMIT / 1000}s per search,
+        and is checked against Knuth-Morris-Pratt before it is installed.
+      </p>
+
+      <div className="flex flex-wrap gap-2">
+        <Button size="sm" onClick={submit} disabled={disabled || !name.trim()}>
+          <Puzzle className="w-4 h-4 mr-2" />
+          {replacing ? 'Validate & Update' : 'Validate & Install'}
+        </Button>
+        <Button size="sm" variant="outline" onClick={() => setSource(PLUGIN_TEMPLATE)} disabled={disabled}>
+          <RotateCcw className="w-4 h-4 mr-2" />
+          Template
+        </Button>
+      </div>
+
+      {report && (
+        <div className="text-xs space-y-1">
+          {report.passed ? (
+            <Badge className="bg-success text-white">Passed all {report.cases} validation cases</Badge>
+          ) : (
+            <>
+              <Badge variant="destructive">
+                {report.error ? 'Validation failed' : `Failed ${report.failures.length === 5 ? '5+' : report.failures.length} of ${report.cases} cases`}
+              </Badge>
+              {report.error && <p className="font-mono text-destructive">{report.error}</p>}
+              {report.failures.map((failure, index) => (
+                <p key={index} className="font-mono break-all">
+                  "{failure.pattern}" in "{failure.text}"{failure.caseInsensitive ? ' (case-insensitive)' : ''}:
+                  {' '}expected {formatPositions(failure.expected)},
+                  {' '}{failure.error ? <span className="text-destructive">{failure.error}</span> : `got ${formatPositions(failure.actual)}`}
+                </p>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+
+      {plugins.length > 0 && (
+        <div className="space-y-1">
+          <div className="text-xs text-muted-foreground">Installed plugins</div>
+          <div className="flex flex-wrap gap-2">
+            {plugins.map(plugin => (
+              <div key={plugin.id} className="flex items-center gap-1 rounded border bg-background pl-2">
+                <span className="text-sm">{plugin.name}</span>
+                <Button variant="ghost" size="sm" className="h-7 px-2" title="Edit" onClick={() => edit(plugin)}>
+                  <Code className="w-3 h-3" />
+                </Button>
+                <Button variant="ghost" size="sm" className="h-7 px-2" title="Remove" onClick={() => onRemove(plugin.id)} disabled={disabled}>
+                  <Trash2 className="w-3 h-3" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
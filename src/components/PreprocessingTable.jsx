@@ -0,0 +1,76 @@
+import { cn } from '@/lib/utils';
+
+const TABLE_LABELS = {
+  failure: 'Failure / LPS',
+  z: 'Z values (pattern$)',
+  h: 'h = base^(m-1) mod prime',
+  patternHash: 'Pattern prefix hashes',
+  windowHash: 'First window prefix hashes',
+  badChar: 'Bad character (last occurrence)',
+  goodSuffix: 'Good suffix shifts',
+  shift: 'Horspool shift'
+};
+
+// Character shown above each cell; tables keyed by character use the key itself
+const cellLabel = (table, index, pattern, text) => {
+  if (typeof index === 'string') return index;
+  if (table === 'z') return (pattern + '$')[index];
+  if (table === 'windowHash') return text[index];
+  if (table === 'goodSuffix') return index < pattern.length ? pattern[index] : '∅';
+  if (table === 'h') return '';
+  return pattern[index];
+};
+
+export default function PreprocessingTable({ steps, currentStep, pattern, text }) {
+  const fills = (steps || []).map((step, stepIndex) => ({ step, stepIndex }))
+    .filter(({ step }) => step.phase === 'preprocessing' && step.table !== undefined);
+
+  if (fills.length === 0) return null;
+
+  // Layout comes from the whole trace so cells appear in place as they are filled
+  const tables = {};
+  fills.forEach(({ step, stepIndex }) => {
+    const table = tables[step.table] || (tables[step.table] = { slots: [], values: {}, active: null });
+    if (!table.slots.includes(step.index)) table.slots.push(step.index);
+    if (stepIndex <= currentStep && step.type === 'table-fill') {
+      table.values[step.index] = step.value;
+    }
+    if (stepIndex === currentStep) {
+      table.active = step.index;
+    }
+  });
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-medium">Preprocessing Tables</h4>
+      {Object.entries(tables).map(([name, table]) => (
+        <div key={name} className="space-y-1">
+          <div className="text-xs text-muted-foreground">{TABLE_LABELS[name] || name}</div>
+          <div className="flex flex-wrap gap-1 font-mono text-xs">
+            {table.slots.map(index => {
+              const filled = table.values[index] !== undefined;
+              return (
+                <div
+                  key={index}
+                  className={cn(
+                    'flex flex-col items-center min-w-8 rounded border transition-smooth',
+                    table.active === index ? 'border-primary bg-primary/20' : 'border-border'
+                  )}
+                >
+                  {name !== 'h' && (
+                    <span className="px-1 text-muted-foreground">
+                      {typeof index === 'number' ? `${index}:` : ''}{cellLabel(name, index, pattern, text)}
+                    </span>
+                  )}
+                  <span className={cn('px-1 w-full text-center', filled ? 'bg-secondary' : 'text-muted-foreground')}>
+                    {filled ? table.values[index] : '·'}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+import { PSEUDOCODE } from '@/lib/pseudocode';
+
+const PHASE_LABELS = { preprocessing: 'Preprocessing', search: 'Search' };
+
+// The algorithm's pseudocode with the line behind the current step highlighted and
+// the variables that step recorded. Steps from older exported runs carry no line.
+export default function PseudocodePanel({ algorithm, step }) {
+  const listing = PSEUDOCODE[algorithm];
+  if (!listing) return null;
+
+  const activePhase = step?.phase || 'search';
+  const vars = Object.entries(step?.vars ?? {});
+  let lineNumber = 0;
+
+  return (
+    <div className="space-y-2">
+      <h4 className="text-sm font-medium">Pseudocode</h4>
+      <div className="rounded-lg border bg-secondary/40 p-2 font-mono text-xs overflow-x-auto">
+        {Object.entries(PHASE_LABELS)
+          .filter(([phase]) => listing[phase].length > 0)
+          .map(([phase, label]) => (
+            <div key={phase} className="mb-2 last:mb-0">
+              <div className="text-muted-foreground mb-1">{`// ${label}`}</div>
+              {listing[phase].map(([key, code]) => {
+                lineNumber++;
+                const active = key !== null && phase === activePhase && key === step?.line;
+                return (
+                  <div
+                    key={lineNumber}
+                    className={cn(
+                      'flex rounded transition-smooth',
+                      active ? 'bg-primary/20 text-foreground' : 'text-muted-foreground'
+                    )}
+                  >
+                    <span className="w-8 shrink-0 text-right pr-3 select-none opacity-60">{lineNumber}</span>
+                    <span className="whitespace-pre">{code}</span>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+      </div>
+      {vars.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {vars.map(([name, value]) => (
+            <Badge key={name} variant="outline" className="font-mono text-xs">
+              {name} = {String(value)}
+            </Badge>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
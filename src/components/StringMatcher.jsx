@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo, Fragment } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -10,260 +10,142 @@ import { Label } from '@/components/ui/label';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
 import { Separator } from '@/components/ui/separator';
 import { Progress } from '@/components/ui/progress';
-import { Play, RotateCcw, SkipForward, Upload, FileText, Pause, Info, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Play, RotateCcw, SkipForward, Upload, FileText, Pause, Info, ChevronLeft, ChevronRight, X, Columns2, Link2, Download, FileUp, Wand2, Puzzle, FolderOpen } from 'lucide-react';
+import { useLocation } from 'react-router-dom';
 import { useToast } from '@/hooks/use-toast';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, BarChart, Bar } from 'recharts';
-
-// Enhanced string matching algorithms with detailed steps
-const kmpSearchDetailed = (text, pattern, caseInsensitive = false) => {
-  const matches = [];
-  const detailedSteps = [];
-  
-  if (!pattern) return { matches, detailedSteps, comparisons: 0 };
-  
-  const searchText = caseInsensitive ? text.toLowerCase() : text;
-  const searchPattern = caseInsensitive ? pattern.toLowerCase() : pattern;
-  
-  // Build failure function with steps
-  const failure = [0];
-  let j = 0;
-  let comparisons = 0;
-  
-  for (let i = 1; i < searchPattern.length; i++) {
-    while (j > 0 && searchPattern[i] !== searchPattern[j]) {
-      j = failure[j - 1];
-      comparisons++;
-    }
-    if (searchPattern[i] === searchPattern[j]) {
-      j++;
-    }
-    failure[i] = j;
-    comparisons++;
-  }
-  
-  // Search with detailed tracking
-  j = 0;
-  for (let i = 0; i < searchText.length; i++) {
-    const stepStart = { position: i, patternIndex: j, type: 'compare' };
-    
-    while (j > 0 && searchText[i] !== searchPattern[j]) {
-      detailedSteps.push({
-        ...stepStart,
-        type: 'mismatch',
-        shift: j - failure[j - 1],
-        description: `Mismatch at text[${i}]='${searchText[i]}' vs pattern[${j}]='${searchPattern[j]}'. Shift pattern by ${j - failure[j - 1]} positions.`
-      });
-      j = failure[j - 1];
-      comparisons++;
-    }
-    
-    if (searchText[i] === searchPattern[j]) {
-      detailedSteps.push({
-        ...stepStart,
-        type: 'match',
-        description: `Match found: text[${i}]='${searchText[i]}' == pattern[${j}]='${searchPattern[j]}'`
-      });
-      j++;
-    } else {
-      detailedSteps.push({
-        ...stepStart,
-        type: 'mismatch',
-        description: `Mismatch: text[${i}]='${searchText[i]}' != pattern[${j}]='${searchPattern[j]}'`
-      });
-    }
-    
-    comparisons++;
-    
-    if (j === searchPattern.length) {
-      const matchPos = i - j + 1;
-      matches.push(matchPos);
-      detailedSteps.push({
-        position: matchPos,
-        type: 'found',
-        description: `Complete match found at position ${matchPos}`
-      });
-      j = failure[j - 1];
-    }
-  }
-  
-  return { matches, detailedSteps, comparisons };
-};
-
-const rabinKarpSearchDetailed = (text, pattern, caseInsensitive = false) => {
-  const matches = [];
-  const detailedSteps = [];
-  
-  if (!pattern) return { matches, detailedSteps, comparisons: 0 };
-  
-  const searchText = caseInsensitive ? text.toLowerCase() : text;
-  const searchPattern = caseInsensitive ? pattern.toLowerCase() : pattern;
-  
-  const base = 256;
-  const prime = 101;
-  const patternLength = searchPattern.length;
-  const textLength = searchText.length;
-  let comparisons = 0;
-  
-  let patternHash = 0;
-  let textHash = 0;
-  let h = 1;
-  
-  // Calculate h = base^(patternLength-1) % prime
-  for (let i = 0; i < patternLength - 1; i++) {
-    h = (h * base) % prime;
-  }
-  
-  // Calculate hash of pattern and first window
-  for (let i = 0; i < patternLength; i++) {
-    patternHash = (base * patternHash + searchPattern.charCodeAt(i)) % prime;
-    textHash = (base * textHash + searchText.charCodeAt(i)) % prime;
-  }
-  
-  // Slide the pattern
-  for (let i = 0; i <= textLength - patternLength; i++) {
-    detailedSteps.push({
-      position: i,
-      type: 'hash-compare',
-      textHash,
-      patternHash,
-      description: `Comparing hashes: text hash=${textHash}, pattern hash=${patternHash}`
-    });
-    
-    if (patternHash === textHash) {
-      // Hash match - verify character by character
-      let match = true;
-      for (let j = 0; j < patternLength; j++) {
-        comparisons++;
-        if (searchText[i + j] !== searchPattern[j]) {
-          match = false;
-          detailedSteps.push({
-            position: i,
-            type: 'spurious',
-            description: `Spurious match: hash collision at position ${i}`
-          });
-          break;
-        }
-      }
-      if (match) {
-        matches.push(i);
-        detailedSteps.push({
-          position: i,
-          type: 'found',
-          description: `Verified match found at position ${i}`
-        });
-      }
-    }
-    
-    // Calculate hash for next window
-    if (i < textLength - patternLength) {
-      textHash = (base * (textHash - searchText.charCodeAt(i) * h) + searchText.charCodeAt(i + patternLength)) % prime;
-      if (textHash < 0) textHash += prime;
-    }
-  }
-  
-  return { matches, detailedSteps, comparisons };
-};
-
-const zAlgorithmSearchDetailed = (text, pattern, caseInsensitive = false) => {
-  const matches = [];
-  const detailedSteps = [];
-  
-  if (!pattern) return { matches, detailedSteps, comparisons: 0 };
-  
-  const searchText = caseInsensitive ? text.toLowerCase() : text;
-  const searchPattern = caseInsensitive ? pattern.toLowerCase() : pattern;
-  
-  const combined = searchPattern + '$' + searchText;
-  const z = new Array(combined.length).fill(0);
-  let comparisons = 0;
-  
-  let l = 0, r = 0;
-  for (let i = 1; i < combined.length; i++) {
-    if (i <= r) {
-      z[i] = Math.min(r - i + 1, z[i - l]);
-      detailedSteps.push({
-        position: i,
-        type: 'z-box',
-        zValue: z[i],
-        description: `Using Z-box: Z[${i}] = min(${r - i + 1}, Z[${i - l}]) = ${z[i]}`
-      });
-    }
-    
-    while (i + z[i] < combined.length && combined[z[i]] === combined[i + z[i]]) {
-      z[i]++;
-      comparisons++;
-      detailedSteps.push({
-        position: i,
-        type: 'extend',
-        zValue: z[i],
-        description: `Extending Z[${i}] to ${z[i]}`
-      });
-    }
-    
-    if (i + z[i] - 1 > r) {
-      l = i;
-      r = i + z[i] - 1;
-      detailedSteps.push({
-        position: i,
-        type: 'update-box',
-        left: l,
-        right: r,
-        description: `Updating Z-box: [${l}, ${r}]`
-      });
-    }
-    
-    if (z[i] === searchPattern.length && i > searchPattern.length) {
-      const position = i - searchPattern.length - 1;
-      matches.push(position);
-      detailedSteps.push({
-        position,
-        type: 'found',
-        description: `Match found at position ${position} (Z[${i}] = ${z[i]})`
-      });
-    }
-  }
-  
-  return { matches, detailedSteps, comparisons };
-};
-
-const algorithms = {
-  'kmp': { 
-    name: 'Knuth-Morris-Pratt', 
-    func: kmpSearchDetailed, 
-    color: 'bg-primary',
-    description: 'Uses failure function to avoid redundant comparisons'
-  },
-  'rabin-karp': { 
-    name: 'Rabin-Karp', 
-    func: rabinKarpSearchDetailed, 
-    color: 'bg-accent',
-    description: 'Uses rolling hash for efficient pattern matching'
-  },
-  'z-algorithm': { 
-    name: 'Z-Algorithm', 
-    func: zAlgorithmSearchDetailed, 
-    color: 'bg-success',
-    description: 'Constructs Z-array for linear-time pattern matching'
-  }
-};
-
-export default function StringMatcher() {
+import { formatBytes } from '@/lib/utils';
+import { useMatcherWorker } from '@/hooks/use-matcher-worker';
+import { algorithms, supportsPatterns, describeStep, TRACE_LEVELS, DEFAULT_RECORDING, MAX_TRACE_STEPS } from '@/lib/engine';
+import { CHUNK_BYTES } from '@/lib/search-runner';
+import { DEFAULT_BENCHMARK, SWEEP_SIZES } from '@/lib/benchmark';
+import { METRICS, formatMetric } from '@/lib/metrics';
+import { UNICODE_UNITS, NORMALIZATIONS } from '@/lib/unicode';
+import { PATTERN_SYNTAXES } from '@/lib/regex';
+import { GENERATORS } from '@/lib/generators';
+import { searchTimeout, jobTimeout, registerPlugins, registeredPlugins, storePlugins } from '@/lib/plugins';
+import { CORPUS_EXTENSIONS, corpusEntries, fileMatchCount } from '@/lib/corpus';
+import { HASH_SCHEMES, DEFAULT_HASHING, MAX_BASE, MAX_MODULUS } from '@/lib/hashing';
+import { encodeExperiment, decodeExperiment, experimentPath, MAX_SHARE_URL } from '@/lib/share';
+import { matchesToCsv, serializeRun, parseRun, downloadBlob } from '@/lib/export';
+import { layoutFrame, frameColumns, frameToSvg, framesToGif } from '@/lib/frames';
+import AlignmentView from '@/components/AlignmentView';
+import { buildMergedTimeline } from '@/lib/timeline';
+import AutomatonView from '@/components/AutomatonView';
+import NfaView from '@/components/NfaView';
+import SuffixArrayView from '@/components/SuffixArrayView';
+import CollisionView from '@/components/CollisionView';
+import GeneratorPanel from '@/components/GeneratorPanel';
+import PhaseTimeline from '@/components/PhaseTimeline';
+import PreprocessingTable from '@/components/PreprocessingTable';
+import PseudocodePanel from '@/components/PseudocodePanel';
+import PluginEditor from '@/components/PluginEditor';
+import BenchmarkCurves from '@/components/BenchmarkCurves';
+import CompareView from '@/components/CompareView';
+import CorpusView from '@/components/CorpusView';
+import TextViewer from '@/components/TextViewer';
+import { XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, BarChart, Bar } from 'recharts';
+
+// Files above this size are streamed through the worker instead of loaded into the text box
+const LARGE_FILE_BYTES = 1024 * 1024;
+// Longer traces are sampled evenly down to this many GIF frames
+const MAX_GIF_FRAMES = 200;
+// Validation runs a plugin on a few hundred small cases
+const PLUGIN_VALIDATION_TIMEOUT = 30000;
+
+// view is 'home', 'algorithm' (opened on algorithmId) or 'compare'; a shared link's
+// query string preloads the experiment
+export default function StringMatcher({ view = 'home', algorithmId }) {
   const [text, setText] = useState('abababcabababcabcabc');
   const [patterns, setPatterns] = useState('ababc');
-  const [selectedAlgorithm, setSelectedAlgorithm] = useState('kmp');
+  const [selectedAlgorithm, setSelectedAlgorithm] = useState(algorithmId ?? 'kmp');
   const [caseInsensitive, setCaseInsensitive] = useState(false);
+  const [maxErrors, setMaxErrors] = useState(1);
+  const [unicodeUnit, setUnicodeUnit] = useState('code-unit');
+  const [normalization, setNormalization] = useState('none');
+  const [patternSyntax, setPatternSyntax] = useState('literal');
+  const [hashing, setHashing] = useState(DEFAULT_HASHING);
+  const [recording, setRecording] = useState(DEFAULT_RECORDING);
   const [results, setResults] = useState({});
-  const [isRunning, setIsRunning] = useState(false);
+  const [largeFile, setLargeFile] = useState(null);
+  // Files searched together instead of the text box: { path, file } entries
+  const [corpus, setCorpus] = useState(null);
+  const [corpusResults, setCorpusResults] = useState(null);
+  const [showGenerator, setShowGenerator] = useState(false);
+  // Generator settings behind the current text, until the text is edited by hand
+  const [generatorSpec, setGeneratorSpec] = useState(null);
+  const [plugins, setPlugins] = useState(registeredPlugins);
+  const [showPlugins, setShowPlugins] = useState(false);
+  const [benchmarkSettings, setBenchmarkSettings] = useState(DEFAULT_BENCHMARK);
+  const [sweepResults, setSweepResults] = useState(null);
+  const [chartMetric, setChartMetric] = useState('charComparisons');
   const [currentStep, setCurrentStep] = useState(0);
+  const [activeTrace, setActiveTrace] = useState('pattern_0');
   const [isPlaying, setIsPlaying] = useState(false);
   const [playSpeed, setPlaySpeed] = useState(500);
   const [showSteps, setShowSteps] = useState(false);
+  const [showCompare, setShowCompare] = useState(view === 'compare');
+  const [sharedCompare, setSharedCompare] = useState(null);
+  const [pendingRun, setPendingRun] = useState(null);
+  const [runInputs, setRunInputs] = useState(null);
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  const location = useLocation();
   const { toast } = useToast();
+  const matcherWorker = useMatcherWorker();
+  const isRunning = matcherWorker.isRunning;
+  // UTF-16 code units keep the classic behaviour; any other unit switches on Unicode mode
+  const matchOptions = {
+    maxErrors,
+    unicode: unicodeUnit === 'code-unit' ? null : { unit: unicodeUnit, normalization },
+    patternSyntax,
+    hashing,
+    recording
+  };
+
+  // Multi-pattern algorithms produce one trace shared by every pattern entry
+  const sharedTrace = Boolean(algorithms[results.pattern_0?.algorithm]?.multiPattern);
+  const mergedTimeline = useMemo(
+    () => (activeTrace === 'merged' ? buildMergedTimeline(results) : null),
+    [results, activeTrace]
+  );
+  const timeline = mergedTimeline || results[activeTrace]?.detailedSteps;
+
+  // Load the experiment from the link the page was opened with
+  useEffect(() => {
+    if (!location.search) return;
+    let cancelled = false;
+    decodeExperiment(location.search).then(shared => {
+      if (cancelled) return;
+      if (shared.text !== undefined) setText(shared.text);
+      if (shared.patterns !== undefined) setPatterns(shared.patterns);
+      if (shared.patternSyntax) setPatternSyntax(shared.patternSyntax);
+      if (shared.caseInsensitive !== undefined) setCaseInsensitive(shared.caseInsensitive);
+      if (shared.maxErrors !== undefined) setMaxErrors(Math.min(10, shared.maxErrors));
+      if (shared.unicodeUnit) setUnicodeUnit(shared.unicodeUnit);
+      if (shared.normalization) setNormalization(shared.normalization);
+      if (shared.hashing) setHashing(shared.hashing);
+      if (view === 'compare') {
+        setSharedCompare(shared.compare ?? null);
+      } else if (view === 'algorithm' && shared.text !== undefined && shared.patterns !== undefined) {
+        setPendingRun({ step: shared.step ?? 0, trace: shared.trace ?? 'pattern_0' });
+      }
+    }).catch(error => {
+      toast({ title: "Could not open shared link", description: error.message, variant: "destructive" });
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Runs once the shared state above has been rendered, so the run sees it
+  useEffect(() => {
+    if (!pendingRun) return;
+    setPendingRun(null);
+    runAlgorithm(pendingRun);
+  }, [pendingRun]);
 
   // Auto-play visualization
   useEffect(() => {
-    if (isPlaying && results.detailedSteps && currentStep < results.detailedSteps.length - 1) {
+    if (isPlaying && timeline && currentStep < timeline.length - 1) {
       const timer = setTimeout(() => {
         setCurrentStep(prev => prev + 1);
       }, playSpeed);
@@ -271,11 +153,50 @@ export default function StringMatcher() {
     } else {
       setIsPlaying(false);
     }
-  }, [isPlaying, currentStep, results.detailedSteps, playSpeed]);
+  }, [isPlaying, currentStep, timeline, playSpeed]);
+
+  // Several files, or a folder, become a corpus; a single file goes into the text box
+  const loadCorpus = (fileList) => {
+    const entries = corpusEntries(fileList);
+    if (entries.length === 0) {
+      toast({ title: "No text files", description: `A corpus is made of ${CORPUS_EXTENSIONS.join(', ')} files`, variant: "destructive" });
+      return;
+    }
+    setCorpus(entries);
+    setCorpusResults(null);
+    setLargeFile(null);
+    const size = entries.reduce((sum, { file }) => sum + file.size, 0);
+    toast({
+      title: "Corpus loaded",
+      description: `${entries.length} files (${formatBytes(size)}) will be searched by every algorithm`
+    });
+  };
+
+  const handleFolderUpload = (event) => {
+    const files = [...event.target.files];
+    event.target.value = '';
+    if (files.length > 0) loadCorpus(files);
+  };
 
   const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (file) {
+    const files = [...event.target.files];
+    event.target.value = '';
+    if (files.length > 1) {
+      loadCorpus(files);
+      return;
+    }
+    const [file] = files;
+    if (file) setCorpus(null);
+    if (file && file.size > LARGE_FILE_BYTES) {
+      // Too big for the text box: keep the File and let the worker stream it
+      setLargeFile(file);
+      toast({
+        title: "Large file loaded",
+        description: `${file.name} (${formatBytes(file.size)}) will be searched in chunks`
+      });
+    } else if (file) {
+      setLargeFile(null);
+      setGeneratorSpec(null);
       const reader = new FileReader();
       reader.onload = (e) => {
         const content = e.target.result;
@@ -289,13 +210,142 @@ export default function StringMatcher() {
     }
   };
 
+  const generateText = async (settings) => {
+    let generated;
+    try {
+      generated = await matcherWorker.run('generate', { settings, hashing });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        toast({ title: "Generation failed", description: error.message, variant: "destructive" });
+      }
+      return;
+    }
+    setLargeFile(null);
+    setCorpus(null);
+    setText(generated.text);
+    // Generated patterns are plain strings, so commas in them are escaped
+    setPatternSyntax('literal');
+    setPatterns(generated.pattern.replace(/,/g, '\\,'));
+    setGeneratorSpec(settings);
+    toast({
+      title: "Input generated",
+      description: generated.note ?? `${generated.text.length} characters from seed ${settings.seed}`
+    });
+  };
+
+  const savePlugins = (list) => {
+    registerPlugins(list);
+    storePlugins(list);
+    setPlugins(list);
+  };
+
+  // Installs (or updates) a plugin once it agrees with the reference matcher and
+  // resolves to the validation report for the editor
+  const submitPlugin = async (plugin) => {
+    let report;
+    try {
+      report = await matcherWorker.run('validate-plugin', { source: plugin.source }, { timeout: PLUGIN_VALIDATION_TIMEOUT });
+    } catch (error) {
+      if (error.name === 'AbortError') return null;
+      return { cases: 0, passed: false, failures: [], error: error.message };
+    }
+    if (report.passed) {
+      savePlugins([...plugins.filter(p => p.id !== plugin.id), plugin]);
+      setSelectedAlgorithm(plugin.id);
+      toast({ title: "Plugin installed", description: `${plugin.name} is now in the algorithm list` });
+    }
+    return report;
+  };
+
+  const removePlugin = (id) => {
+    savePlugins(plugins.filter(plugin => plugin.id !== id));
+    if (selectedAlgorithm === id) setSelectedAlgorithm('kmp');
+  };
+
+  // Literal patterns are comma separated (\, for a literal comma); a wildcard or
+  // regex is a single pattern since commas and backslashes mean something in it
   const parsePatterns = (patternString) => {
-    return patternString.split(',').map(p => p.trim()).filter(p => p.length > 0);
+    if (patternSyntax !== 'literal') {
+      const pattern = patternString.trim();
+      return pattern ? [pattern] : [];
+    }
+    return patternString
+      .split(/(?<!\\),/)
+      .map(p => p.replace(/\\,/g, ',').trim())
+      .filter(p => p.length > 0);
+  };
+
+  const changePatternSyntax = (syntax) => {
+    setPatternSyntax(syntax);
+    // Only automaton matchers understand wildcards and regexes
+    if (syntax !== 'literal' && !algorithms[selectedAlgorithm].regex) {
+      setSelectedAlgorithm('thompson-nfa');
+    }
   };
 
-  const runAlgorithm = () => {
+  const getSource = () => (largeFile ? { file: largeFile } : { text });
+  // A streamed file is searched once per chunk
+  const chunkCount = (file) => Math.max(1, Math.ceil(file.size / CHUNK_BYTES));
+
+  const handleRunError = (error) => {
+    if (error.name === 'AbortError') {
+      toast({ title: "Search cancelled" });
+    } else {
+      toast({
+        title: "Search failed",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+
+  // Every algorithm that supports the patterns, over every file of the corpus
+  const searchAllFiles = async () => {
+    const patternList = parsePatterns(patterns);
+    if (patternList.length === 0) {
+      toast({ title: "Input required", description: "Please enter at least one pattern", variant: "destructive" });
+      return;
+    }
+
+    let searched;
+    try {
+      searched = await matcherWorker.run('corpus', {
+        entries: corpus,
+        patterns: patternList,
+        caseInsensitive,
+        options: matchOptions
+      }, {
+        timeout: jobTimeout(Object.keys(algorithms), patternList.length, corpus.reduce((sum, { file }) => sum + chunkCount(file), 0))
+      });
+    } catch (error) {
+      handleRunError(error);
+      return;
+    }
+    if (searched.algorithms.length === 0) {
+      toast(searched.failed.length > 0
+        ? { title: "Corpus search failed", description: searched.failed[0].message, variant: "destructive" }
+        : { title: "Pattern syntax not supported", description: "No algorithm can search for these patterns", variant: "destructive" });
+      return;
+    }
+
+    setResults({});
+    setSweepResults(null);
+    setShowSteps(false);
+    setCorpusResults(searched);
+    const totalMatches = searched.files.reduce((sum, file) => sum + fileMatchCount(file, searched.algorithms[0]), 0);
+    toast({
+      title: "Corpus searched",
+      description: `${searched.algorithms.length} algorithms over ${searched.files.length} files; ${algorithms[searched.algorithms[0]].name} found ${totalMatches} matches`
+    });
+  };
+
+  const runAlgorithm = async ({ step = 0, trace = 'pattern_0' } = {}) => {
+    if (corpus) {
+      await searchAllFiles();
+      return;
+    }
     const patternList = parsePatterns(patterns);
-    if (!text || patternList.length === 0) {
+    if ((!text && !largeFile) || patternList.length === 0) {
       toast({
         title: "Input required",
         description: "Please enter both text and at least one pattern",
@@ -304,99 +354,270 @@ export default function StringMatcher() {
       return;
     }
 
-    setIsRunning(true);
-    const allResults = {};
-    
-    patternList.forEach((pattern, index) => {
-      const start = performance.now();
-      const result = algorithms[selectedAlgorithm].func(text, pattern, caseInsensitive);
-      const end = performance.now();
-      
-      allResults[`pattern_${index}`] = {
-        ...result,
-        pattern,
-        time: end - start,
-        algorithm: selectedAlgorithm
-      };
-    });
+    const { name, maxPatternLength } = algorithms[selectedAlgorithm];
+    if (!supportsPatterns(selectedAlgorithm, patternList, matchOptions)) {
+      toast(maxPatternLength && patternSyntax === 'literal'
+        ? {
+          title: "Pattern too long",
+          description: `${name} supports patterns up to ${maxPatternLength} characters`,
+          variant: "destructive"
+        }
+        : {
+          title: "Pattern syntax not supported",
+          description: `${name} only matches literal patterns; pick an automaton algorithm for ${PATTERN_SYNTAXES[patternSyntax].toLowerCase()} patterns`,
+          variant: "destructive"
+        });
+      return;
+    }
+
+    let allResults;
+    try {
+      allResults = await matcherWorker.run('search', {
+        source: getSource(),
+        patterns: patternList,
+        algorithm: selectedAlgorithm,
+        caseInsensitive,
+        // Index algorithms keep their index between runs on the same text
+        options: { ...matchOptions, reuseIndex: true }
+      }, { timeout: searchTimeout(selectedAlgorithm, patternList.length) });
+    } catch (error) {
+      handleRunError(error);
+      return;
+    }
     
+    // A shared link may name a trace and step; both are clamped to this run
+    const traceKey = trace === 'merged' || allResults[trace] ? trace : 'pattern_0';
+    const traceLength = traceKey === 'merged'
+      ? Object.values(allResults).reduce((sum, r) => sum + r.detailedSteps.length, 0)
+      : allResults[traceKey].detailedSteps.length;
+
     setResults(allResults);
-    setCurrentStep(0);
-    setIsRunning(false);
+    setSweepResults(null);
+    setRunInputs(currentInputs());
+    setActiveTrace(traceKey);
+    setCurrentStep(Math.max(0, Math.min(step, traceLength - 1)));
     setShowSteps(true);
     
     const totalMatches = Object.values(allResults).reduce((sum, r) => sum + r.matches.length, 0);
+    const truncated = Object.values(allResults).some(r => r.recording?.dropped > 0);
     toast({
-      title: "Algorithm completed",
-      description: `Found ${totalMatches} total matches across ${patternList.length} patterns`
+      title: truncated ? "Algorithm completed, trace truncated" : "Algorithm completed",
+      description: `Found ${totalMatches} total matches across ${patternList.length} patterns` +
+        (truncated ? `. The trace stopped at ${MAX_TRACE_STEPS.toLocaleString()} steps; pick a text range or summary trace to see the rest` : '')
     });
   };
 
-  const runAllAlgorithms = () => {
-    const patternList = parsePatterns(patterns);
-    if (!text || patternList.length === 0) return;
-    
-    const benchmarkResults = {};
-    Object.keys(algorithms).forEach(alg => {
-      const start = performance.now();
-      let totalMatches = 0;
-      let totalComparisons = 0;
-      
-      patternList.forEach(pattern => {
-        const result = algorithms[alg].func(text, pattern, caseInsensitive);
-        totalMatches += result.matches.length;
-        totalComparisons += result.comparisons;
-      });
-      
-      const end = performance.now();
-      benchmarkResults[alg] = { 
-        matches: totalMatches, 
-        time: end - start,
-        comparisons: totalComparisons
-      };
+  // What a run was started with, stored alongside its results in an exported run
+  const currentInputs = () => ({
+    text: largeFile ? null : text,
+    file: largeFile?.name ?? null,
+    patterns,
+    patternSyntax,
+    caseInsensitive,
+    algorithm: selectedAlgorithm,
+    maxErrors,
+    unicodeUnit,
+    normalization,
+    hashing,
+    recording,
+    generator: largeFile ? null : generatorSpec
+  });
+
+  const exportName = (extension) => `${runInputs?.algorithm ?? 'benchmark'}-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
+
+  const exportMatchesCsv = () => {
+    const csv = matchesToCsv(results, results.pattern_0?.chunked ? null : text);
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), exportName('csv'));
+  };
+
+  const exportRunJson = () => {
+    const json = serializeRun(runInputs, results, sweepResults);
+    downloadBlob(new Blob([json], { type: 'application/json' }), exportName('json'));
+  };
+
+  // Merged timelines mix patterns, so each step is laid out against its own result
+  const layoutStep = (step, index, columns) => {
+    const result = results[step.patternKey || activeTrace];
+    return layoutFrame({
+      text: traceText(result),
+      pattern: tracePattern(result),
+      step,
+      description: describeStep(step, result, text),
+      algorithm: result.algorithm,
+      index,
+      total: timeline.length,
+      columns
     });
-    
-    setResults(benchmarkResults);
-    setShowSteps(false);
   };
 
-  const highlightText = (textStr, allResults, currentStep = -1) => {
-    let highlighted = textStr;
-    const colors = ['bg-primary', 'bg-accent', 'bg-success', 'bg-warning', 'bg-info'];
-    
-    // Collect all matches from all patterns
-    const allMatches = [];
-    Object.values(allResults).forEach((result, patternIndex) => {
-      // Only process if matches is an array (not a number from benchmark)
-      if (result.matches && Array.isArray(result.matches) && result.pattern) {
-        result.matches.forEach(match => {
-          allMatches.push({
-            start: match,
-            end: match + result.pattern.length,
-            color: colors[patternIndex % colors.length],
-            pattern: result.pattern
-          });
-        });
-      }
+  const stepColumns = (step) => {
+    const result = results[step.patternKey || activeTrace];
+    return frameColumns(traceText(result), tracePattern(result));
+  };
+
+  const exportFrameSvg = () => {
+    const step = getCurrentStepInfo();
+    const svg = frameToSvg(layoutStep(step, currentStep, stepColumns(step)));
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), exportName(`step-${currentStep + 1}.svg`));
+  };
+
+  const exportAnimationGif = () => {
+    const stride = Math.max(1, Math.ceil(timeline.length / MAX_GIF_FRAMES));
+    const picked = timeline.map((step, index) => ({ step, index })).filter(({ index }) => index % stride === 0);
+    const columns = Math.max(...picked.map(({ step }) => stepColumns(step)));
+    const gif = framesToGif(picked.map(({ step, index }) => layoutStep(step, index, columns)), playSpeed);
+    downloadBlob(new Blob([gif], { type: 'image/gif' }), exportName('gif'));
+    if (stride > 1) {
+      toast({ title: "Animation sampled", description: `Every ${stride}th of ${timeline.length} steps was kept (${picked.length} frames)` });
+    }
+  };
+
+  // Replays an exported run as it was recorded; nothing is recomputed
+  const handleRunImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    let run;
+    try {
+      run = parseRun(await file.text());
+    } catch (error) {
+      toast({ title: "Import failed", description: error.message, variant: "destructive" });
+      return;
+    }
+
+    const { inputs, results: imported, sweep } = run;
+    setLargeFile(null);
+    setCorpus(null);
+    if (typeof inputs.text === 'string') setText(inputs.text);
+    setGeneratorSpec(inputs.generator ?? null);
+    if (typeof inputs.patterns === 'string') setPatterns(inputs.patterns);
+    if (PATTERN_SYNTAXES[inputs.patternSyntax]) setPatternSyntax(inputs.patternSyntax);
+    setCaseInsensitive(Boolean(inputs.caseInsensitive));
+    if (Number.isInteger(inputs.maxErrors)) setMaxErrors(inputs.maxErrors);
+    if (inputs.unicodeUnit === 'code-unit' || UNICODE_UNITS[inputs.unicodeUnit]) setUnicodeUnit(inputs.unicodeUnit);
+    if (NORMALIZATIONS[inputs.normalization]) setNormalization(inputs.normalization);
+    if (algorithms[inputs.algorithm]) setSelectedAlgorithm(inputs.algorithm);
+    if (HASH_SCHEMES[inputs.hashing?.scheme]) setHashing({ ...DEFAULT_HASHING, ...inputs.hashing });
+    if (TRACE_LEVELS[inputs.recording?.level]) setRecording({ ...DEFAULT_RECORDING, ...inputs.recording });
+
+    const traced = Object.values(imported).some(result => result.detailedSteps);
+    setResults(imported);
+    setSweepResults(sweep);
+    setRunInputs(inputs);
+    setActiveTrace('pattern_0');
+    setCurrentStep(0);
+    setShowSteps(traced);
+    toast({
+      title: "Run imported",
+      description: traced ? `Replaying the recorded trace from ${file.name}` : `Loaded benchmark results from ${file.name}`
     });
-    
-    // Sort matches by position (reverse for safe replacement)
-    allMatches.sort((a, b) => b.start - a.start);
-    
-    allMatches.forEach(match => {
-      const className = `${match.color} text-white rounded px-1 font-bold transition-smooth`;
-      highlighted = 
-        highlighted.slice(0, match.start) + 
-        `<span class="${className}" title="Pattern: ${match.pattern}">${highlighted.slice(match.start, match.end)}</span>` + 
-        highlighted.slice(match.end);
+  };
+
+  // Put the experiment in the address bar and copy the link. `compare` carries the
+  // comparison's own state when sharing from the compare view.
+  const shareExperiment = async (compare) => {
+    if (largeFile) {
+      toast({ title: "Cannot share a streamed file", description: "Links carry the text box contents only", variant: "destructive" });
+      return;
+    }
+    const params = await encodeExperiment({
+      text,
+      patterns,
+      patternSyntax,
+      caseInsensitive,
+      algorithm: selectedAlgorithm,
+      maxErrors,
+      unicodeUnit,
+      normalization,
+      hashing,
+      step: showSteps && !compare ? currentStep : undefined,
+      trace: showSteps && !compare ? activeTrace : undefined,
+      compare
     });
+    const path = `${experimentPath(compare ? 'compare' : 'algorithm', selectedAlgorithm)}?${params}`;
+    const url = `${window.location.origin}${path}`;
+    // Not routed through the router: the page keeps its results and only the address changes
+    window.history.replaceState(window.history.state, '', path);
+
+    try {
+      await navigator.clipboard.writeText(url);
+      toast({
+        title: "Link copied",
+        description: url.length > MAX_SHARE_URL
+          ? `The link is ${url.length} characters long and may be too long for some browsers`
+          : 'Anyone with the link opens this experiment'
+      });
+    } catch {
+      toast({ title: "Link ready", description: "Copy it from the address bar" });
+    }
+  };
+
+  const runAllAlgorithms = async () => {
+    const patternList = parsePatterns(patterns);
+    if ((!text && !largeFile) || patternList.length === 0) return;
+    
+    // Warmup and timed runs over the input, then over every sweep point
+    const { warmup, repetitions, sweep } = benchmarkSettings;
+    const searches = (warmup + repetitions) * ((largeFile ? chunkCount(largeFile) : 1) + (SWEEP_SIZES[sweep]?.length ?? 0));
+
+    let benchmark;
+    try {
+      benchmark = await matcherWorker.run('benchmark', {
+        source: getSource(),
+        patterns: patternList,
+        caseInsensitive,
+        options: matchOptions,
+        settings: benchmarkSettings
+      }, { timeout: jobTimeout(Object.keys(algorithms), patternList.length, searches) });
+    } catch (error) {
+      handleRunError(error);
+      return;
+    }
     
-    return highlighted;
+    setResults(benchmark.summary);
+    setSweepResults(benchmark.sweep);
+    setRunInputs({ ...currentInputs(), algorithm: null, benchmark: benchmarkSettings });
+    setShowSteps(false);
   };
 
+  // Traces index Unicode units when Unicode mode is on, otherwise the raw strings
+  const traceText = (result) => result?.unicode?.textUnits ?? text;
+  const tracePattern = (result) => result?.unicode?.patternUnits ?? result?.pattern;
+
   const getCurrentStepInfo = () => {
-    if (!results.pattern_0?.detailedSteps || currentStep < 0) return null;
-    return results.pattern_0.detailedSteps[currentStep];
+    if (!timeline || currentStep < 0) return null;
+    return timeline[currentStep];
+  };
+
+  // The pattern run the current step came from (differs per step in the merged timeline)
+  const getCurrentStepResult = () => {
+    return results[getCurrentStepInfo()?.patternKey || activeTrace];
+  };
+
+  const traceRecording = () => (getCurrentStepResult() ?? results.pattern_0)?.recording;
+
+  // What the current trace leaves out, when it was not recorded in full
+  const traceNote = () => {
+    const info = traceRecording();
+    if (!info) return null;
+    const range = runInputs?.recording ?? recording;
+    const notes = {
+      windowed: `Trace of text positions ${range.from} to ${range.to - 1} and preprocessing.`,
+      summary: 'Summary trace: preprocessing and matches only.',
+      off: 'Trace off: only matches and metrics were kept.'
+    };
+    const parts = [notes[info.level]];
+    if (info.dropped > 0) {
+      parts.push(`The trace stopped at ${info.steps.toLocaleString()} steps; ${info.dropped.toLocaleString()} later steps were not recorded. Matches and metrics cover the whole search.`);
+    }
+    return parts.filter(Boolean).join(' ') || null;
+  };
+
+  const selectTrace = (traceKey) => {
+    setActiveTrace(traceKey);
+    setCurrentStep(0);
+    setIsPlaying(false);
   };
 
   const getChartData = () => {
@@ -406,7 +627,10 @@ export default function StringMatcher() {
       algorithm: algorithms[alg]?.name || alg,
       time: result.time,
       matches: result.matches,
-      comparisons: result.comparisons
+      comparisons: result.comparisons,
+      stats: result.stats,
+      metrics: result.metrics,
+      ...result.metrics
     }));
   };
 
@@ -420,7 +644,7 @@ export default function StringMatcher() {
               Advanced String Matching Engine
             </h1>
             <p className="text-muted-foreground text-lg">
-              Interactive visualization of KMP, Rabin-Karp, and Z-Algorithm with real-time analysis
+              Interactive visualization of exact, multi-pattern and approximate string matching with real-time analysis
             </p>
           </div>
 
@@ -437,31 +661,107 @@ export default function StringMatcher() {
               <div className="space-y-3">
                 <div className="flex items-center justify-between">
                   <Label className="text-sm font-medium">Text</Label>
-                  <Button 
-                    variant="outline" 
-                    size="sm"
-                    onClick={() => fileInputRef.current?.click()}
-                  >
-                    <Upload className="w-4 h-4 mr-2" />
-                    Upload File
-                  </Button>
+                  <div className="flex gap-2">
+                    <Button
+                      variant={showGenerator ? 'secondary' : 'outline'}
+                      size="sm"
+                      onClick={() => setShowGenerator(prev => !prev)}
+                    >
+                      <Wand2 className="w-4 h-4 mr-2" />
+                      Generate
+                    </Button>
+                    <Button 
+                      variant="outline" 
+                      size="sm"
+                      onClick={() => fileInputRef.current?.click()}
+                    >
+                      <Upload className="w-4 h-4 mr-2" />
+                      Upload Files
+                    </Button>
+                    <Button 
+                      variant="outline" 
+                      size="sm"
+                      onClick={() => folderInputRef.current?.click()}
+                    >
+                      <FolderOpen className="w-4 h-4 mr-2" />
+                      Upload Folder
+                    </Button>
+                  </div>
                   <input
                     type="file"
                     ref={fileInputRef}
                     onChange={handleFileUpload}
-                    accept=".txt,.csv,.log"
+                    accept={CORPUS_EXTENSIONS.join(',')}
+                    multiple
+                    className="hidden"
+                  />
+                  <input
+                    type="file"
+                    ref={folderInputRef}
+                    onChange={handleFolderUpload}
+                    webkitdirectory=""
                     className="hidden"
                   />
                 </div>
-                <Textarea
-                  value={text}
-                  onChange={(e) => setText(e.target.value)}
-                  placeholder="Enter the text to search in or upload a file..."
-                  className="font-mono text-sm min-h-24 resize-y"
-                />
-                <Badge variant="secondary" className="text-xs">
-                  {text.length} characters
-                </Badge>
+                {showGenerator && (
+                  <GeneratorPanel hashing={hashing} onGenerate={generateText} disabled={isRunning} />
+                )}
+                {corpus ? (
+                  <div className="flex items-center justify-between gap-4 p-4 bg-secondary rounded-lg">
+                    <div className="text-sm min-w-0">
+                      <div className="font-medium">Corpus of {corpus.length} files</div>
+                      <div className="text-muted-foreground text-xs font-mono truncate">
+                        {corpus.slice(0, 3).map(({ path }) => path).join(', ')}
+                        {corpus.length > 3 && ` … (+${corpus.length - 3} more)`}
+                      </div>
+                    </div>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => {
+                        setCorpus(null);
+                        setCorpusResults(null);
+                      }}
+                      disabled={isRunning}
+                    >
+                      Use text box
+                    </Button>
+                  </div>
+                ) : largeFile ? (
+                  <div className="flex items-center justify-between p-4 bg-secondary rounded-lg">
+                    <div className="text-sm">
+                      <div className="font-medium">{largeFile.name}</div>
+                      <div className="text-muted-foreground text-xs">
+                        Searched in {formatBytes(CHUNK_BYTES)} chunks by a background worker
+                      </div>
+                    </div>
+                    <Button variant="ghost" size="sm" onClick={() => setLargeFile(null)} disabled={isRunning}>
+                      Use text box
+                    </Button>
+                  </div>
+                ) : (
+                  <Textarea
+                    value={text}
+                    onChange={(e) => {
+                      setText(e.target.value);
+                      setGeneratorSpec(null);
+                    }}
+                    placeholder="Enter the text to search in or upload a file..."
+                    className="font-mono text-sm min-h-24 resize-y"
+                  />
+                )}
+                <div className="flex flex-wrap gap-2">
+                  <Badge variant="secondary" className="text-xs">
+                    {corpus
+                      ? formatBytes(corpus.reduce((sum, { file }) => sum + file.size, 0))
+                      : largeFile ? formatBytes(largeFile.size) : `${text.length} characters`}
+                  </Badge>
+                  {generatorSpec && !largeFile && !corpus && (
+                    <Badge variant="outline" className="text-xs">
+                      {GENERATORS[generatorSpec.kind].name} · seed {generatorSpec.seed}
+                    </Badge>
+                  )}
+                </div>
               </div>
               
               {/* Pattern Input */}
@@ -469,13 +769,17 @@ export default function StringMatcher() {
                 <Label className="text-sm font-medium">
                   Patterns 
                   <span className="text-muted-foreground text-xs ml-2">
-                    (separate multiple patterns with commas)
+                    {patternSyntax === 'literal'
+                      ? '(separate multiple patterns with commas, \\, for a literal comma)'
+                      : patternSyntax === 'wildcard'
+                        ? '(one pattern: ? any character, * any run, [a-z] classes)'
+                        : '(one pattern: . [...] \\d \\w \\s ( ) | * + ? {m,n})'}
                   </span>
                 </Label>
                 <Input
                   value={patterns}
                   onChange={(e) => setPatterns(e.target.value)}
-                  placeholder="e.g., ababc, abc, pattern"
+                  placeholder={patternSyntax === 'literal' ? 'e.g., ababc, abc, pattern' : patternSyntax === 'wildcard' ? 'e.g., ab?c*' : 'e.g., ab(c|d)+'}
                   className="font-mono"
                 />
               </div>
@@ -490,18 +794,32 @@ export default function StringMatcher() {
                   />
                   <Label htmlFor="case-insensitive" className="text-sm">
                     Case insensitive
+                    {unicodeUnit !== 'code-unit' && (
+                      <span className="text-muted-foreground text-xs ml-1">(full case folding)</span>
+                    )}
                   </Label>
                 </div>
                 
                 <div className="space-y-2 flex-1 max-w-xs">
-                  <Label className="text-sm font-medium">Algorithm</Label>
+                  <div className="flex items-center justify-between">
+                    <Label className="text-sm font-medium">Algorithm</Label>
+                    <Button
+                      variant={showPlugins ? 'secondary' : 'ghost'}
+                      size="sm"
+                      className="h-6 px-2 text-xs"
+                      onClick={() => setShowPlugins(prev => !prev)}
+                    >
+                      <Puzzle className="w-3 h-3 mr-1" />
+                      Plugins{plugins.length > 0 ? ` (${plugins.length})` : ''}
+                    </Button>
+                  </div>
                   <Select value={selectedAlgorithm} onValueChange={setSelectedAlgorithm}>
                     <SelectTrigger>
                       <SelectValue />
                     </SelectTrigger>
                     <SelectContent>
                       {Object.entries(algorithms).map(([key, alg]) => (
-                        <SelectItem key={key} value={key}>
+                        <SelectItem key={key} value={key} disabled={patternSyntax !== 'literal' && !alg.regex}>
                           <div className="flex items-center gap-2">
                             <div className={`w-3 h-3 rounded-full ${alg.color}`} />
                             {alg.name}
@@ -511,30 +829,276 @@ export default function StringMatcher() {
                     </SelectContent>
                   </Select>
                 </div>
+                
+                <div className="space-y-2 w-36">
+                  <Label className="text-sm font-medium">Pattern syntax</Label>
+                  <Select value={patternSyntax} onValueChange={changePatternSyntax}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(PATTERN_SYNTAXES).map(([key, label]) => (
+                        <SelectItem key={key} value={key}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                
+                <div className="space-y-2 w-48">
+                  <Label className="text-sm font-medium">Match by</Label>
+                  <Select value={unicodeUnit} onValueChange={setUnicodeUnit}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="code-unit">UTF-16 code units</SelectItem>
+                      {Object.entries(UNICODE_UNITS).map(([key, label]) => (
+                        <SelectItem key={key} value={key}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                
+                {unicodeUnit !== 'code-unit' && (
+                  <div className="space-y-2 w-44">
+                    <Label className="text-sm font-medium">Normalization</Label>
+                    <Select value={normalization} onValueChange={setNormalization}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(NORMALIZATIONS).map(([key, label]) => (
+                          <SelectItem key={key} value={key}>{label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+                
+                {algorithms[selectedAlgorithm].approximate && (
+                  <div className="space-y-2 w-32">
+                    <Label htmlFor="max-errors" className="text-sm font-medium">Max errors k</Label>
+                    <Input
+                      id="max-errors"
+                      type="number"
+                      min={0}
+                      max={10}
+                      value={maxErrors}
+                      onChange={(e) => setMaxErrors(Math.max(0, Math.min(10, Number(e.target.value) || 0)))}
+                      className="font-mono"
+                    />
+                  </div>
+                )}
+                
+                {selectedAlgorithm === 'rabin-karp' && (
+                  <>
+                    <div className="space-y-2 w-48">
+                      <Label className="text-sm font-medium">Hashing</Label>
+                      <Select value={hashing.scheme} onValueChange={(scheme) => setHashing(prev => ({ ...prev, scheme }))}>
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(HASH_SCHEMES).map(([key, label]) => (
+                            <SelectItem key={key} value={key}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    {[
+                      ['base', 'Base', MAX_BASE, true],
+                      ['modulus', 'Modulus', MAX_MODULUS, hashing.scheme !== 'mod64'],
+                      ['base2', 'Base 2', MAX_BASE, hashing.scheme === 'double'],
+                      ['modulus2', 'Modulus 2', MAX_MODULUS, hashing.scheme === 'double']
+                    ].filter(([, , , shown]) => shown).map(([key, label, max]) => (
+                      <div key={key} className="space-y-2 w-32">
+                        <Label htmlFor={`hash-${key}`} className="text-sm font-medium">{label}</Label>
+                        <Input
+                          id={`hash-${key}`}
+                          type="number"
+                          min={2}
+                          max={max}
+                          value={hashing[key]}
+                          onChange={(e) => setHashing(prev => ({ ...prev, [key]: e.target.value }))}
+                          // Clamped once editing is done so multi-digit values can be typed
+                          onBlur={() => setHashing(prev => ({ ...prev, [key]: Math.max(2, Math.min(max, Math.floor(Number(prev[key])) || 2)) }))}
+                          className="font-mono"
+                        />
+                      </div>
+                    ))}
+                  </>
+                )}
+                
+                <div className="space-y-2 w-36">
+                  <Label className="text-sm font-medium">Trace</Label>
+                  <Select value={recording.level} onValueChange={(level) => setRecording(prev => ({ ...prev, level }))}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(TRACE_LEVELS).map(([key, label]) => (
+                        <SelectItem key={key} value={key}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                
+                {recording.level === 'windowed' && [
+                  ['from', 'From position', 0],
+                  ['to', 'To position', 1]
+                ].map(([key, label, min]) => (
+                  <div key={key} className="space-y-2 w-32">
+                    <Label htmlFor={`trace-${key}`} className="text-sm font-medium">{label}</Label>
+                    <Input
+                      id={`trace-${key}`}
+                      type="number"
+                      min={min}
+                      value={recording[key]}
+                      onChange={(e) => setRecording(prev => ({ ...prev, [key]: e.target.value }))}
+                      // The range keeps at least one position; to is exclusive
+                      onBlur={() => setRecording(prev => {
+                        const from = Math.max(0, Math.floor(Number(prev.from)) || 0);
+                        return { ...prev, from, to: Math.max(from + 1, Math.floor(Number(prev.to)) || 0) };
+                      })}
+                      className="font-mono"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              {showPlugins && (
+                <PluginEditor plugins={plugins} onSubmit={submitPlugin} onRemove={removePlugin} disabled={isRunning} />
+              )}
+              
+              {/* Benchmark Settings */}
+              <div className="flex flex-wrap gap-6 items-end">
+                <div className="space-y-2 w-28">
+                  <Label htmlFor="warmup" className="text-sm font-medium">Warmup runs</Label>
+                  <Input
+                    id="warmup"
+                    type="number"
+                    min={0}
+                    max={20}
+                    value={benchmarkSettings.warmup}
+                    onChange={(e) => setBenchmarkSettings(prev => ({ ...prev, warmup: Math.max(0, Math.min(20, Number(e.target.value) || 0)) }))}
+                    className="font-mono"
+                  />
+                </div>
+                <div className="space-y-2 w-28">
+                  <Label htmlFor="repetitions" className="text-sm font-medium">Repetitions</Label>
+                  <Input
+                    id="repetitions"
+                    type="number"
+                    min={1}
+                    max={100}
+                    value={benchmarkSettings.repetitions}
+                    onChange={(e) => setBenchmarkSettings(prev => ({ ...prev, repetitions: Math.max(1, Math.min(100, Number(e.target.value) || 1)) }))}
+                    className="font-mono"
+                  />
+                </div>
+                <div className="space-y-2 w-44">
+                  <Label className="text-sm font-medium">Size sweep</Label>
+                  <Select
+                    value={benchmarkSettings.sweep}
+                    onValueChange={(sweep) => setBenchmarkSettings(prev => ({ ...prev, sweep }))}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">None</SelectItem>
+                      <SelectItem value="text">Text length</SelectItem>
+                      <SelectItem value="pattern">Pattern length</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
               </div>
               
               {/* Action Buttons */}
               <div className="flex gap-3 pt-2">
                 <Button 
-                  onClick={runAlgorithm} 
+                  onClick={() => runAlgorithm()} 
                   disabled={isRunning} 
                   className="glow-effect"
                 >
                   <Play className="w-4 h-4 mr-2" />
-                  Run Visualization
+                  {corpus ? 'Search All Files' : 'Run Visualization'}
                 </Button>
-                <Button onClick={runAllAlgorithms} variant="secondary">
+                <Button onClick={runAllAlgorithms} disabled={isRunning || Boolean(corpus)} variant="secondary">
                   <SkipForward className="w-4 h-4 mr-2" />
                   Benchmark All
                 </Button>
-                <Button onClick={() => setResults({})} variant="outline">
-                  <RotateCcw className="w-4 h-4 mr-2" />
-                  Reset
+                <Button onClick={() => setShowCompare(!showCompare)} variant={showCompare ? 'default' : 'outline'} disabled={Boolean(largeFile || corpus)}>
+                  <Columns2 className="w-4 h-4 mr-2" />
+                  Compare
                 </Button>
+                <Button onClick={() => shareExperiment()} variant="outline" disabled={Boolean(largeFile || corpus)}>
+                  <Link2 className="w-4 h-4 mr-2" />
+                  Share
+                </Button>
+                <Button onClick={() => importInputRef.current?.click()} variant="outline" disabled={isRunning}>
+                  <FileUp className="w-4 h-4 mr-2" />
+                  Import Run
+                </Button>
+                <input
+                  type="file"
+                  ref={importInputRef}
+                  onChange={handleRunImport}
+                  accept=".json,application/json"
+                  className="hidden"
+                />
+                {isRunning ? (
+                  <Button onClick={matcherWorker.cancel} variant="destructive">
+                    <X className="w-4 h-4 mr-2" />
+                    Cancel
+                  </Button>
+                ) : (
+                  <Button onClick={() => { setResults({}); setSweepResults(null); setCorpusResults(null); }} variant="outline">
+                    <RotateCcw className="w-4 h-4 mr-2" />
+                    Reset
+                  </Button>
+                )}
               </div>
+              
+              {isRunning && (
+                <div className="flex items-center gap-3">
+                  <Progress value={matcherWorker.progress * 100} className="h-2" />
+                  <span className="text-xs text-muted-foreground w-10 text-right">
+                    {Math.round(matcherWorker.progress * 100)}%
+                  </span>
+                </div>
+              )}
             </CardContent>
           </Card>
 
+          {/* Lockstep comparison */}
+          {showCompare && !largeFile && !corpus && (
+            <div className="mt-6">
+              <CompareView
+                key={sharedCompare ? 'shared' : 'default'}
+                initial={sharedCompare}
+                onShare={shareExperiment}
+                text={text}
+                pattern={parsePatterns(patterns)[0]}
+                caseInsensitive={caseInsensitive}
+                options={matchOptions}
+                onClose={() => setShowCompare(false)}
+              />
+            </div>
+          )}
+
+          {/* Per-file results of a corpus search */}
+          {corpus && corpusResults && (
+            <div className="mt-6">
+              <CorpusView
+                entries={corpus}
+                corpus={corpusResults}
+                initialAlgorithm={selectedAlgorithm}
+                onClose={() => setCorpusResults(null)}
+              />
+            </div>
+          )}
+
           {/* Results Section */}
           {Object.keys(results).length > 0 && (
             <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
@@ -555,8 +1119,23 @@ export default function StringMatcher() {
                         </Tooltip>
                       )}
                     </CardTitle>
-                    {showSteps && results.pattern_0?.detailedSteps && (
+                    {showSteps && timeline && (
                       <div className="flex items-center gap-2">
+                        {!sharedTrace && Object.keys(results).length > 1 && (
+                          <Select value={activeTrace} onValueChange={selectTrace}>
+                            <SelectTrigger className="w-44 h-9">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {Object.entries(results).map(([key, result]) => (
+                                <SelectItem key={key} value={key}>
+                                  "{result.pattern}"
+                                </SelectItem>
+                              ))}
+                              <SelectItem value="merged">All patterns (merged)</SelectItem>
+                            </SelectContent>
+                          </Select>
+                        )}
                         <Button
                           variant="outline"
                           size="sm"
@@ -575,8 +1154,8 @@ export default function StringMatcher() {
                         <Button
                           variant="outline"
                           size="sm"
-                          onClick={() => setCurrentStep(Math.min(results.pattern_0.detailedSteps.length - 1, currentStep + 1))}
-                          disabled={currentStep >= results.pattern_0.detailedSteps.length - 1}
+                          onClick={() => setCurrentStep(Math.min(timeline.length - 1, currentStep + 1))}
+                          disabled={currentStep >= timeline.length - 1}
                         >
                           <ChevronRight className="w-4 h-4" />
                         </Button>
@@ -586,20 +1165,43 @@ export default function StringMatcher() {
                 </CardHeader>
                 <CardContent className="space-y-4">
                   {/* Text Visualization */}
-                  <div className="p-4 bg-secondary rounded-lg">
-                    <div 
-                      className="font-mono text-sm leading-relaxed break-all"
-                      dangerouslySetInnerHTML={{
-                        __html: highlightText(text, results)
-                      }}
+                  {results.pattern_0?.chunked ? (
+                    <div className="p-4 bg-secondary rounded-lg space-y-2 text-sm">
+                      <p className="text-muted-foreground">
+                        The file was searched in chunks, so no step trace was kept. Match positions:
+                      </p>
+                      {Object.values(results).map((result, index) => (
+                        <div key={index} className="font-mono text-xs break-all">
+                          "{result.pattern}": {result.matches.slice(0, 100).join(', ')}
+                          {result.matches.length > 100 && ` … (+${result.matches.length - 100} more)`}
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <TextViewer text={text} results={results} />
+                  )}
+                  
+                  {/* Pattern alignment at the current step */}
+                  {showSteps && getCurrentStepInfo() && (
+                    <AlignmentView
+                      text={traceText(getCurrentStepResult())}
+                      pattern={tracePattern(getCurrentStepResult())}
+                      step={getCurrentStepInfo()}
+                      algorithm={getCurrentStepResult().algorithm}
                     />
-                  </div>
+                  )}
+                  
+                  {showSteps && traceNote() && (
+                    <p className={`text-xs ${traceRecording()?.dropped > 0 ? 'text-warning' : 'text-muted-foreground'}`}>
+                      {traceNote()}
+                    </p>
+                  )}
                   
                   {/* Step Progress */}
-                  {showSteps && results.pattern_0?.detailedSteps && (
+                  {showSteps && timeline?.length > 0 && (
                     <div className="space-y-3">
                       <div className="flex items-center justify-between text-sm">
-                        <span>Step {currentStep + 1} of {results.pattern_0.detailedSteps.length}</span>
+                        <span>Step {currentStep + 1} of {timeline.length}</span>
                         <div className="flex items-center gap-2">
                           <Label htmlFor="speed">Speed:</Label>
                           <Select value={playSpeed.toString()} onValueChange={(v) => setPlaySpeed(Number(v))}>
@@ -614,9 +1216,10 @@ export default function StringMatcher() {
                           </Select>
                         </div>
                       </div>
-                      <Progress 
-                        value={(currentStep / (results.pattern_0.detailedSteps.length - 1)) * 100} 
-                        className="h-2"
+                      <PhaseTimeline
+                        steps={timeline}
+                        currentStep={currentStep}
+                        onSeek={setCurrentStep}
                       />
                       
                       {/* Current Step Info */}
@@ -629,15 +1232,121 @@ export default function StringMatcher() {
                             >
                               {getCurrentStepInfo().type}
                             </Badge>
+                            <Badge variant="outline" className="mb-2 ml-2">
+                              {getCurrentStepInfo().phase || 'search'}
+                            </Badge>
+                            {getCurrentStepInfo().patternKey && (
+                              <Badge variant="outline" className="mb-2 ml-2">
+                                "{getCurrentStepResult().pattern}"
+                              </Badge>
+                            )}
+                            {getCurrentStepInfo().rule && (
+                              <Badge variant="outline" className="mb-2 ml-2">
+                                {getCurrentStepInfo().rule} rule
+                              </Badge>
+                            )}
                             <p className="text-muted-foreground">
-                              {getCurrentStepInfo().description}
+                              {describeStep(getCurrentStepInfo(), getCurrentStepResult(), text)}
                             </p>
+                            {getCurrentStepInfo().vectors && (
+                              <div className="font-mono text-xs mt-2 space-y-1">
+                                {getCurrentStepInfo().vectors.map((bits, d) => (
+                                  <div key={d}>R{d} = {bits}</div>
+                                ))}
+                              </div>
+                            )}
+                            {getCurrentStepInfo().column && (
+                              <div className="flex gap-1 font-mono text-xs mt-2">
+                                {getCurrentStepInfo().column.map((cost, j) => (
+                                  <div key={j} className="flex flex-col items-center">
+                                    <span className="text-muted-foreground">{j === 0 ? 'ε' : tracePattern(getCurrentStepResult())[j - 1]}</span>
+                                    <span className={`px-1 rounded ${cost <= maxErrors && j === getCurrentStepInfo().column.length - 1 ? 'bg-success text-white' : 'bg-secondary'}`}>
+                                      {cost}
+                                    </span>
+                                  </div>
+                                ))}
+                              </div>
+                            )}
+                            {getCurrentStepInfo().tableEntry && (
+                              <p className="font-mono text-xs mt-2">
+                                {getCurrentStepInfo().tableEntry.table}[{JSON.stringify(getCurrentStepInfo().tableEntry.key)}] = {getCurrentStepInfo().tableEntry.value}
+                              </p>
+                            )}
                           </div>
                         </Card>
                       )}
+                      
+                      {getCurrentStepInfo() && (
+                        <PseudocodePanel
+                          algorithm={getCurrentStepResult().algorithm}
+                          step={getCurrentStepInfo()}
+                        />
+                      )}
+                      
+                      <PreprocessingTable
+                        steps={getCurrentStepResult()?.detailedSteps}
+                        currentStep={getCurrentStepInfo()?.sourceIndex ?? currentStep}
+                        pattern={tracePattern(getCurrentStepResult())}
+                        text={traceText(getCurrentStepResult())}
+                      />
                     </div>
                   )}
                   
+                  {/* Automaton */}
+                  {showSteps && results.pattern_0?.automaton && (
+                    <AutomatonView
+                      automaton={results.pattern_0.automaton}
+                      patterns={Object.values(results).map(r => r.pattern)}
+                      activeState={getCurrentStepInfo()?.state}
+                      outputState={getCurrentStepInfo()?.outputState}
+                    />
+                  )}
+                  
+                  {/* Thompson NFA */}
+                  {showSteps && results.pattern_0?.nfa && (
+                    <NfaView
+                      nfa={results.pattern_0.nfa}
+                      activeStates={getCurrentStepInfo()?.activeStates}
+                    />
+                  )}
+                  
+                  {/* Rabin-Karp hash collisions for the trace being stepped */}
+                  {showSteps && (getCurrentStepResult() ?? results.pattern_0)?.hashing?.histogram && (
+                    <CollisionView hashing={(getCurrentStepResult() ?? results.pattern_0).hashing} />
+                  )}
+                  
+                  {/* Suffix array index */}
+                  {showSteps && results.pattern_0?.index && (
+                    <SuffixArrayView
+                      index={results.pattern_0.index}
+                      text={traceText(results.pattern_0)}
+                      patterns={Object.values(results).map(r => r.pattern)}
+                      steps={results.pattern_0.detailedSteps}
+                      currentStep={currentStep}
+                    />
+                  )}
+                  
+                  {/* Export */}
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-sm text-muted-foreground mr-1">Export</span>
+                    <Button variant="outline" size="sm" onClick={exportMatchesCsv} disabled={!showSteps && !results.pattern_0?.chunked}>
+                      <Download className="w-4 h-4 mr-2" />
+                      Matches CSV
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={exportRunJson} disabled={!runInputs}>
+                      <Download className="w-4 h-4 mr-2" />
+                      Run JSON
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={exportFrameSvg} disabled={!showSteps || !getCurrentStepInfo()}>
+                      <Download className="w-4 h-4 mr-2" />
+                      Frame SVG
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={exportAnimationGif} disabled={!showSteps || !timeline?.length}>
+                      <Download className="w-4 h-4 mr-2" />
+                      Animation GIF
+                    </Button>
+                  </div>
+                  
                   {/* Results Summary */}
                   <div className="flex flex-wrap gap-2">
                     {Object.values(results).map((result, index) => (
@@ -651,6 +1360,11 @@ export default function StringMatcher() {
                               {result.time.toFixed(2)}ms
                             </Badge>
                           )}
+                          {algorithms[result.algorithm]?.approximate && result.hits?.slice(0, 10).map(hit => (
+                            <Badge key={`${hit.position}-${hit.end}`} variant="outline" className="text-xs">
+                              @{hit.position} ({hit.errors} err)
+                            </Badge>
+                          ))}
                         </div>
                       )
                     ))}
@@ -668,7 +1382,7 @@ export default function StringMatcher() {
                     <div className="space-y-6">
                       {/* Runtime Chart */}
                       <div>
-                        <h4 className="text-sm font-medium mb-3">Execution Time (ms)</h4>
+                        <h4 className="text-sm font-medium mb-3">Median Execution Time (ms)</h4>
                         <ResponsiveContainer width="100%" height={200}>
                           <BarChart data={getChartData()}>
                             <CartesianGrid strokeDasharray="3 3" />
@@ -680,16 +1394,28 @@ export default function StringMatcher() {
                         </ResponsiveContainer>
                       </div>
                       
-                      {/* Comparison Chart */}
+                      {/* Metric Chart */}
                       <div>
-                        <h4 className="text-sm font-medium mb-3">Comparisons Made</h4>
+                        <div className="flex items-center justify-between mb-3">
+                          <h4 className="text-sm font-medium">Operation counts</h4>
+                          <Select value={chartMetric} onValueChange={setChartMetric}>
+                            <SelectTrigger className="w-56 h-8">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {METRICS.map(({ key, label }) => (
+                                <SelectItem key={key} value={key}>{label}</SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
                         <ResponsiveContainer width="100%" height={200}>
                           <BarChart data={getChartData()}>
                             <CartesianGrid strokeDasharray="3 3" />
                             <XAxis dataKey="algorithm" />
                             <YAxis />
                             <RechartsTooltip />
-                            <Bar dataKey="comparisons" fill="hsl(var(--accent))" />
+                            <Bar dataKey={chartMetric} fill="hsl(var(--accent))" />
                           </BarChart>
                         </ResponsiveContainer>
                       </div>
@@ -700,12 +1426,31 @@ export default function StringMatcher() {
                           <div key={index} className="flex justify-between items-center p-2 bg-muted rounded">
                             <span className="text-sm font-medium">{data.algorithm}</span>
                             <div className="text-right text-xs text-muted-foreground">
-                              <div>{data.time.toFixed(2)}ms</div>
-                              <div>{data.comparisons} comparisons</div>
+                              <div>{data.time.toFixed(2)}ms median</div>
+                              {data.stats && (
+                                <div>
+                                  p25–p75 {data.stats.p25.toFixed(2)}–{data.stats.p75.toFixed(2)}, p95 {data.stats.p95.toFixed(2)} ({data.stats.samples} runs)
+                                </div>
+                              )}
+                              {data.metrics ? (
+                                <div className="grid grid-cols-2 gap-x-3 mt-1">
+                                  {METRICS.map(({ key, label }) => (
+                                    <Fragment key={key}>
+                                      <span className="text-left">{label}</span>
+                                      <span>{formatMetric(key, data.metrics[key])}</span>
+                                    </Fragment>
+                                  ))}
+                                </div>
+                              ) : (
+                                <div>{data.comparisons} comparisons</div>
+                              )}
                             </div>
                           </div>
                         ))}
                       </div>
+                      
+                      {/* Size Sweep */}
+                      <BenchmarkCurves sweep={sweepResults} algorithms={algorithms} />
                     </div>
                   ) : (
                     <div className="text-center text-muted-foreground py-8">
@@ -0,0 +1,86 @@
+import { useEffect, useRef } from 'react';
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+import VirtualList from '@/components/VirtualList';
+
+const ROW_HEIGHT = 22;
+const LIST_HEIGHT = 264;
+const PREVIEW_CHARS = 40;
+
+// The binary-search state the trace is in at `currentStep`: the last probe or final range
+const searchStateAt = (steps, currentStep) => {
+  for (let i = Math.min(currentStep, steps.length - 1); i >= 0; i--) {
+    const step = steps[i];
+    if (step.type === 'sa-probe' || step.type === 'sa-range') return step;
+  }
+  return null;
+};
+
+// Sorted suffixes with their LCP values; the current query's search range is shaded,
+// the probed rank outlined and a finished range shown in the match colour.
+// `text` is a string, or the unit array of a Unicode-mode run.
+export default function SuffixArrayView({ index, text, patterns, steps, currentStep }) {
+  const listRef = useRef(null);
+  const state = searchStateAt(steps, currentStep);
+  const focus = state?.type === 'sa-probe' ? state.mid : state?.low;
+
+  useEffect(() => {
+    if (focus !== undefined) listRef.current?.scrollToIndex(focus);
+  }, [focus]);
+
+  const renderRow = (rank) => {
+    const start = index.suffixArray[rank];
+    const inRange = state && rank >= state.low && rank < state.high;
+    return (
+      <div
+        className={cn(
+          'flex items-center gap-3 px-2 h-full font-mono text-xs whitespace-pre',
+          inRange && (state.type === 'sa-range' ? 'bg-success/30' : 'bg-primary/15'),
+          state?.type === 'sa-probe' && rank === state.mid && 'outline outline-2 -outline-offset-2 outline-primary'
+        )}
+      >
+        <span className="w-12 shrink-0 text-right text-muted-foreground">{rank}</span>
+        <span className="w-14 shrink-0 text-right">@{start}</span>
+        <span className="w-10 shrink-0 text-right text-muted-foreground">{index.lcp[rank]}</span>
+        <span className="truncate">
+          {Array.from(text.slice(start, start + PREVIEW_CHARS)).join('').replace(/\r?\n/g, '⏎')}
+          {start + PREVIEW_CHARS < text.length && '…'}
+        </span>
+      </div>
+    );
+  };
+
+  return (
+    <div className="p-4 bg-secondary rounded-lg space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-medium">Suffix array</span>
+        <Badge variant={index.cached ? 'secondary' : 'outline'}>
+          {index.cached ? 'Reused index' : 'Built'} · build {index.buildTime.toFixed(2)}ms
+        </Badge>
+        {index.queryTimes.map((time, patternIndex) => (
+          <Badge
+            key={patternIndex}
+            variant={state?.patternIndex === patternIndex ? 'default' : 'outline'}
+          >
+            "{patterns[patternIndex]}" query {time.toFixed(3)}ms
+          </Badge>
+        ))}
+      </div>
+
+      <div className="flex gap-3 px-2 text-xs text-muted-foreground font-mono">
+        <span className="w-12 text-right">rank</span>
+        <span className="w-14 text-right">SA</span>
+        <span className="w-10 text-right">LCP</span>
+        <span>suffix</span>
+      </div>
+      <VirtualList
+        ref={listRef}
+        count={index.suffixArray.length}
+        rowHeight={ROW_HEIGHT}
+        height={Math.min(LIST_HEIGHT, index.suffixArray.length * ROW_HEIGHT)}
+        renderRow={renderRow}
+        className="bg-background rounded"
+      />
+    </div>
+  );
+}
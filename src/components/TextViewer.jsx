@@ -0,0 +1,170 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { ChevronUp, ChevronDown } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import MatchHighlighter from '@/components/MatchHighlighter';
+import VirtualList from '@/components/VirtualList';
+import {
+  buildRows, collectMatches, segmentMatches, sliceSegments, findByStart, locate, patternColor
+} from '@/lib/highlight';
+
+// Characters per visual row; longer lines wrap so a single-line file still virtualizes
+const ROW_WIDTH = 100;
+const ROW_HEIGHT = 20;
+const VIEW_HEIGHT = 320;
+const LIST_ROW_HEIGHT = 24;
+const LIST_HEIGHT = 192;
+const MINIMAP_BUCKETS = 64;
+const CONTEXT_CHARS = 20;
+
+const showBreaks = (str) => str.replace(/\r?\n/g, '⏎');
+
+// Virtualized, highlighted text with a match list, previous/next navigation
+// and a minimap of where matches cluster
+export default function TextViewer({ text, results }) {
+  const viewRef = useRef(null);
+  const listRef = useRef(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const rows = useMemo(() => buildRows(text, ROW_WIDTH), [text]);
+  const matches = useMemo(
+    () => collectMatches(results).sort((a, b) => a.start - b.start || a.patternIndex - b.patternIndex),
+    [results]
+  );
+  const segments = useMemo(() => segmentMatches(text.length, matches), [text, matches]);
+  const matchRows = useMemo(() => matches.map(match => findByStart(rows, match.start)), [matches, rows]);
+
+  const density = useMemo(() => {
+    const buckets = new Array(MINIMAP_BUCKETS).fill(0);
+    matchRows.forEach(row => {
+      buckets[Math.min(MINIMAP_BUCKETS - 1, Math.floor((row / rows.length) * MINIMAP_BUCKETS))]++;
+    });
+    return buckets;
+  }, [matchRows, rows]);
+  const peak = Math.max(1, ...density);
+
+  useEffect(() => setActiveIndex(-1), [results]);
+
+  const goTo = (index) => {
+    if (matches.length === 0) return;
+    const wrapped = (index + matches.length) % matches.length;
+    setActiveIndex(wrapped);
+    viewRef.current?.scrollToIndex(matchRows[wrapped]);
+    listRef.current?.scrollToIndex(wrapped);
+  };
+
+  const activeMatch = matches[activeIndex];
+  const viewHeight = Math.min(VIEW_HEIGHT, rows.length * ROW_HEIGHT + 16);
+  const contentHeight = rows.length * ROW_HEIGHT;
+  const lineDigits = String(rows[rows.length - 1].line + 1).length;
+
+  const renderRow = (index) => {
+    const row = rows[index];
+    return (
+      <div className="flex font-mono text-sm leading-5 whitespace-pre">
+        <span className="shrink-0 pr-3 text-right text-muted-foreground select-none" style={{ width: `${lineDigits + 2}ch` }}>
+          {row.start === row.lineStart ? row.line + 1 : ''}
+        </span>
+        <span>
+          <MatchHighlighter text={text} segments={sliceSegments(segments, row.start, row.end)} activeMatch={activeMatch} />
+        </span>
+      </div>
+    );
+  };
+
+  const renderMatch = (index) => {
+    const match = matches[index];
+    const { line, column } = locate(rows, match.start);
+    return (
+      <button
+        type="button"
+        onClick={() => goTo(index)}
+        className={cn(
+          'flex w-full items-center gap-2 px-2 h-full text-left text-xs hover:bg-muted',
+          index === activeIndex && 'bg-muted'
+        )}
+      >
+        <span className="inline-block w-2 h-2 shrink-0 rounded-full" style={{ backgroundColor: patternColor(match) }} />
+        <span className="w-20 shrink-0 font-mono text-muted-foreground">L{line}:C{column}</span>
+        <span className="truncate font-mono whitespace-pre">
+          <span className="text-muted-foreground">{showBreaks(text.slice(Math.max(0, match.start - CONTEXT_CHARS), match.start))}</span>
+          <span className="font-bold">{showBreaks(text.slice(match.start, match.end))}</span>
+          <span className="text-muted-foreground">{showBreaks(text.slice(match.end, match.end + CONTEXT_CHARS))}</span>
+        </span>
+      </button>
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-muted-foreground">
+          {matches.length === 0
+            ? 'No matches'
+            : activeIndex === -1
+              ? `${matches.length} matches`
+              : `Match ${activeIndex + 1} of ${matches.length}`}
+          {' · '}{rows[rows.length - 1].line + 1} lines
+        </span>
+        <div className="flex gap-1">
+          <Button variant="outline" size="sm" onClick={() => goTo(activeIndex - 1)} disabled={matches.length === 0} title="Previous match">
+            <ChevronUp className="w-4 h-4" />
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => goTo(activeIndex + 1)} disabled={matches.length === 0} title="Next match">
+            <ChevronDown className="w-4 h-4" />
+          </Button>
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <VirtualList
+          ref={viewRef}
+          count={rows.length}
+          rowHeight={ROW_HEIGHT}
+          height={viewHeight}
+          renderRow={renderRow}
+          onScroll={setScrollTop}
+          className="flex-1 p-2 bg-secondary rounded-lg"
+        />
+
+        {/* Minimap: match density per slice of the text, with the visible window outlined */}
+        <div
+          className="relative w-3 shrink-0 rounded bg-secondary cursor-pointer overflow-hidden"
+          onClick={(event) => {
+            const bounds = event.currentTarget.getBoundingClientRect();
+            viewRef.current?.scrollToFraction((event.clientY - bounds.top) / bounds.height);
+          }}
+          title="Match density"
+        >
+          {density.map((count, bucket) => (
+            <div
+              key={bucket}
+              className="absolute left-0 right-0 bg-primary"
+              style={{
+                top: `${(bucket / MINIMAP_BUCKETS) * 100}%`,
+                height: `${100 / MINIMAP_BUCKETS}%`,
+                opacity: count === 0 ? 0 : 0.25 + 0.75 * (count / peak)
+              }}
+            />
+          ))}
+          <div
+            className="absolute left-0 right-0 border border-foreground/60 rounded-sm pointer-events-none"
+            style={{ top: `${(scrollTop / contentHeight) * 100}%`, height: `${Math.min(viewHeight / contentHeight, 1) * 100}%` }}
+          />
+        </div>
+      </div>
+
+      {matches.length > 0 && (
+        <VirtualList
+          ref={listRef}
+          count={matches.length}
+          rowHeight={LIST_ROW_HEIGHT}
+          height={Math.min(LIST_HEIGHT, matches.length * LIST_ROW_HEIGHT)}
+          renderRow={renderMatch}
+          className="border rounded-lg"
+        />
+      )}
+    </div>
+  );
+}
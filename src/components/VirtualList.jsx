@@ -0,0 +1,58 @@
+import { forwardRef, useImperativeHandle, useRef, useState } from 'react';
+import { cn } from '@/lib/utils';
+
+// Extra rows rendered above and below the viewport so fast scrolling doesn't flash
+const OVERSCAN = 8;
+
+// Fixed-height rows; only the visible slice is mounted. The ref exposes
+// scrollToIndex(index) which centres a row in the viewport.
+const VirtualList = forwardRef(function VirtualList(
+  { count, rowHeight, height, renderRow, onScroll = () => {}, className },
+  ref
+) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  useImperativeHandle(ref, () => ({
+    scrollToIndex(index) {
+      const container = containerRef.current;
+      if (!container) return;
+      container.scrollTop = Math.max(0, index * rowHeight - (height - rowHeight) / 2);
+    },
+    scrollToFraction(fraction) {
+      const container = containerRef.current;
+      if (!container) return;
+      container.scrollTop = fraction * count * rowHeight - height / 2;
+    }
+  }), [rowHeight, height, count]);
+
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN);
+  const last = Math.min(count, Math.ceil((scrollTop + height) / rowHeight) + OVERSCAN);
+
+  const rows = [];
+  for (let index = first; index < last; index++) {
+    rows.push(
+      <div key={index} className="absolute left-0 right-0" style={{ top: index * rowHeight, height: rowHeight }}>
+        {renderRow(index)}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={cn('relative overflow-auto', className)}
+      style={{ height }}
+      onScroll={(event) => {
+        setScrollTop(event.currentTarget.scrollTop);
+        onScroll(event.currentTarget.scrollTop);
+      }}
+    >
+      <div className="relative" style={{ height: count * rowHeight }}>
+        {rows}
+      </div>
+    </div>
+  );
+});
+
+export default VirtualList;
@@ -0,0 +1,136 @@
+import * as React from "react"
+import { isPlugin, registeredPlugins } from "@/lib/plugins"
+
+type Pending = {
+  id: number
+  resolve: (results: unknown) => void
+  reject: (error: Error) => void
+  timer: ReturnType<typeof setTimeout> | null
+  // Set for a plugin job: the worker created for it, terminated when it ends
+  dedicated: Worker | null
+}
+
+type JobType = "search" | "benchmark" | "corpus" | "generate" | "validate-plugin"
+
+let nextId = 0
+
+function createWorker() {
+  return new Worker(new URL("../workers/matcher.worker.js", import.meta.url), {
+    type: "module",
+  })
+}
+
+// Jobs that may run plugin code: validation, a plugin's own search, and benchmarks and
+// corpus searches over every algorithm while plugins are installed
+function runsPlugins(type: JobType, payload: unknown) {
+  const { algorithm, algorithmIds } = payload as { algorithm?: string; algorithmIds?: string[] }
+  if (type === "validate-plugin") return true
+  if (type === "search") return isPlugin(algorithm ?? "")
+  if (type === "benchmark" || type === "corpus") {
+    return (algorithmIds ?? registeredPlugins().map(plugin => plugin.id)).some(isPlugin)
+  }
+  return false
+}
+
+// Runs searches, benchmarks, corpus searches, input generation and plugin validation off
+// the main thread. Only one job runs at a time; cancel() terminates the worker, which is
+// the only way to stop a synchronous matcher. A job given a timeout is terminated the
+// same way once it runs that long. Jobs that may run plugin code get a worker of their
+// own, the only one that is sent the installed plugins: a plugin can reach that worker's
+// global scope, so it is terminated with the job and never runs built-in jobs.
+export function useMatcherWorker() {
+  const workerRef = React.useRef<Worker | null>(null)
+  const pendingRef = React.useRef<Pending | null>(null)
+  const [progress, setProgress] = React.useState<number | null>(null)
+
+  const handleMessage = React.useCallback(({ data }: MessageEvent) => {
+    const pending = pendingRef.current
+    if (!pending || data.id !== pending.id) return
+
+    if (data.type === "progress") {
+      setProgress(data.progress)
+      return
+    }
+
+    pendingRef.current = null
+    if (pending.timer) clearTimeout(pending.timer)
+    pending.dedicated?.terminate()
+    setProgress(null)
+    if (data.type === "result") {
+      pending.resolve(data.results)
+    } else {
+      pending.reject(new Error(data.message))
+    }
+  }, [])
+
+  const getWorker = React.useCallback(() => {
+    if (!workerRef.current) {
+      workerRef.current = createWorker()
+      workerRef.current.onmessage = handleMessage
+    }
+    return workerRef.current
+  }, [handleMessage])
+
+  const stop = React.useCallback((error: Error) => {
+    const pending = pendingRef.current
+    if (pending?.dedicated) {
+      pending.dedicated.terminate()
+    } else {
+      workerRef.current?.terminate()
+      workerRef.current = null
+    }
+    pendingRef.current = null
+    setProgress(null)
+
+    if (pending) {
+      if (pending.timer) clearTimeout(pending.timer)
+      pending.reject(error)
+    }
+  }, [])
+
+  const cancel = React.useCallback(() => {
+    const error = new Error("Search cancelled")
+    error.name = "AbortError"
+    stop(error)
+  }, [stop])
+
+  const run = React.useCallback(
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    (type: JobType, payload: unknown, { timeout }: { timeout?: number } = {}): Promise<any> => {
+      if (pendingRef.current) cancel()
+
+      return new Promise((resolve, reject) => {
+        const id = ++nextId
+        const timer = timeout
+          ? setTimeout(() => {
+              const error = new Error(`Stopped after ${timeout / 1000}s without finishing`)
+              error.name = "TimeoutError"
+              stop(error)
+            }, timeout)
+          : null
+        const dedicated = runsPlugins(type, payload) ? createWorker() : null
+        pendingRef.current = { id, resolve, reject, timer, dedicated }
+        setProgress(0)
+        if (dedicated) {
+          dedicated.onmessage = handleMessage
+          dedicated.postMessage({ id, type, payload, plugins: registeredPlugins() })
+        } else {
+          getWorker().postMessage({ id, type, payload, plugins: [] })
+        }
+      })
+    },
+    [cancel, stop, getWorker, handleMessage]
+  )
+
+  React.useEffect(() => () => {
+    workerRef.current?.terminate()
+    pendingRef.current?.dedicated?.terminate()
+  }, [])
+
+  return {
+    run,
+    cancel,
+    progress,
+    isRunning: progress !== null,
+  }
+}
@@ -0,0 +1,107 @@
+import { ALGORITHM_IDS, METRICS, RECORDING_OFF, runSearch, supportsPatterns } from './engine.js';
+import { runBenchmark, DEFAULT_BENCHMARK } from './benchmark.js';
+import { serializeRun, toCsv } from './export.js';
+import { buildRows, collectMatches, locate } from './highlight.js';
+import { DEFAULT_HASHING } from './hashing.js';
+
+// Batch benchmarks over many texts (the command-line runner's files). Each text gets a
+// "Benchmark All" run limited to the chosen algorithms, plus every algorithm's match
+// positions from one extra search.
+
+const STAT_COLUMNS = ['median', 'mean', 'min', 'p25', 'p75', 'p95', 'max', 'samples'];
+
+// The text box's pattern string: comma separated with literal commas escaped
+const joinPatterns = (patterns, syntax) => (syntax === 'literal' ? patterns.map(p => p.replace(/,/g, '\\,')).join(', ') : patterns[0]);
+
+// Algorithms that cannot search for the patterns are listed under skipped
+export const benchmarkText = async ({
+  text,
+  file,
+  patterns,
+  algorithmIds = ALGORITHM_IDS,
+  caseInsensitive = false,
+  options = {},
+  settings = DEFAULT_BENCHMARK
+}) => {
+  const runnable = algorithmIds.filter(id => supportsPatterns(id, patterns, options));
+  const source = { text };
+  const { summary, sweep } = await runBenchmark({ source, patterns, caseInsensitive, options, settings, algorithmIds: runnable });
+
+  // Only the matches are kept, so no trace is recorded
+  const found = {};
+  for (const algorithm of runnable) {
+    const results = await runSearch({ source, patterns, algorithm, caseInsensitive, options: { ...options, recording: RECORDING_OFF } });
+    found[algorithm] = Object.fromEntries(Object.entries(results).map(([key, { pattern, matches, hits }]) => [
+      key,
+      { pattern, matches, ...(hits ? { hits } : {}) }
+    ]));
+  }
+
+  return {
+    file,
+    text,
+    patterns,
+    caseInsensitive,
+    options,
+    settings: { ...DEFAULT_BENCHMARK, ...settings },
+    summary,
+    sweep,
+    found,
+    skipped: algorithmIds.filter(id => !runnable.includes(id))
+  };
+};
+
+// An exported run, as "Export run" writes after Benchmark All, so the web app's
+// Import run loads it into the charts. Each summary entry also lists its match
+// positions per pattern.
+export const batchRunJson = (run) => {
+  const { options } = run;
+  const inputs = {
+    text: null,
+    file: run.file,
+    patterns: joinPatterns(run.patterns, options.patternSyntax ?? 'literal'),
+    patternSyntax: options.patternSyntax ?? 'literal',
+    caseInsensitive: run.caseInsensitive,
+    algorithm: null,
+    maxErrors: options.maxErrors ?? 1,
+    unicodeUnit: options.unicode?.unit ?? 'code-unit',
+    normalization: options.unicode?.normalization ?? 'none',
+    hashing: options.hashing ?? DEFAULT_HASHING,
+    generator: null,
+    benchmark: run.settings
+  };
+  const results = Object.fromEntries(Object.entries(run.summary).map(([algorithm, entry]) => [
+    algorithm,
+    { ...entry, patterns: Object.values(run.found[algorithm]) }
+  ]));
+  return serializeRun(inputs, results, run.sweep);
+};
+
+// One row per file and algorithm: match count, timing statistics (ms) and metrics
+export const batchMetricsCsv = (runs) => {
+  const header = ['file', 'algorithm', 'matches', ...STAT_COLUMNS.map(stat => (stat === 'samples' ? stat : `${stat}_ms`)), ...METRICS.map(({ key }) => key)];
+  const rows = runs.flatMap(run => Object.entries(run.summary).map(([algorithm, entry]) => [
+    run.file,
+    algorithm,
+    entry.matches,
+    ...STAT_COLUMNS.map(stat => entry.stats[stat]),
+    ...METRICS.map(({ key }) => entry.metrics[key])
+  ]));
+  return toCsv(header, rows);
+};
+
+// One row per file, algorithm and match with its 1-based line and column
+export const batchMatchesCsv = (runs) => {
+  const withErrors = runs.some(run => Object.values(run.found).some(results => collectMatches(results).some(match => match.errors !== undefined)));
+  const header = ['file', 'algorithm', 'pattern', 'position', 'end', 'line', 'column', ...(withErrors ? ['errors'] : [])];
+  const rows = runs.flatMap(run => {
+    const lines = buildRows(run.text, Infinity);
+    return Object.entries(run.found).flatMap(([algorithm, results]) => collectMatches(results)
+      .sort((a, b) => a.start - b.start || a.patternIndex - b.patternIndex)
+      .map(match => {
+        const { line, column } = locate(lines, match.start);
+        return [run.file, algorithm, match.pattern, match.start, match.end, line, column, ...(withErrors ? [match.errors] : [])];
+      }));
+  });
+  return toCsv(header, rows);
+};
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { benchmarkText, batchRunJson, batchMetricsCsv, batchMatchesCsv } from './batch.js';
+import { parseRun } from './export.js';
+
+const settings = { warmup: 0, repetitions: 2, sweep: 'none' };
+
+describe('batch runs', () => {
+  it('benchmarks the chosen algorithms and skips those that cannot run', async () => {
+    const run = await benchmarkText({
+      file: 'a.txt',
+      text: 'abc\nxabcab',
+      patterns: ['ab', 'c'],
+      algorithmIds: ['kmp', 'aho-corasick', 'thompson-nfa'],
+      settings,
+      options: { patternSyntax: 'literal' }
+    });
+    assert.deepEqual(Object.keys(run.summary), ['kmp', 'aho-corasick', 'thompson-nfa']);
+    assert.equal(run.summary.kmp.matches, 5);
+    assert.deepEqual(run.found.kmp.pattern_0.matches, [0, 5, 8]);
+    assert.equal(run.found.kmp.pattern_0.detailedSteps, undefined);
+
+    const regex = await benchmarkText({
+      file: 'b.txt',
+      text: 'aaa',
+      patterns: ['a+'],
+      algorithmIds: ['kmp', 'thompson-nfa'],
+      settings,
+      options: { patternSyntax: 'regex' }
+    });
+    assert.deepEqual(regex.skipped, ['kmp']);
+    assert.deepEqual(Object.keys(regex.summary), ['thompson-nfa']);
+  });
+
+  it('writes runs the web app imports as benchmark results', async () => {
+    const run = await benchmarkText({ file: 'a.txt', text: 'a,b a,b', patterns: ['a,b'], algorithmIds: ['kmp'], settings });
+    const { inputs, results } = parseRun(batchRunJson(run));
+    assert.equal(inputs.patterns, 'a\\,b');
+    assert.equal(inputs.algorithm, null);
+    assert.equal(results.kmp.matches, 2);
+    assert.deepEqual(results.kmp.patterns, [{ pattern: 'a,b', matches: [0, 4] }]);
+  });
+
+  it('reports metrics and matches as CSV', async () => {
+    const run = await benchmarkText({ file: 'a.txt', text: 'ab\nab', patterns: ['ab'], algorithmIds: ['kmp', 'horspool'], settings });
+    const metrics = batchMetricsCsv([run]).trim().split('\r\n');
+    assert.equal(metrics.length, 3);
+    assert.ok(metrics[0].startsWith('file,algorithm,matches,median_ms'));
+    assert.ok(metrics[1].startsWith('a.txt,kmp,2,'));
+
+    const matches = batchMatchesCsv([run]).trim().split('\r\n');
+    assert.deepEqual(matches.slice(0, 3), [
+      'file,algorithm,pattern,position,end,line,column',
+      'a.txt,kmp,ab,0,2,1,1',
+      'a.txt,kmp,ab,3,5,2,1'
+    ]);
+  });
+});
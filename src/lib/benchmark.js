@@ -0,0 +1,145 @@
+import { algorithms } from './matchers.js';
+import { runSearch, supportsPatterns } from './search-runner.js';
+import { mergeMetrics } from './metrics.js';
+import { RECORDING_OFF } from './recording.js';
+
+export const DEFAULT_BENCHMARK = {
+  warmup: 2,
+  repetitions: 10,
+  sweep: 'none'
+};
+
+// Sizes each sweep visits; the text sweep repeats the input text up to each length
+export const SWEEP_SIZES = {
+  text: [500, 1000, 2000, 4000, 8000, 16000],
+  pattern: [2, 4, 8, 16, 32, 64]
+};
+
+// Linear interpolation between the closest ranks of a sorted sample
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+export const summarize = (samples) => {
+  const sorted = [...samples].sort((a, b) => a - b);
+  return {
+    min: sorted[0],
+    p25: percentile(sorted, 0.25),
+    median: percentile(sorted, 0.5),
+    p75: percentile(sorted, 0.75),
+    p95: percentile(sorted, 0.95),
+    max: sorted[sorted.length - 1],
+    mean: sorted.reduce((sum, t) => sum + t, 0) / sorted.length,
+    samples: sorted.length
+  };
+};
+
+const repeatTo = (text, length) => {
+  if (!text) return '';
+  return text.repeat(Math.ceil(length / text.length)).slice(0, length);
+};
+
+// Time one algorithm: warmup runs are discarded so the JIT has settled before sampling.
+// Traces are off, so the samples time the search rather than the step recording.
+const measure = async (traced, { warmup, repetitions }, tick) => {
+  const request = { ...traced, options: { ...traced.options, recording: RECORDING_OFF } };
+  for (let i = 0; i < warmup; i++) {
+    await runSearch(request);
+    tick();
+  }
+
+  const samples = [];
+  let results = null;
+  for (let i = 0; i < repetitions; i++) {
+    const start = performance.now();
+    results = Object.values(await runSearch(request));
+    samples.push(performance.now() - start);
+    tick();
+  }
+
+  // Multi-pattern entries share one set of counters
+  const shared = algorithms[request.algorithm].multiPattern;
+  const metrics = shared ? results[0].metrics : mergeMetrics(results.map(r => r.metrics));
+
+  return {
+    matches: results.reduce((sum, r) => sum + r.matches.length, 0),
+    comparisons: metrics.charComparisons,
+    metrics,
+    stats: summarize(samples)
+  };
+};
+
+// Each sweep point is one text/pattern set; patterns for the pattern sweep are cut
+// from the middle of the text so every point has at least one match
+const sweepInputs = (dimension, text, patterns) => {
+  if (dimension === 'text') {
+    return SWEEP_SIZES.text.map(size => ({ size, text: repeatTo(text, size), patterns }));
+  }
+  const base = repeatTo(text, Math.max(text.length, SWEEP_SIZES.pattern[SWEEP_SIZES.pattern.length - 1] * 4));
+  const middle = Math.floor(base.length / 2);
+  return SWEEP_SIZES.pattern.map(size => ({
+    size,
+    text: base,
+    patterns: [base.slice(middle - Math.floor(size / 2), middle - Math.floor(size / 2) + size)]
+  }));
+};
+
+// algorithmIds limits the run to some of the algorithms; all of them by default
+export const runBenchmark = async (
+  { source, patterns, caseInsensitive, options, settings = DEFAULT_BENCHMARK, algorithmIds = Object.keys(algorithms) },
+  onProgress = () => {}
+) => {
+  const { warmup, repetitions, sweep } = { ...DEFAULT_BENCHMARK, ...settings };
+
+  if (sweep !== 'none' && source.file) {
+    throw new Error('Size sweeps need text in the text box, not a streamed file');
+  }
+
+  const runnable = algorithmIds.filter(alg => supportsPatterns(alg, patterns, options));
+  const points = sweep === 'none' ? [] : sweepInputs(sweep, source.text, patterns);
+  // Sweep patterns are cut from the text, so they are always literal
+  const sweepOptions = { ...options, patternSyntax: 'literal' };
+
+  const runsPerAlgorithm = warmup + repetitions;
+  const totalRuns = runsPerAlgorithm * (runnable.length + points.length * algorithmIds.length);
+  let completed = 0;
+  const tick = () => onProgress(++completed / totalRuns);
+
+  const summary = {};
+  for (const alg of runnable) {
+    const measured = await measure({ source, patterns, algorithm: alg, caseInsensitive, options }, { warmup, repetitions }, tick);
+    summary[alg] = {
+      matches: measured.matches,
+      time: measured.stats.median,
+      comparisons: measured.comparisons,
+      metrics: measured.metrics,
+      stats: measured.stats
+    };
+  }
+
+  // One row per size; columns are "<alg>" (median ms) and "<alg>_comparisons"
+  const curve = [];
+  for (const point of points) {
+    const row = { size: point.size };
+    for (const alg of algorithmIds) {
+      if (!supportsPatterns(alg, point.patterns, sweepOptions)) {
+        completed += runsPerAlgorithm;
+        continue;
+      }
+      const measured = await measure(
+        { source: { text: point.text }, patterns: point.patterns, algorithm: alg, caseInsensitive, options: sweepOptions },
+        { warmup, repetitions },
+        tick
+      );
+      row[alg] = measured.stats.median;
+      row[`${alg}_comparisons`] = measured.comparisons;
+    }
+    curve.push(row);
+  }
+
+  return { summary, sweep: sweep === 'none' ? null : { dimension: sweep, curve } };
+};
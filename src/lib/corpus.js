@@ -0,0 +1,77 @@
+import { algorithms, RECORDING_OFF, runSearch, supportsPatterns } from './engine.js';
+
+// Corpus search: several text files, or a folder of them, searched by every algorithm
+// for every pattern. Files are streamed in chunks like one large file, so no trace is
+// kept and only match positions and counters come back, grouped per file.
+
+export const CORPUS_EXTENSIONS = ['.txt', '.csv', '.log'];
+
+const extensionOf = (path) => {
+  const dot = path.lastIndexOf('.');
+  return dot > path.lastIndexOf('/') ? path.slice(dot).toLowerCase() : '';
+};
+
+// Entries { path, file } in path order. Folder uploads name files by their path inside
+// the folder; files with other extensions are left out.
+export const corpusEntries = (fileList) => [...fileList]
+  .map(file => ({ path: file.webkitRelativePath || file.name, file }))
+  .filter(({ path }) => CORPUS_EXTENSIONS.includes(extensionOf(path)))
+  .sort((a, b) => a.path.localeCompare(b.path));
+
+// files[i].found[algorithm] is keyed pattern_0..n like a search's results. Algorithms
+// that cannot search for the patterns are listed under skipped. One that throws (a
+// plugin, say) is listed under failed as { algorithm, path, message } and dropped from
+// every file, while the others go on. All algorithms run by default, plugins included.
+export const searchCorpus = async (
+  { entries, patterns, algorithmIds = Object.keys(algorithms), caseInsensitive = false, options = {} },
+  onProgress = () => {}
+) => {
+  const runnable = algorithmIds.filter(id => supportsPatterns(id, patterns, options));
+  const untraced = { ...options, recording: RECORDING_OFF };
+  const total = entries.length * runnable.length;
+  const failed = [];
+  const isFailed = (algorithm) => failed.some(failure => failure.algorithm === algorithm);
+  const files = [];
+
+  for (const [fileIndex, { path, file }] of entries.entries()) {
+    const found = {};
+    for (const [algorithmIndex, algorithm] of runnable.entries()) {
+      if (isFailed(algorithm)) continue;
+      const done = fileIndex * runnable.length + algorithmIndex;
+      let results;
+      try {
+        results = await runSearch(
+          { source: { file }, patterns, algorithm, caseInsensitive, options: untraced },
+          (fraction) => onProgress((done + fraction) / total)
+        );
+      } catch (error) {
+        failed.push({ algorithm, path, message: error?.message ?? String(error) });
+        continue;
+      }
+      found[algorithm] = Object.fromEntries(Object.entries(results).map(([key, { pattern, matches, hits, time, comparisons }]) => [
+        key,
+        { pattern, matches, ...(hits ? { hits } : {}), time, comparisons }
+      ]));
+    }
+    files.push({ path, size: file.size, found });
+  }
+
+  files.forEach(({ found }) => failed.forEach(({ algorithm }) => delete found[algorithm]));
+  onProgress(1);
+
+  return {
+    patterns,
+    algorithms: runnable.filter(algorithm => !isFailed(algorithm)),
+    skipped: algorithmIds.filter(id => !runnable.includes(id)),
+    failed,
+    files
+  };
+};
+
+// Matches of one algorithm in one file, over all patterns
+export const fileMatchCount = (file, algorithm) =>
+  Object.values(file.found[algorithm] ?? {}).reduce((sum, result) => sum + result.matches.length, 0);
+
+// Rows follow the files and columns the patterns: one algorithm's match counts
+export const corpusHeatmap = (corpus, algorithm) => corpus.files.map(file =>
+  corpus.patterns.map((_, index) => file.found[algorithm]?.[`pattern_${index}`]?.matches.length ?? 0));
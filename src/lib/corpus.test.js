@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { corpusEntries, searchCorpus, fileMatchCount, corpusHeatmap } from './corpus.js';
+import { algorithms } from './engine.js';
+import { registerPlugins } from './plugins.js';
+
+// Stand-ins for the browser's File objects
+const textFile = (name, text, webkitRelativePath = '') => Object.assign(new Blob([text]), { name, webkitRelativePath });
+
+describe('corpus search', () => {
+  it('keeps text files in path order', () => {
+    const entries = corpusEntries([
+      textFile('b.log', '', 'logs/b.log'),
+      textFile('image.png', ''),
+      textFile('a.TXT', ''),
+      textFile('notes', '', 'logs.d/notes')
+    ]);
+    assert.deepEqual(entries.map(entry => entry.path), ['a.TXT', 'logs/b.log']);
+  });
+
+  it('runs every algorithm and pattern over every file', async () => {
+    const entries = corpusEntries([textFile('a.txt', 'abcab'), textFile('b.txt', 'xyz\nab')]);
+    const progress = [];
+    const corpus = await searchCorpus({
+      entries,
+      patterns: ['ab', 'c'],
+      algorithmIds: ['kmp', 'aho-corasick', 'suffix-array']
+    }, (fraction) => progress.push(fraction));
+
+    assert.deepEqual(corpus.algorithms, ['kmp', 'aho-corasick', 'suffix-array']);
+    assert.deepEqual(corpus.files.map(file => file.path), ['a.txt', 'b.txt']);
+    corpus.algorithms.forEach(algorithm => {
+      assert.deepEqual(corpus.files[0].found[algorithm].pattern_0.matches, [0, 3], algorithm);
+      assert.equal(corpus.files[0].found[algorithm].pattern_0.detailedSteps, undefined);
+    });
+    assert.deepEqual(corpusHeatmap(corpus, 'kmp'), [[2, 1], [1, 0]]);
+    assert.equal(fileMatchCount(corpus.files[1], 'aho-corasick'), 1);
+    assert.equal(progress[progress.length - 1], 1);
+  });
+
+  it('lists the algorithms that cannot search for the patterns', async () => {
+    const corpus = await searchCorpus({
+      entries: corpusEntries([textFile('a.txt', 'aaa b')]),
+      patterns: ['a+'],
+      algorithmIds: ['kmp', 'thompson-nfa'],
+      options: { patternSyntax: 'regex' }
+    });
+    assert.deepEqual(corpus.skipped, ['kmp']);
+    assert.deepEqual(corpus.files[0].found['thompson-nfa'].pattern_0.hits.map(hit => [hit.position, hit.end]), [[0, 3], [1, 3], [2, 3]]);
+    assert.equal(fileMatchCount(corpus.files[0], 'kmp'), 0);
+  });
+
+  it('runs plugins registered after loading and reports the algorithms that fail', async () => {
+    registerPlugins([
+      { id: 'plugin-naive', name: 'Naive', source: "function search(text, pattern, api) { api.record({ type: 'found', position: 0, description: '' }); }" },
+      { id: 'plugin-broken', name: 'Broken', source: "function search() { throw new Error('broken'); }" }
+    ], { compile: true });
+    try {
+      const corpus = await searchCorpus({ entries: corpusEntries([textFile('a.txt', 'ab'), textFile('b.txt', 'ba')]), patterns: ['a'] });
+      assert.ok(corpus.algorithms.includes('plugin-naive') && corpus.algorithms.includes('kmp'));
+      assert.ok(!corpus.algorithms.includes('plugin-broken'));
+      assert.deepEqual(corpus.failed, [{ algorithm: 'plugin-broken', path: 'a.txt', message: 'broken' }]);
+      assert.deepEqual(corpus.files.map(file => Object.keys(file.found).length), [corpus.algorithms.length, corpus.algorithms.length]);
+      assert.equal(fileMatchCount(corpus.files[1], 'kmp'), 1);
+    } finally {
+      registerPlugins([]);
+    }
+    assert.equal(algorithms['plugin-naive'], undefined);
+  });
+});
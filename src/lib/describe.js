@@ -0,0 +1,160 @@
+import { PATTERN_SYNTAXES } from './regex.js';
+import { DEFAULT_HASHING, createHasher } from './hashing.js';
+
+// Step descriptions. Matchers record steps as data only; the sentence for a step is
+// written here when the step is shown, from the step, the result it belongs to and
+// the text it indexes. Keyed by algorithm, then by the step's pseudocode line.
+
+const at = (seq, i) => seq?.[i] ?? '';
+// Strings and Unicode unit arrays alike
+const slice = (seq, from, to) => (typeof seq === 'string' ? seq.slice(from, to) : seq.slice(from, to).join(''));
+
+const context = (result, text) => {
+  // Traces index the searched strings, which are lower-cased for case-insensitive runs
+  const fold = result.caseInsensitive ? (str) => str.toLowerCase() : (str) => str;
+  const T = result.unicode?.textUnits ?? text ?? '';
+  const P = result.unicode?.patternUnits ?? result.pattern ?? '';
+  return {
+    result,
+    n: T.length,
+    m: P.length,
+    t: (i) => fold(at(T, i)),
+    p: (j) => fold(at(P, j)),
+    text: (from, to) => fold(slice(T, from, to)),
+    rawText: (from, to) => slice(T, from, to),
+    pattern: (from, to) => fold(slice(P, from, to)),
+    // Multi-pattern results list every pattern of the search
+    patternAt: (index) => result.patterns?.[index] ?? result.pattern
+  };
+};
+
+const code = (char) => char.charCodeAt(0);
+const hashLabel = (hashing) => createHasher({ ...DEFAULT_HASHING, ...hashing }).label;
+const plural = (count, word, suffix = 's') => `${word}${count === 1 ? '' : suffix}`;
+
+// Shared by the right-to-left window matchers
+const windowCompare = {
+  match: ({ position: s, patternIndex: j }, c) => `Match: text[${s + j}]='${c.t(s + j)}' == pattern[${j}]='${c.p(j)}'`,
+  found: ({ position }) => `Complete match found at position ${position}`,
+  mismatch: ({ position: s, patternIndex: j }, c) => `Mismatch: text[${s + j}]='${c.t(s + j)}' != pattern[${j}]='${c.p(j)}'`
+};
+
+const DESCRIBERS = {
+  'kmp': {
+    'failure-init': () => 'failure[0] = 0 (a single character has no proper border)',
+    'failure-fallback': ({ vars: { i, j }, value }, c) =>
+      `pattern[${i}]='${c.p(i)}' != pattern[${j}]='${c.p(j)}': fall back to j = failure[${j - 1}] = ${value}`,
+    'failure-fill': ({ index, value }, c) =>
+      `failure[${index}] = ${value}: longest proper border of "${c.pattern(0, index + 1)}" has length ${value}`,
+    'fallback': ({ vars: { i, j }, shift }, c) =>
+      `Mismatch at text[${i}]='${c.t(i)}' vs pattern[${j}]='${c.p(j)}'. Shift pattern by ${shift} positions.`,
+    'match': ({ vars: { i, j } }, c) => `Match found: text[${i}]='${c.t(i)}' == pattern[${j}]='${c.p(j)}'`,
+    'mismatch': ({ vars: { i, j } }, c) => `Mismatch: text[${i}]='${c.t(i)}' != pattern[${j}]='${c.p(j)}'`,
+    'found': ({ position }) => `Complete match found at position ${position}`
+  },
+  'rabin-karp': {
+    'h': ({ vars: { k }, value }, c) => `h = ${c.result.hashing.base}^${k} ${hashLabel(c.result.hashing)} = ${value}`,
+    'pattern-hash': ({ index: i, value }, c) =>
+      `Pattern prefix "${c.pattern(0, i + 1)}": hash = (base·hash + ${code(c.p(i))}) ${hashLabel(c.result.hashing)} = ${value}`,
+    'window-hash': ({ index: i, value }, c) =>
+      `First window prefix "${c.text(0, i + 1)}": hash = (base·hash + ${code(c.t(i))}) ${hashLabel(c.result.hashing)} = ${value}`,
+    'hash-compare': ({ textHash, patternHash }) => `Comparing hashes: text hash=${textHash}, pattern hash=${patternHash}`,
+    'spurious': ({ position }) => `Spurious match: hash collision at position ${position}`,
+    'found': ({ position }) => `Verified match found at position ${position}`
+  },
+  'z-algorithm': {
+    'z-box': ({ position: i, zValue, vars: { l, r } }) => `Using Z-box: Z[${i}] = min(${r - i + 1}, Z[${i - l}]) = ${zValue}`,
+    'extend': ({ position: i, zValue }) => `Extending Z[${i}] to ${zValue}`,
+    'update-box': ({ left, right }) => `Updating Z-box: [${left}, ${right}]`,
+    'z-fill': ({ index, value }) => `Z[${index}] = ${value}`,
+    'found': ({ position, vars }) => `Match found at position ${position} (Z[${vars.i}] = ${vars['Z[i]']})`
+  },
+  'boyer-moore': {
+    ...windowCompare,
+    'bad-char': ({ index, value }) => `badChar['${index}'] = ${value}: last occurrence of '${index}' in the pattern`,
+    'good-suffix': ({ index, value }, c) => (index === c.m
+      ? `goodSuffix[${c.m}] = ${value}: shift when the very last character mismatches`
+      : `goodSuffix[${index}] = ${value}: shift when suffix "${c.pattern(index)}" has matched`),
+    'found-shift': ({ shift }) => `Full match: good-suffix rule shifts by goodSuffix[0] = ${shift}`,
+    'shift': ({ rule, shift, patternIndex: j, tableEntry, vars: { badCharShift, goodSuffixShift } }) => (rule === 'good-suffix'
+      ? `Good-suffix rule: goodSuffix[${j + 1}] = ${goodSuffixShift} beats bad-character shift ${badCharShift}. Shift by ${shift}.`
+      : `Bad-character rule: badChar['${tableEntry.key}'] = ${tableEntry.value}, shift = ${j} - (${tableEntry.value}) = ${badCharShift} (good-suffix offers ${goodSuffixShift}). Shift by ${shift}.`)
+  },
+  'horspool': {
+    ...windowCompare,
+    'shift-table': ({ index, value, vars: { i } }, c) => `shift['${index}'] = ${c.m} - 1 - ${i} = ${value}`,
+    // Only characters of pattern[0..m-2] shift by less than m
+    'shift': ({ position: s, shift }, c) => {
+      const last = c.t(s + c.m - 1);
+      return shift < c.m
+        ? `Window ends with '${last}': shift['${last}'] = ${shift}. Shift by ${shift}.`
+        : `Window ends with '${last}', not in pattern[0..${c.m - 2}]: shift by pattern length ${c.m}.`;
+    }
+  },
+  'aho-corasick': {
+    'fail': ({ position: i, state }, c) => {
+      const { automaton } = c.result;
+      const fail = automaton[state].fail;
+      return `No '${c.t(i)}' edge from state ${state} ("${automaton[state].prefix}"). Follow failure link to state ${fail} ("${automaton[fail].prefix}")`;
+    },
+    'goto': ({ position: i, state, vars }, c) =>
+      `text[${i}]='${c.t(i)}': move from state ${vars.state} to state ${state} ("${c.result.automaton[state].prefix}")`,
+    'mismatch': ({ position: i }, c) => `text[${i}]='${c.t(i)}': no edge from the root, stay in state 0`,
+    'found': ({ position, state, outputState, patternIndex }, c) => (outputState === state
+      ? `State ${state} ends pattern "${c.patternAt(patternIndex)}": match at position ${position}`
+      : `Output link ${state} → ${outputState} reports pattern "${c.patternAt(patternIndex)}" at position ${position}`)
+  },
+  'bitap': {
+    'update': ({ position: i, vectors, vars: { mask, k } }, c) =>
+      `text[${i}]='${c.t(i)}': mask=${mask}, R0=${vectors[0]}` + (k > 0 ? `, R${k}=${vectors[k]}` : ''),
+    'found': ({ position, errors }, c) =>
+      `Match at position ${position} with ${errors} ${plural(errors, 'mismatch', 'es')} (bit ${c.m - 1} set in R${errors})`
+  },
+  'sellers': {
+    'init': () => 'Initial column: C[j] = j (row 0 is always 0 so a match can start anywhere)',
+    'column': ({ position: i, column, vars: { k } }, c) => {
+      const m = column.length - 1;
+      return `text[${i}]='${c.t(i)}': C[${m}] = ${column[m]}${column[m] <= k ? ` ≤ k=${k}` : ''}`;
+    },
+    'found': ({ position, errors, vars: { i } }) => `Match text[${position}..${i}] with edit distance ${errors}`
+  },
+  'suffix-array': {
+    'reuse': (step, c) =>
+      `Reusing the suffix array already built for this text (${c.n} suffixes, built in ${(c.result.index?.buildTime ?? 0).toFixed(2)}ms)`,
+    'sort': ({ vars: { length, ranks } }) => `Sorted suffixes by their first ${length} characters: ${ranks} distinct ${plural(ranks, 'rank')}`,
+    'lcp': (step, c) => `Suffix array and LCP array ready (${c.n} suffixes)`,
+    'lower': (step, c) => describeProbe(step, c, false),
+    'upper': (step, c) => describeProbe(step, c, true),
+    'range': ({ patternIndex, low: first, high: last }, c) => (last > first
+      ? `"${c.patternAt(patternIndex)}" prefixes the suffixes at ranks [${first}, ${last}): ${last - first} ${plural(last - first, 'match', 'es')}`
+      : `"${c.patternAt(patternIndex)}" prefixes no suffix: empty range at rank ${first}`),
+    'found': ({ position, patternIndex }, c) => `Suffix @${position} starts with "${c.patternAt(patternIndex)}": match at position ${position}`
+  },
+  'thompson-nfa': {
+    'build': ({ vars: { states, edges } }, c) => {
+      const { nfa, pattern } = c.result;
+      return `Compiled ${PATTERN_SYNTAXES[nfa.syntax].toLowerCase()} pattern "${pattern}" to an NFA with ${states} states and ${edges} edges (start ${nfa.start}, accept ${nfa.accept})`;
+    },
+    'found': ({ position: start, end }, c) =>
+      `Accept state ${c.result.nfa.accept} is active: text[${start}..${end - 1}] = "${c.rawText(start, end)}" is the longest match from ${start}`,
+    'step': ({ position: i, activeStates }, c) => `text[${i}]='${c.t(i)}': active states {${activeStates.join(', ')}}`
+  }
+};
+
+// order compares the probed suffix with the pattern; the lower bound moves right past
+// smaller suffixes, the upper bound also past equal ones
+function describeProbe({ position, patternIndex, low, high, mid, vars: { order } }, c, upper) {
+  const goRight = upper ? order <= 0 : order < 0;
+  return `"${c.patternAt(patternIndex)}": probe rank ${mid} (suffix @${position}) in [${low}, ${high}) → ` +
+    (order === 0 ? 'prefix matches' : order < 0 ? 'suffix sorts before' : 'suffix sorts after') +
+    `, continue ${goRight ? 'right' : 'left'}`;
+}
+
+// `text` is the searched text; Unicode results carry their own units. Steps that
+// already have a description (plugins, runs exported before trace schema 2) keep it.
+export const describeStep = (step, result, text) => {
+  if (!step) return '';
+  if (step.description !== undefined) return step.description;
+  const describe = result && DESCRIBERS[result.algorithm]?.[step.line];
+  return describe ? describe(step, context(result, text)) : step.type;
+};
@@ -0,0 +1,214 @@
+// Types for engine.js. The step types mirror STEP_TYPES in trace-schema.js, which is
+// what validateStep checks at runtime; keep the two in step.
+
+export type AlgorithmId =
+  | "kmp"
+  | "rabin-karp"
+  | "z-algorithm"
+  | "boyer-moore"
+  | "horspool"
+  | "aho-corasick"
+  | "bitap"
+  | "sellers"
+  | "suffix-array"
+  | "thompson-nfa"
+
+export type PatternSyntax = "literal" | "wildcard" | "regex"
+
+export interface HashingSettings {
+  scheme: "single" | "double" | "mod64"
+  base: number
+  modulus: number
+  base2: number
+  modulus2: number
+}
+
+export interface MatchOptions {
+  // Approximate matchers only
+  maxErrors?: number
+  // Anything but "literal" needs a regex-capable algorithm
+  patternSyntax?: PatternSyntax
+  // Match by code point or grapheme instead of UTF-16 code unit
+  unicode?: { unit: "code-point" | "grapheme"; normalization: "none" | "NFC" | "NFKC" } | null
+  // Rabin-Karp only
+  hashing?: HashingSettings
+  // Index algorithms keep their index for the next search of the same text
+  reuseIndex?: boolean
+  // How much of the trace to keep; full by default
+  recording?: Recording
+}
+
+export type TraceLevel = "full" | "windowed" | "summary" | "off"
+
+// from and to bound the text positions a windowed trace keeps, to exclusive
+export interface Recording {
+  level: TraceLevel
+  from?: number
+  to?: number
+}
+
+// Steps kept, and steps dropped past MAX_TRACE_STEPS
+export interface RecordingInfo {
+  level: TraceLevel
+  steps: number
+  dropped: number
+}
+
+export interface Metrics {
+  charComparisons: number
+  hashComputations: number
+  spuriousHits: number
+  windowShifts: number
+  preprocessingTime: number
+  searchTime: number
+  auxiliaryMemory: number
+}
+
+// Variables of the algorithm at a step: i, j, s, l, r, hashes and so on
+export type StepVars = Record<string, number | string>
+
+interface StepBase {
+  // Only plugins and version 1 traces store one; see describeStep
+  description?: string
+  // Running character-comparison count when the step was recorded
+  comparisons: number
+  // Absent means search
+  phase?: "preprocessing"
+  // Key of the pseudocode line that produced the step
+  line?: string
+  vars?: StepVars
+}
+
+export type Step = StepBase &
+  (
+    | { type: "table-fill"; table: string; index: number | string; value: number | string; position?: number }
+    | { type: "table-fallback"; table: string; index: number | string; value: number | string }
+    | { type: "match"; position: number; patternIndex: number }
+    | { type: "mismatch"; position: number; patternIndex?: number; shift?: number; state?: number }
+    | {
+        type: "shift"
+        position: number
+        shift: number
+        rule: "bad-character" | "good-suffix"
+        tableEntry: { table: string; key: number | string; value: number | string }
+        patternIndex?: number
+      }
+    | { type: "hash-compare"; position: number; textHash: number | string; patternHash: number | string }
+    | { type: "spurious"; position: number }
+    | { type: "z-box" | "extend"; position: number; zValue: number }
+    | { type: "update-box"; position: number; left: number; right: number }
+    | { type: "goto" | "fail"; position: number; state: number }
+    | { type: "bit-vectors"; position: number; vectors: string[] }
+    | { type: "dp-column"; position: number; column: number[] }
+    | { type: "index-round" | "index-reuse" | "nfa-build" }
+    | { type: "sa-probe"; position: number; patternIndex: number; low: number; high: number; mid: number }
+    | { type: "sa-range"; position: number; patternIndex: number; low: number; high: number }
+    | { type: "nfa-step"; position: number; activeStates: number[] }
+    | {
+        type: "found"
+        position: number
+        // Exclusive; present for variable-length matches
+        end?: number
+        errors?: number
+        state?: number
+        outputState?: number
+        patternIndex?: number
+        activeStates?: number[]
+      }
+  )
+
+export type StepType = Step["type"]
+
+export interface Hit {
+  position: number
+  end: number
+  errors?: number
+}
+
+// One pattern's result. Multi-pattern algorithms share detailedSteps, automaton and
+// index between the entries of one search.
+export interface MatchResult {
+  pattern: string
+  // Every pattern of a multi-pattern search
+  patterns?: string[]
+  algorithm: AlgorithmId
+  caseInsensitive?: boolean
+  matches: number[]
+  hits?: Hit[]
+  detailedSteps: Step[]
+  recording: RecordingInfo
+  comparisons: number
+  metrics: Metrics
+  // Milliseconds
+  time: number
+  // Algorithm-specific views: Aho-Corasick automaton, suffix array index, Thompson NFA,
+  // Rabin-Karp collision statistics and Unicode unit tables
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  automaton?: any[]
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  index?: any
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  nfa?: any
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  hashing?: any
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  unicode?: any
+}
+
+export type SearchResults = Record<string, MatchResult>
+
+export interface AlgorithmInfo {
+  name: string
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  func: (text: string, pattern: any, caseInsensitive?: boolean, options?: MatchOptions) => any
+  color: string
+  description: string
+  multiPattern?: boolean
+  approximate?: boolean
+  maxPatternLength?: number
+  indexed?: boolean
+  regex?: boolean
+  // User-defined; registered from plugins.js and only runnable in the matcher worker
+  plugin?: boolean
+}
+
+export interface SearchRequest {
+  patterns: string[]
+  algorithm: AlgorithmId
+  caseInsensitive?: boolean
+  options?: MatchOptions
+}
+
+export const algorithms: Record<AlgorithmId, AlgorithmInfo>
+export const ALGORITHM_IDS: AlgorithmId[]
+
+export function supportsPatterns(algorithm: AlgorithmId, patternList: string[], options?: MatchOptions): boolean
+
+export function match(
+  text: string,
+  patterns: string | string[],
+  options?: MatchOptions & { algorithm?: AlgorithmId; caseInsensitive?: boolean }
+): SearchResults
+
+// Large files are searched in chunks without traces
+export function runSearch(
+  request: SearchRequest & { source: { text: string } | { file: Blob } },
+  onProgress?: (fraction: number) => void
+): Promise<SearchResults>
+
+export const METRICS: { key: keyof Metrics; label: string; time?: boolean; peak?: boolean }[]
+export function mergeMetrics(list: (Metrics | null | undefined)[]): Metrics
+
+export const PSEUDOCODE: Record<AlgorithmId, { preprocessing: [string | null, string][]; search: [string | null, string][] }>
+
+export const TRACE_SCHEMA_VERSION: number
+export const STEP_TYPES: Record<StepType, Record<string, string>>
+export function validateStep(step: unknown): string[]
+
+export const TRACE_LEVELS: Record<TraceLevel, string>
+export const DEFAULT_RECORDING: Recording
+export const RECORDING_OFF: Recording
+export const MAX_TRACE_STEPS: number
+
+// The step's description, written from the result it belongs to and the searched text
+export function describeStep(step: Step, result: MatchResult, text: string): string
@@ -0,0 +1,27 @@
+import { algorithms } from './matchers.js';
+import { supportsPatterns, searchString, runSearch } from './search-runner.js';
+
+// Headless matching engine: the public entry point for running the matchers outside the
+// UI. It has no DOM or React dependencies, so it loads in a worker, in Node and in other
+// tools. Types for everything exported here are in engine.d.ts.
+
+export { algorithms, supportsPatterns, runSearch };
+export { METRICS, mergeMetrics } from './metrics.js';
+export { PSEUDOCODE } from './pseudocode.js';
+export { TRACE_SCHEMA_VERSION, STEP_TYPES, validateStep } from './trace-schema.js';
+export { TRACE_LEVELS, DEFAULT_RECORDING, RECORDING_OFF, MAX_TRACE_STEPS } from './recording.js';
+export { describeStep } from './describe.js';
+
+export const ALGORITHM_IDS = Object.keys(algorithms);
+
+// Synchronous search of one string; results are keyed pattern_0..n in pattern order.
+// options are the matcher options (maxErrors, patternSyntax, unicode, hashing, reuseIndex,
+// recording).
+export const match = (text, patterns, { algorithm = 'kmp', caseInsensitive = false, ...options } = {}) => {
+  if (!algorithms[algorithm]) throw new Error(`Unknown algorithm ${algorithm}`);
+  const patternList = Array.isArray(patterns) ? patterns : [patterns];
+  if (!supportsPatterns(algorithm, patternList, options)) {
+    throw new Error(`${algorithms[algorithm].name} cannot search for these patterns`);
+  }
+  return searchString(text, { patterns: patternList, algorithm, caseInsensitive, options });
+};
@@ -0,0 +1,435 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  algorithms, ALGORITHM_IDS, match, PSEUDOCODE, STEP_TYPES, validateStep, TRACE_SCHEMA_VERSION, describeStep, RECORDING_OFF, runSearch
+} from './engine.js';
+import { CHUNK_BYTES } from './search-runner.js';
+import { createRandom } from './generators.js';
+import { createRecorder } from './recording.js';
+
+// Every matcher is checked against a brute-force oracle on seeded random inputs, so a
+// failure names a seed that reproduces it
+
+const ROUNDS = 150;
+
+const randomString = (random, alphabet, length) => {
+  let str = '';
+  for (let i = 0; i < length; i++) str += alphabet[Math.floor(random() * alphabet.length)];
+  return str;
+};
+
+// Small alphabets make overlapping and repeated occurrences common
+const randomCase = (random, alphabet = 'ab') => {
+  const text = randomString(random, alphabet, Math.floor(random() * 60));
+  const pattern = randomString(random, alphabet, 1 + Math.floor(random() * 5));
+  return { text, pattern };
+};
+
+const fold = (str, caseInsensitive) => (caseInsensitive ? str.toLowerCase() : str);
+
+const exactOracle = (text, pattern, caseInsensitive) => {
+  const t = fold(text, caseInsensitive);
+  const p = fold(pattern, caseInsensitive);
+  const positions = [];
+  for (let s = 0; s + p.length <= t.length; s++) {
+    if (t.startsWith(p, s)) positions.push(s);
+  }
+  return positions;
+};
+
+const hammingOracle = (text, pattern, k, caseInsensitive) => {
+  const t = fold(text, caseInsensitive);
+  const p = fold(pattern, caseInsensitive);
+  const hits = [];
+  for (let s = 0; s + p.length <= t.length; s++) {
+    let errors = 0;
+    for (let j = 0; j < p.length; j++) if (t[s + j] !== p[j]) errors++;
+    if (errors <= k) hits.push({ position: s, end: s + p.length, errors });
+  }
+  return hits;
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1), previous[j] + 1, current[j - 1] + 1);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Least edit distance of the pattern to any text substring ending at each end
+const bestEndingAt = (text, pattern, end) => {
+  let best = Infinity;
+  for (let start = 0; start <= end; start++) best = Math.min(best, levenshtein(pattern, text.slice(start, end)));
+  return best;
+};
+
+// Every start with a non-empty match, paired with its longest end
+const regexOracle = (text, source, caseInsensitive) => {
+  const regex = new RegExp(`^(?:${source})$`, caseInsensitive ? 'i' : '');
+  const hits = [];
+  for (let s = 0; s < text.length; s++) {
+    for (let e = text.length; e > s; e--) {
+      if (regex.test(text.slice(s, e))) {
+        hits.push({ position: s, end: e });
+        break;
+      }
+    }
+  }
+  return hits;
+};
+
+const wildcardToRegex = (pattern) => pattern
+  .replace(/\?/g, '.')
+  .replace(/\*/g, '.*')
+  .replace(/\[!/g, '[^');
+
+const sorted = (positions) => [...positions].sort((a, b) => a - b);
+
+const EXACT_IDS = ALGORITHM_IDS.filter(id => !algorithms[id].approximate && !algorithms[id].multiPattern);
+const MULTI_IDS = ALGORITHM_IDS.filter(id => algorithms[id].multiPattern);
+
+describe('exact matchers', () => {
+  EXACT_IDS.forEach(algorithm => {
+    [false, true].forEach(caseInsensitive => {
+      it(`${algorithm}${caseInsensitive ? ', case-insensitive' : ''} finds every overlapping occurrence`, () => {
+        for (let seed = 1; seed <= ROUNDS; seed++) {
+          const random = createRandom(seed);
+          const { text, pattern } = randomCase(random, caseInsensitive ? 'aAbB' : 'ab');
+          const { pattern_0: result } = match(text, pattern, { algorithm, caseInsensitive });
+          assert.deepEqual(sorted(result.matches), exactOracle(text, pattern, caseInsensitive), `seed ${seed}: "${pattern}" in "${text}"`);
+        }
+      });
+    });
+  });
+
+  it('matches overlapping runs of one character', () => {
+    EXACT_IDS.forEach(algorithm => {
+      assert.deepEqual(sorted(match('aaaaa', 'aa', { algorithm }).pattern_0.matches), [0, 1, 2, 3], algorithm);
+    });
+  });
+
+  it('returns nothing for a pattern longer than the text', () => {
+    ALGORITHM_IDS.forEach(algorithm => {
+      assert.deepEqual(match('ab', 'abc', { algorithm, maxErrors: 0 }).pattern_0.matches, [], algorithm);
+    });
+  });
+});
+
+describe('Rabin-Karp hashing schemes', () => {
+  const schemes = [
+    { scheme: 'single', base: 256, modulus: 2, base2: 263, modulus2: 1000000007 },
+    { scheme: 'double', base: 256, modulus: 3, base2: 2, modulus2: 5 },
+    // An even base forgets all but the last characters mod 2^64, so collisions are certain
+    { scheme: 'mod64', base: 2 ** 16, modulus: 101, base2: 263, modulus2: 1000000007 }
+  ];
+
+  schemes.forEach(hashing => {
+    it(`verifies every hash hit under ${hashing.scheme} hashing`, () => {
+      for (let seed = 1; seed <= ROUNDS; seed++) {
+        const random = createRandom(seed);
+        const { text, pattern } = randomCase(random, 'abc');
+        const { pattern_0: result } = match(text, pattern, { algorithm: 'rabin-karp', hashing });
+        assert.deepEqual(result.matches, exactOracle(text, pattern, false), `seed ${seed}`);
+        assert.equal(result.hashing.hashHits - result.hashing.spuriousHits, result.matches.length, `seed ${seed}`);
+      }
+    });
+  });
+
+  it('gathers collision statistics only while recording a trace', () => {
+    const traced = match('abcabcab', 'cab', { algorithm: 'rabin-karp' }).pattern_0;
+    const untraced = match('abcabcab', 'cab', { algorithm: 'rabin-karp', recording: RECORDING_OFF }).pattern_0;
+    assert.equal(traced.hashing.windows, 6);
+    assert.equal(untraced.hashing.windows, undefined);
+    assert.equal(untraced.hashing.scheme, traced.hashing.scheme);
+    assert.deepEqual(untraced.matches, traced.matches);
+  });
+});
+
+describe('multi-pattern matchers', () => {
+  MULTI_IDS.forEach(algorithm => {
+    [false, true].forEach(caseInsensitive => {
+      it(`${algorithm}${caseInsensitive ? ', case-insensitive' : ''} reports each pattern's occurrences`, () => {
+        for (let seed = 1; seed <= ROUNDS; seed++) {
+          const random = createRandom(seed);
+          const alphabet = caseInsensitive ? 'aAbB' : 'ab';
+          const text = randomString(random, alphabet, Math.floor(random() * 60));
+          // Patterns that prefix, suffix and repeat each other
+          const base = randomString(random, alphabet, 1 + Math.floor(random() * 4));
+          const patterns = [base, base + randomString(random, alphabet, 1), base.slice(1) || base, base];
+          const results = match(text, patterns, { algorithm, caseInsensitive });
+          patterns.forEach((pattern, index) => {
+            assert.deepEqual(
+              sorted(results[`pattern_${index}`].matches),
+              exactOracle(text, pattern, caseInsensitive),
+              `seed ${seed}: "${pattern}" in "${text}"`
+            );
+          });
+        }
+      });
+    });
+  });
+});
+
+describe('approximate matchers', () => {
+  [0, 1, 2].forEach(maxErrors => {
+    it(`bitap finds windows within ${maxErrors} mismatches`, () => {
+      for (let seed = 1; seed <= ROUNDS; seed++) {
+        const random = createRandom(seed);
+        const caseInsensitive = seed % 2 === 0;
+        const { text, pattern } = randomCase(random, caseInsensitive ? 'aAbB' : 'abc');
+        const { pattern_0: result } = match(text, pattern, { algorithm: 'bitap', caseInsensitive, maxErrors });
+        const k = Math.min(maxErrors, pattern.length);
+        assert.deepEqual(result.hits, hammingOracle(text, pattern, k, caseInsensitive), `seed ${seed}: "${pattern}" in "${text}"`);
+      }
+    });
+
+    it(`bitap refuses patterns longer than its limit with ${maxErrors} mismatches`, async () => {
+      const pattern = 'a'.repeat(algorithms.bitap.maxPatternLength + 1);
+      assert.throws(() => algorithms.bitap.func(pattern, pattern, false, { maxErrors }), /limited to 31 characters/);
+      await assert.rejects(runSearch({ source: { text: pattern }, patterns: [pattern], algorithm: 'bitap', options: { maxErrors } }), /limited/);
+    });
+
+    it(`sellers reports one hit per occurrence with ${maxErrors} errors allowed`, () => {
+      const { pattern_0: result } = match('abcxabcyabc', 'abc', { algorithm: 'sellers', maxErrors });
+      assert.deepEqual(result.hits, [0, 4, 8].map(position => ({ position, end: position + 3, errors: 0 })));
+    });
+
+    it(`bitap handles its longest pattern with ${maxErrors} mismatches`, () => {
+      const m = algorithms.bitap.maxPatternLength;
+      for (let seed = 1; seed <= 20; seed++) {
+        const random = createRandom(seed);
+        const pattern = randomString(random, 'ab', m);
+        const text = randomString(random, 'ab', 10) + pattern + randomString(random, 'ab', 10);
+        const { pattern_0: result } = match(text, pattern, { algorithm: 'bitap', maxErrors });
+        assert.deepEqual(result.hits, hammingOracle(text, pattern, maxErrors, false), `seed ${seed}`);
+        // Bit j of R[d] (written most significant first): pattern[0..j] ends at text[i]
+        // with at most d mismatches
+        result.detailedSteps.filter(step => step.vectors).forEach(({ position: i, vectors }) => {
+          vectors.forEach((bits, d) => {
+            assert.match(bits, new RegExp(`^[01]{${m}}$`), `seed ${seed}`);
+            for (let j = 0; j < m && j <= i; j++) {
+              const prefix = pattern.slice(0, j + 1);
+              const mismatches = [...prefix].filter((c, x) => c !== text[i - j + x]).length;
+              assert.equal(bits[m - 1 - j], mismatches <= d ? '1' : '0', `seed ${seed}, i ${i}, R${d} bit ${j}`);
+            }
+          });
+        });
+      }
+    });
+
+    it(`sellers reports each start once within edit distance ${maxErrors}`, () => {
+      for (let seed = 1; seed <= ROUNDS / 3; seed++) {
+        const random = createRandom(seed);
+        const caseInsensitive = seed % 2 === 0;
+        const { text, pattern } = randomCase(random, caseInsensitive ? 'aAbB' : 'abc');
+        const { pattern_0: result } = match(text.slice(0, 30), pattern, { algorithm: 'sellers', caseInsensitive, maxErrors });
+        const t = fold(text.slice(0, 30), caseInsensitive);
+        const p = fold(pattern, caseInsensitive);
+
+        const anyEnd = Array.from({ length: t.length }, (_, i) => bestEndingAt(t, p, i + 1)).some(best => best <= maxErrors);
+        assert.equal(result.hits.length > 0, anyEnd, `seed ${seed}`);
+        assert.equal(new Set(result.matches).size, result.matches.length, `seed ${seed}`);
+        // Each hit lies on an optimal alignment ending at its end
+        result.hits.forEach(hit => {
+          assert.equal(levenshtein(p, t.slice(hit.position, hit.end)), hit.errors, `seed ${seed} at ${hit.position}`);
+          assert.equal(bestEndingAt(t, p, hit.end), hit.errors, `seed ${seed} at ${hit.position}`);
+          assert.ok(hit.errors <= maxErrors);
+        });
+      }
+    });
+  });
+});
+
+describe('Thompson NFA', () => {
+  const regexes = ['a(b|c)*a', 'ab?c', '[ab]{2,3}c', 'a.b', '(ab)+', 'b+|ca'];
+  const wildcards = ['a?b', 'a*c', '[ab]c', '[!a]b*a'];
+
+  regexes.forEach(source => {
+    it(`regex ${source} matches like a backtracking engine`, () => {
+      for (let seed = 1; seed <= ROUNDS / 3; seed++) {
+        const random = createRandom(seed);
+        const caseInsensitive = seed % 2 === 0;
+        const text = randomString(random, caseInsensitive ? 'abcABC' : 'abc', Math.floor(random() * 30));
+        const { pattern_0: result } = match(text, source, { algorithm: 'thompson-nfa', patternSyntax: 'regex', caseInsensitive });
+        assert.deepEqual(result.hits, regexOracle(text, source, caseInsensitive), `seed ${seed}: "${text}"`);
+      }
+    });
+  });
+
+  wildcards.forEach(source => {
+    it(`wildcard ${source} matches like its regex translation`, () => {
+      for (let seed = 1; seed <= ROUNDS / 3; seed++) {
+        const random = createRandom(seed);
+        const text = randomString(random, 'abc', Math.floor(random() * 30));
+        const { pattern_0: result } = match(text, source, { algorithm: 'thompson-nfa', patternSyntax: 'wildcard' });
+        assert.deepEqual(result.hits, regexOracle(text, wildcardToRegex(source), false), `seed ${seed}: "${text}"`);
+      }
+    });
+  });
+
+  it('rejects wildcard and regex patterns for literal-only algorithms', () => {
+    assert.throws(() => match('abc', 'a.c', { algorithm: 'kmp', patternSyntax: 'regex' }));
+  });
+});
+
+describe('Unicode mode', () => {
+  it('reports matches at original offsets when matching by code point', () => {
+    const text = 'a😀b😀😀b';
+    ALGORITHM_IDS.filter(id => !algorithms[id].approximate).forEach(algorithm => {
+      const { pattern_0: result } = match(text, '😀b', { algorithm, unicode: { unit: 'code-point', normalization: 'none' } });
+      assert.deepEqual(sorted(result.matches), exactOracle(text, '😀b', false), algorithm);
+    });
+  });
+
+  it('folds only the literal characters of case-insensitive regex and wildcard patterns', () => {
+    const unicode = { unit: 'code-point', normalization: 'none' };
+    const search = (text, source, patternSyntax) =>
+      match(text, source, { algorithm: 'thompson-nfa', patternSyntax, caseInsensitive: true, unicode }).pattern_0;
+
+    assert.deepEqual(search('a1b2', '\\D', 'regex').matches, [0, 2]);
+    ['\\D', '\\W', '\\S', '\\D\\d', 'B\\W?'].forEach(source => {
+      const text = 'a1B2 c_\tD';
+      assert.deepEqual(search(text, source, 'regex').hits, regexOracle(text, source, true), source);
+    });
+    // Escaped letters that are literals still match either case
+    assert.deepEqual(search('a1b2dD', '[\\D]', 'regex').matches, [4, 5]);
+    assert.deepEqual(search('a1b2', '\\B?', 'wildcard').matches, [2]);
+  });
+});
+
+describe('large files', () => {
+  it('reports a regex match across a chunk boundary once, at its full length', async () => {
+    const start = CHUNK_BYTES - 5;
+    const text = 'x'.repeat(start) + 'a' + 'b'.repeat(20) + 'x'.repeat(10);
+    const { pattern_0: result } = await runSearch({
+      source: { file: new Blob([text]) },
+      patterns: ['ab*'],
+      algorithm: 'thompson-nfa',
+      options: { patternSyntax: 'regex' }
+    });
+    assert.deepEqual(result.matches, [start]);
+    assert.deepEqual(result.hits.map(({ position, end }) => [position, end]), [[start, start + 21]]);
+  });
+
+  it('reports an approximate match across a chunk boundary once, with its fewest errors', async () => {
+    const start = CHUNK_BYTES - 2;
+    const text = 'x'.repeat(start) + 'abc' + 'x'.repeat(10);
+    const { pattern_0: result } = await runSearch({
+      source: { file: new Blob([text]) },
+      patterns: ['abc'],
+      algorithm: 'sellers',
+      options: { maxErrors: 1 }
+    });
+    assert.deepEqual(result.hits, [{ position: start, end: start + 3, errors: 0 }]);
+  });
+});
+
+describe('trace schema', () => {
+  it('has a version', () => {
+    assert.ok(Number.isInteger(TRACE_SCHEMA_VERSION) && TRACE_SCHEMA_VERSION >= 1);
+  });
+
+  it('describes every step each algorithm records', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const random = createRandom(seed);
+      const { text, pattern } = randomCase(random, 'abc');
+      ALGORITHM_IDS.forEach(algorithm => {
+        const patterns = algorithms[algorithm].multiPattern ? [pattern, pattern.slice(1) || 'c'] : pattern;
+        const results = match(text, patterns, { algorithm, caseInsensitive: seed % 2 === 0, maxErrors: 1 });
+        results.pattern_0.detailedSteps.forEach(step => {
+          assert.deepEqual(validateStep(step), [], `${algorithm}, seed ${seed}`);
+          assert.ok(STEP_TYPES[step.type]);
+        });
+      });
+    }
+  });
+
+  it('points every step at a line of its pseudocode', () => {
+    ALGORITHM_IDS.forEach(algorithm => {
+      const patterns = algorithms[algorithm].multiPattern ? ['aba', 'ba'] : 'aba';
+      match('abababa', patterns, { algorithm }).pattern_0.detailedSteps.forEach(step => {
+        if (step.line === undefined) return;
+        const keys = PSEUDOCODE[algorithm][step.phase ?? 'search'].map(([key]) => key);
+        assert.ok(keys.includes(step.line), `${algorithm}: ${step.line}`);
+      });
+    });
+  });
+
+  it('flags steps that do not fit', () => {
+    assert.notDeepEqual(validateStep({ type: 'teleport', description: '', comparisons: 0 }), []);
+    assert.notDeepEqual(validateStep({ type: 'spurious', description: '', comparisons: 0 }), []);
+    assert.notDeepEqual(validateStep({ type: 'spurious', position: 1, description: '', comparisons: 0, extra: 1 }), []);
+  });
+});
+
+describe('trace recording', () => {
+  const patternsFor = (algorithm, pattern) => (algorithms[algorithm].multiPattern ? [pattern, 'ba'] : pattern);
+
+  it('keeps matches and metrics at every level', () => {
+    const text = 'abaababaabaababaab';
+    ALGORITHM_IDS.forEach(algorithm => {
+      const full = match(text, patternsFor(algorithm, 'aba'), { algorithm }).pattern_0;
+      const off = match(text, patternsFor(algorithm, 'aba'), { algorithm, recording: RECORDING_OFF }).pattern_0;
+      assert.deepEqual(off.matches, full.matches, algorithm);
+      assert.equal(off.comparisons, full.comparisons, algorithm);
+      assert.deepEqual(off.detailedSteps, [], algorithm);
+      assert.deepEqual(off.recording, { level: 'off', steps: 0, dropped: 0 });
+
+      const summary = match(text, patternsFor(algorithm, 'aba'), { algorithm, recording: { level: 'summary' } }).pattern_0;
+      assert.ok(summary.detailedSteps.every(step => step.phase === 'preprocessing' || step.type === 'found'), algorithm);
+      assert.equal(summary.detailedSteps.filter(step => step.type === 'found').length, full.detailedSteps.filter(step => step.type === 'found').length, algorithm);
+    });
+  });
+
+  it('keeps only the search steps inside a text range', () => {
+    const text = 'abaababaabaababaab';
+    const recording = { level: 'windowed', from: 5, to: 10 };
+    ['kmp', 'horspool', 'z-algorithm'].forEach(algorithm => {
+      const { pattern_0: result } = match(text, 'aba', { algorithm, recording });
+      const search = result.detailedSteps.filter(step => step.phase !== 'preprocessing');
+      assert.ok(search.length > 0, algorithm);
+      search.filter(step => step.type === 'found').forEach(step => {
+        assert.ok(step.position >= 5 && step.position < 10, `${algorithm}: ${step.position}`);
+      });
+      assert.deepEqual(result.matches, exactOracle(text, 'aba', false), algorithm);
+    });
+  });
+
+  it('stops at the cap and counts what it dropped', () => {
+    const trace = createRecorder({ level: 'full' }, { maxSteps: 3 });
+    for (let i = 0; i < 5; i++) if (trace.wants({ type: 'spurious', position: i })) trace.steps.push(i);
+    assert.deepEqual(trace.steps, [0, 1, 2]);
+    assert.deepEqual(trace.info(), { level: 'full', steps: 3, dropped: 2 });
+  });
+
+  it('tells the matchers to build no steps when off', () => {
+    assert.equal(createRecorder(RECORDING_OFF).enabled, false);
+    ['full', 'windowed', 'summary'].forEach(level => assert.ok(createRecorder({ level }).enabled, level));
+  });
+
+  it('describes every step when it is shown', () => {
+    const cases = [
+      ['abcabcab', 'cab', {}],
+      ['ABcabCab', 'cAb', { caseInsensitive: true }],
+      ['a😀b😀😀b', '😀b', { unicode: { unit: 'code-point', normalization: 'none' } }]
+    ];
+    cases.forEach(([text, pattern, options]) => {
+      ALGORITHM_IDS.forEach(algorithm => {
+        Object.values(match(text, patternsFor(algorithm, pattern), { algorithm, maxErrors: 1, ...options })).forEach(result => {
+          result.detailedSteps.forEach(step => {
+            assert.equal(step.description, undefined);
+            const description = describeStep(step, result, text);
+            assert.ok(description.length > 0 && description !== step.type, `${algorithm}: ${step.type}`);
+            assert.ok(!description.includes('undefined') && !description.includes('NaN'), `${algorithm}: ${description}`);
+          });
+        });
+      });
+    });
+    assert.equal(describeStep({ type: 'found', position: 0, description: 'kept' }, {}, ''), 'kept');
+  });
+});
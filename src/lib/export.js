@@ -0,0 +1,95 @@
+import { buildRows, collectMatches, locate } from './highlight.js';
+import { TRACE_SCHEMA_VERSION } from './trace-schema.js';
+
+// Versioned run file: inputs, results and step traces, replayable without recomputing.
+// Bump RUN_VERSION whenever the shape changes and keep reading the older versions.
+// Steps inside follow the trace schema named by traceSchema (see trace-schema.js).
+export const RUN_FORMAT = 'string-viz-lab/run';
+export const RUN_VERSION = 1;
+
+const csvField = (value) => {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const toCsv = (header, rows) => {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+// One row per match with its 1-based line and column. Chunked file results have no text
+// here, so their line and column are left empty.
+export const matchesToCsv = (allResults, text) => {
+  const rows = text === null ? null : buildRows(text, Infinity);
+  const matches = collectMatches(allResults).sort((a, b) => a.start - b.start || a.patternIndex - b.patternIndex);
+  const withErrors = matches.some(match => match.errors !== undefined);
+
+  const header = ['pattern', 'position', 'end', 'line', 'column', ...(withErrors ? ['errors'] : [])];
+  return toCsv(header, matches.map(match => {
+    const { line, column } = rows ? locate(rows, match.start) : {};
+    return [match.pattern, match.start, match.end, line, column, ...(withErrors ? [match.errors] : [])];
+  }));
+};
+
+// Multi-pattern entries share one trace; it is stored once and referenced by index.
+// `sweep` is a benchmark's size sweep, if the run was one.
+export const serializeRun = (inputs, allResults, sweep = null) => {
+  const traces = [];
+  const traceIndex = new Map();
+  const results = {};
+
+  Object.entries(allResults).forEach(([key, result]) => {
+    const { detailedSteps, ...rest } = result;
+    if (detailedSteps && !traceIndex.has(detailedSteps)) {
+      traceIndex.set(detailedSteps, traces.length);
+      traces.push(detailedSteps);
+    }
+    results[key] = detailedSteps ? { ...rest, trace: traceIndex.get(detailedSteps) } : rest;
+  });
+
+  return JSON.stringify({
+    format: RUN_FORMAT,
+    version: RUN_VERSION,
+    traceSchema: TRACE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    inputs,
+    results,
+    traces,
+    sweep
+  });
+};
+
+// Returns { inputs, results, sweep } with traces reattached and shared again
+export const parseRun = (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (data?.format !== RUN_FORMAT) throw new Error('The file is not an exported run');
+  if (!Number.isInteger(data.version) || data.version > RUN_VERSION) {
+    throw new Error(`Run format version ${data.version} is newer than this app understands (${RUN_VERSION})`);
+  }
+  // Runs exported before the schema was versioned have no traceSchema and read as version 1
+  if (data.traceSchema > TRACE_SCHEMA_VERSION) {
+    throw new Error(`Trace schema version ${data.traceSchema} is newer than this app understands (${TRACE_SCHEMA_VERSION})`);
+  }
+  if (!data.inputs || !data.results || !Array.isArray(data.traces)) throw new Error('The run file is incomplete');
+
+  const results = {};
+  Object.entries(data.results).forEach(([key, { trace, ...result }]) => {
+    if (trace !== undefined && !data.traces[trace]) throw new Error(`Result ${key} points at a missing trace`);
+    results[key] = trace === undefined ? result : { ...result, detailedSteps: data.traces[trace] };
+  });
+  return { inputs: data.inputs, results, sweep: data.sweep ?? null };
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the download a moment to start before the URL is released
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
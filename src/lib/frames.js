@@ -0,0 +1,174 @@
+import { alignStep, range } from './timeline.js';
+import { buildPalette, encodeGif } from './gif.js';
+
+// Still frames of the alignment animation for slides: one layout shared by the SVG
+// export and the canvas the GIF is drawn on. Colours are fixed so exports look the
+// same outside the app's theme.
+export const FRAME_COLORS = {
+  background: '#ffffff',
+  text: '#1f2937',
+  muted: '#6b7280',
+  border: '#d1d5db',
+  window: '#dbeafe',
+  windowBorder: '#3b82f6',
+  match: '#bbf7d0',
+  matchBorder: '#16a34a',
+  mismatch: '#fecaca',
+  mismatchBorder: '#dc2626',
+  compared: '#1d4ed8'
+};
+
+const CELL = 24;
+const PADDING = 12;
+const MARGIN_CELLS = 12;
+const MIN_COLUMNS = 40;
+const INDEX_HEIGHT = 14;
+const CAPTION_HEIGHT = 36;
+
+const CELL_STYLE = {
+  window: ['window', 'windowBorder'],
+  match: ['match', 'matchBorder'],
+  mismatch: ['mismatch', 'mismatchBorder']
+};
+
+// Columns shown is fixed for a given text and pattern, so every frame of an
+// animation has the same size
+export const frameColumns = (text, pattern) => Math.min(text.length, Math.max(pattern.length + 2 * MARGIN_CELLS, MIN_COLUMNS));
+
+export const frameSize = (columns) => ({
+  width: columns * CELL + 2 * PADDING,
+  height: INDEX_HEIGHT + 2 * CELL + 4 + CAPTION_HEIGHT + 2 * PADDING
+});
+
+// Cells, colours and caption for one step. `text` and `pattern` are strings or unit arrays;
+// `description` is the step's caption text (see describe.js).
+export const layoutFrame = ({ text, pattern, step, description = '', algorithm, index, total, columns }) => {
+  const alignment = alignStep(algorithm, step, pattern.length);
+  const span = alignment?.span ?? pattern.length;
+  const offset = alignment?.offset ?? step?.position ?? 0;
+  const start = Math.max(0, Math.min(offset - MARGIN_CELLS, text.length - columns));
+
+  const stateOf = (k) => {
+    if (!alignment) return null;
+    if (alignment.compared?.index === k) return alignment.compared.result;
+    return alignment.matched.includes(k) ? 'match' : 'window';
+  };
+
+  const textCells = range(start, start + columns).map((i, column) => ({
+    column,
+    index: i,
+    char: text[i],
+    state: i >= offset && i < offset + span ? stateOf(i - offset) : null,
+    compared: Boolean(alignment?.compared) && offset + alignment.compared.index === i
+  }));
+  const patternCells = alignment
+    ? range(0, span)
+      .map(k => ({
+        column: offset - start + k,
+        char: alignment.span === undefined ? pattern[k] : text[offset + k],
+        state: stateOf(k),
+        compared: alignment.compared?.index === k
+      }))
+      .filter(cell => cell.column >= 0 && cell.column < columns)
+    : [];
+
+  return {
+    ...frameSize(columns),
+    textCells,
+    patternCells,
+    title: `Step ${index + 1} of ${total} · ${step?.type ?? ''}${step?.phase === 'preprocessing' ? ' (preprocessing)' : ''}`,
+    description
+  };
+};
+
+const cellTop = (row) => PADDING + INDEX_HEIGHT + row * (CELL + 4);
+const cellLeft = (column) => PADDING + column * CELL;
+const captionTop = () => cellTop(2) + 4;
+
+const escapeXml = (str) => String(str).replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
+
+const fitCaption = (str, width) => {
+  const max = Math.floor(width / 6.5);
+  return str.length > max ? `${str.slice(0, max - 1)}…` : str;
+};
+
+const showChar = (char) => (char === '\n' ? '⏎' : char ?? '');
+
+export const frameToSvg = (frame) => {
+  const C = FRAME_COLORS;
+  const cell = (x, y, { char, state, compared }) => {
+    const [fill, stroke] = state ? CELL_STYLE[state].map(key => C[key]) : [C.background, C.border];
+    return [
+      `<rect x="${x + 1}" y="${y}" width="${CELL - 2}" height="${CELL}" rx="3" fill="${fill}" stroke="${compared ? C.compared : stroke}" stroke-width="${compared ? 2 : 1}"/>`,
+      `<text x="${x + CELL / 2}" y="${y + CELL / 2 + 5}" text-anchor="middle" fill="${C.text}">${escapeXml(showChar(char))}</text>`
+    ].join('');
+  };
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${frame.width}" height="${frame.height}" viewBox="0 0 ${frame.width} ${frame.height}" font-family="ui-monospace, monospace" font-size="14">`,
+    `<rect width="100%" height="100%" fill="${C.background}"/>`,
+    ...frame.textCells
+      .filter(({ index }) => index % 5 === 0)
+      .map(({ column, index }) => `<text x="${cellLeft(column) + CELL / 2}" y="${PADDING + 10}" text-anchor="middle" font-size="10" fill="${C.muted}">${index}</text>`),
+    ...frame.textCells.map(textCell => cell(cellLeft(textCell.column), cellTop(0), textCell)),
+    ...frame.patternCells.map(patternCell => cell(cellLeft(patternCell.column), cellTop(1), patternCell)),
+    `<text x="${PADDING}" y="${captionTop() + 14}" font-size="12" font-weight="bold" fill="${C.text}">${escapeXml(frame.title)}</text>`,
+    `<text x="${PADDING}" y="${captionTop() + 30}" font-size="11" fill="${C.muted}">${escapeXml(fitCaption(frame.description, frame.width - 2 * PADDING))}</text>`,
+    '</svg>'
+  ];
+  return parts.join('\n');
+};
+
+export const drawFrame = (context, frame) => {
+  const C = FRAME_COLORS;
+  context.fillStyle = C.background;
+  context.fillRect(0, 0, frame.width, frame.height);
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+
+  context.font = '10px monospace';
+  context.fillStyle = C.muted;
+  frame.textCells
+    .filter(({ index }) => index % 5 === 0)
+    .forEach(({ column, index }) => context.fillText(String(index), cellLeft(column) + CELL / 2, PADDING + 6));
+
+  const cell = (x, y, { char, state, compared }) => {
+    const [fill, stroke] = state ? CELL_STYLE[state].map(key => C[key]) : [C.background, C.border];
+    context.fillStyle = fill;
+    context.fillRect(x + 1, y, CELL - 2, CELL);
+    context.strokeStyle = compared ? C.compared : stroke;
+    context.lineWidth = compared ? 2 : 1;
+    context.strokeRect(x + 1.5, y + 0.5, CELL - 3, CELL - 1);
+    context.font = '14px monospace';
+    context.fillStyle = C.text;
+    context.fillText(showChar(char), x + CELL / 2, y + CELL / 2 + 1);
+  };
+  frame.textCells.forEach(textCell => cell(cellLeft(textCell.column), cellTop(0), textCell));
+  frame.patternCells.forEach(patternCell => cell(cellLeft(patternCell.column), cellTop(1), patternCell));
+
+  context.textAlign = 'left';
+  context.font = 'bold 12px monospace';
+  context.fillStyle = C.text;
+  context.fillText(frame.title, PADDING, captionTop() + 10);
+  context.font = '11px monospace';
+  context.fillStyle = C.muted;
+  context.fillText(fitCaption(frame.description, frame.width - 2 * PADDING), PADDING, captionTop() + 26);
+};
+
+// Animated GIF of frame layouts, all the same size; frames are drawn and encoded one
+// at a time so a long animation never holds every bitmap at once
+export const framesToGif = (layouts, delay) => {
+  const { width, height } = layouts[0];
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+
+  function* bitmaps() {
+    for (const layout of layouts) {
+      drawFrame(context, layout);
+      yield context.getImageData(0, 0, width, height).data;
+    }
+  }
+  return encodeGif(bitmaps(), { width, height, delay, palette: buildPalette(Object.values(FRAME_COLORS)) });
+};
@@ -0,0 +1,226 @@
+import { createHasher, DEFAULT_HASHING } from './hashing.js';
+
+// Seedable text and pattern generators for stress inputs. The same generator, settings
+// and seed always produce the same text, so a benchmark can be rerun exactly.
+//
+// Every generator returns { text, pattern, note? }; for text-only families the pattern
+// is cut from the generated text so it matches at least once.
+
+export const MAX_GENERATED_LENGTH = 1000000;
+
+// Budget of windows hashed while searching for Rabin-Karp collisions
+const COLLISION_CANDIDATES = 2000000;
+const THUE_MORSE_COLLISION_LENGTH = 2048;
+const WORD_BITS = 64;
+
+// mulberry32: small, fast and good enough for test inputs
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomString = (random, alphabet, length) => {
+  const chars = Array.from(alphabet);
+  let str = '';
+  for (let i = 0; i < length; i++) str += chars[Math.floor(random() * chars.length)];
+  return str;
+};
+
+const cutPattern = (random, text, patternLength) => {
+  const m = Math.min(patternLength, text.length);
+  const start = Math.floor(random() * (text.length - m + 1));
+  return text.slice(start, start + m);
+};
+
+// First two letters of the alphabet, for the binary word families
+const letters = (alphabet) => {
+  const chars = Array.from(alphabet);
+  return [chars[0] ?? 'a', chars[1] ?? 'b'];
+};
+
+const fibonacciWord = (length, [a, b]) => {
+  // S(n) = S(n-1) S(n-2), starting from "a" and "ab"
+  let previous = a;
+  let current = a + b;
+  while (current.length < length) [previous, current] = [current, current + previous];
+  return current.slice(0, length);
+};
+
+const thueMorseBit = (i) => {
+  let parity = 0;
+  for (let x = i; x > 0; x >>= 1) parity ^= x & 1;
+  return parity;
+};
+
+const thueMorseWord = (length, [a, b]) => {
+  let str = '';
+  for (let i = 0; i < length; i++) str += thueMorseBit(i) ? b : a;
+  return str;
+};
+
+// Enough colliding windows of length m to fill a text of the requested length
+const windowCount = (length, m) => Math.max(1, Math.floor(length / m));
+
+// Windows of a random stream whose hash equals the pattern's but whose text differs
+const searchCollisions = (random, alphabet, m, length, hashing) => {
+  const count = windowCount(length, m);
+  const hasher = createHasher(hashing);
+  const pattern = randomString(random, alphabet, m);
+  const target = [...pattern].reduce((hash, char) => hasher.push(hash, char.charCodeAt(0)), hasher.zero());
+
+  let high = hasher.one();
+  for (let i = 0; i < m - 1; i++) high = hasher.push(high, 0);
+
+  const chars = Array.from(alphabet);
+  const stream = [];
+  let hash = hasher.zero();
+  const found = [];
+  for (let i = 0; i < COLLISION_CANDIDATES + m - 1 && found.length < count; i++) {
+    const char = chars[Math.floor(random() * chars.length)];
+    stream.push(char);
+    hash = i < m
+      ? hasher.push(hash, char.charCodeAt(0))
+      : hasher.roll(hash, stream[i - m].charCodeAt(0), char.charCodeAt(0), high);
+    if (i >= m - 1 && hasher.equal(hash, target)) {
+      const window = stream.slice(i - m + 1, i + 1).join('');
+      if (window !== pattern) found.push(window);
+    }
+  }
+  return { pattern, found };
+};
+
+// Exact collisions mod 2^64. With an even base only the last ceil(64 / v) characters
+// count (v = powers of two in the base); with an odd base a Thue-Morse word and its
+// complement of length 2^11 always share a hash.
+const mod64Collisions = (random, alphabet, m, length, base) => {
+  const [a, b] = letters(alphabet);
+  let twos = 0;
+  for (let x = base; x % 2 === 0; x /= 2) twos++;
+
+  if (twos > 0) {
+    const significant = Math.ceil(WORD_BITS / twos);
+    const size = Math.max(m, significant + 1);
+    const tail = randomString(random, alphabet, significant);
+    const pattern = randomString(random, alphabet, size - significant) + tail;
+    const count = windowCount(length, size);
+    const found = [];
+    // A one-letter alphabet has no second window to offer
+    for (let attempt = 0; found.length < count && attempt < 4 * count; attempt++) {
+      const window = randomString(random, alphabet, size - significant) + tail;
+      if (window !== pattern) found.push(window);
+    }
+    return {
+      pattern,
+      found,
+      note: `Base ${base} is even, so only the last ${significant} characters affect the hash mod 2^64`
+    };
+  }
+
+  const pattern = thueMorseWord(THUE_MORSE_COLLISION_LENGTH, [a, b]);
+  const complement = thueMorseWord(THUE_MORSE_COLLISION_LENGTH, [b, a]);
+  return {
+    pattern,
+    found: a === b ? [] : new Array(windowCount(length, THUE_MORSE_COLLISION_LENGTH)).fill(complement),
+    note: `A Thue-Morse word and its complement of length ${THUE_MORSE_COLLISION_LENGTH} collide mod 2^64 for every odd base` +
+      (m !== THUE_MORSE_COLLISION_LENGTH ? '; the pattern length was set to match' : '')
+  };
+};
+
+export const GENERATORS = {
+  random: {
+    name: 'Random',
+    description: 'Uniform random characters over the alphabet',
+    generate: ({ length, alphabet, patternLength }, random) => {
+      const text = randomString(random, alphabet, length);
+      return { text, pattern: cutPattern(random, text, patternLength) };
+    }
+  },
+  periodic: {
+    name: 'Periodic',
+    description: 'A random block of the given period repeated',
+    generate: ({ length, alphabet, period, patternLength }, random) => {
+      const block = randomString(random, alphabet, Math.max(1, period));
+      const text = block.repeat(Math.ceil(length / block.length)).slice(0, length);
+      return { text, pattern: cutPattern(random, text, patternLength) };
+    }
+  },
+  fibonacci: {
+    name: 'Fibonacci word',
+    description: 'S(n) = S(n-1) S(n-2); highly repetitive without being periodic',
+    generate: ({ length, alphabet, patternLength }, random) => {
+      const text = fibonacciWord(length, letters(alphabet));
+      return { text, pattern: cutPattern(random, text, patternLength) };
+    }
+  },
+  thueMorse: {
+    name: 'Thue-Morse word',
+    description: 'Overlap-free binary word: no factor of the form cxcxc',
+    generate: ({ length, alphabet, patternLength }, random) => {
+      const text = thueMorseWord(length, letters(alphabet));
+      return { text, pattern: cutPattern(random, text, patternLength) };
+    }
+  },
+  adversarial: {
+    name: 'aⁿb (naive worst case)',
+    description: 'Text a…ab and pattern a…ab: every window matches until its last character',
+    generate: ({ length, alphabet, patternLength }) => {
+      const [a, b] = letters(alphabet);
+      const m = Math.min(patternLength, length);
+      return {
+        text: a.repeat(Math.max(0, length - 1)) + b,
+        pattern: a.repeat(Math.max(0, m - 1)) + b
+      };
+    }
+  },
+  collisions: {
+    name: 'Rabin-Karp collisions',
+    description: 'Windows whose hash equals the pattern\'s under the current base and modulus',
+    usesHashing: true,
+    generate: ({ length, alphabet, patternLength }, random, hashing = DEFAULT_HASHING) => {
+      const m = Math.max(1, patternLength);
+      const { pattern, found, note } = hashing.scheme === 'mod64'
+        ? mod64Collisions(random, alphabet, m, length, hashing.base)
+        : { ...searchCollisions(random, alphabet, m, length, hashing), note: null };
+
+      if (found.length === 0) {
+        return {
+          text: randomString(random, alphabet, length),
+          pattern,
+          note: `No colliding window turned up in ${COLLISION_CANDIDATES.toLocaleString()} candidates; the hash space is too large to collide by search`
+        };
+      }
+      // The pattern goes in once so there is a real match among the collisions
+      const windows = [...found];
+      windows.splice(Math.floor(random() * (windows.length + 1)), 0, pattern);
+      return {
+        text: windows.join(''),
+        pattern,
+        note: note ?? `${found.length} colliding windows`
+      };
+    }
+  }
+};
+
+export const DEFAULT_GENERATOR = {
+  kind: 'random',
+  length: 1000,
+  alphabet: 'ab',
+  period: 7,
+  patternLength: 8,
+  seed: 1
+};
+
+// settings: DEFAULT_GENERATOR's shape; hashing is only read by the collision family
+export const generateInput = (settings, hashing) => {
+  const generator = GENERATORS[settings.kind];
+  if (!generator) throw new Error(`Unknown generator ${settings.kind}`);
+  if (Array.from(settings.alphabet).length === 0) throw new Error('The alphabet needs at least one character');
+  const length = Math.max(1, Math.min(MAX_GENERATED_LENGTH, settings.length));
+  return generator.generate({ ...settings, length }, createRandom(settings.seed), hashing);
+};
@@ -0,0 +1,131 @@
+// Minimal animated GIF encoder for exported frames. Frames are drawn in a handful of
+// flat colours, so a fixed palette (those colours plus a grey ramp for anti-aliased
+// text) replaces real quantization.
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+export const buildPalette = (colors) => {
+  const palette = [...new Set(colors)].map(hexToRgb);
+  for (let level = 0; level <= 255; level += 17) palette.push([level, level, level]);
+  // The colour table holds a power of two entries
+  let size = 2;
+  while (size < palette.length) size *= 2;
+  if (size > 256) throw new Error('GIF palettes hold at most 256 colours');
+  while (palette.length < size) palette.push([0, 0, 0]);
+  return palette;
+};
+
+// Palette index of every pixel of an RGBA buffer
+const toIndices = (rgba, palette, cache) => {
+  const indices = new Uint8Array(rgba.length / 4);
+  for (let p = 0; p < indices.length; p++) {
+    const r = rgba[p * 4];
+    const g = rgba[p * 4 + 1];
+    const b = rgba[p * 4 + 2];
+    const key = (r << 16) | (g << 8) | b;
+    let index = cache.get(key);
+    if (index === undefined) {
+      let best = Infinity;
+      palette.forEach(([pr, pg, pb], i) => {
+        const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+        if (distance < best) {
+          best = distance;
+          index = i;
+        }
+      });
+      cache.set(key, index);
+    }
+    indices[p] = index;
+  }
+  return indices;
+};
+
+// Variable-width LZW as the GIF spec has it: codes grow up to 12 bits, then the
+// table is cleared
+const lzw = (indices, minCodeSize) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let buffer = 0;
+  let bits = 0;
+
+  const emit = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      out.push(buffer & 0xff);
+      buffer >>= 8;
+      bits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      table = new Map();
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = indices[i];
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bits > 0) out.push(buffer & 0xff);
+  return out;
+};
+
+// Data is written in sub-blocks of at most 255 bytes, ended by an empty block
+const subBlocks = (bytes) => {
+  const out = [];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const block = bytes.slice(i, i + 255);
+    out.push(block.length, ...block);
+  }
+  out.push(0);
+  return out;
+};
+
+const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+
+// frames: any iterable of RGBA buffers of width × height, so they can be drawn one at a
+// time; delay in milliseconds; the animation loops forever
+export const encodeGif = (frames, { width, height, delay, palette }) => {
+  const colorBits = Math.log2(palette.length);
+  const minCodeSize = Math.max(2, colorBits);
+  const cache = new Map();
+  const bytes = [
+    ...Array.from('GIF89a', char => char.charCodeAt(0)),
+    ...word(width), ...word(height),
+    0x80 | ((colorBits - 1) << 4) | (colorBits - 1), 0, 0,
+    ...palette.flat(),
+    // NETSCAPE2.0 application extension: repeat forever
+    0x21, 0xff, 11, ...Array.from('NETSCAPE2.0', char => char.charCodeAt(0)), 3, 1, 0, 0, 0
+  ];
+
+  for (const rgba of frames) {
+    bytes.push(
+      0x21, 0xf9, 4, 0, ...word(Math.round(delay / 10)), 0, 0,
+      0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0,
+      minCodeSize
+    );
+    // Image data can be large; spreading it into push() would overflow the stack
+    subBlocks(lzw(toIndices(rgba, palette, cache), minCodeSize)).forEach(byte => bytes.push(byte));
+  }
+  bytes.push(0x3b);
+  return new Uint8Array(bytes);
+};
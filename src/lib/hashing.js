@@ -0,0 +1,129 @@
+// Rolling polynomial hashes for Rabin-Karp. A hash value is an array with one entry
+// per component: one for a single modulus, two for double hashing, and one BigInt
+// for arithmetic mod 2^64.
+
+export const HASH_SCHEMES = {
+  single: 'Single modulus',
+  double: 'Double hashing',
+  mod64: 'Polynomial mod 2^64'
+};
+
+export const DEFAULT_HASHING = {
+  scheme: 'single',
+  base: 256,
+  modulus: 101,
+  base2: 263,
+  modulus2: 1000000007
+};
+
+// Bounds that keep every intermediate product of the modular schemes below 2^53
+export const MAX_BASE = 2 ** 21;
+export const MAX_MODULUS = 2 ** 31 - 1;
+
+const HISTOGRAM_BUCKETS = 32;
+const TOP_VALUES = 10;
+// Distinct window hashes counted exactly; past this the count is a lower bound
+const MAX_TRACKED_VALUES = 100000;
+
+const checkPair = (base, modulus, which) => {
+  if (!Number.isInteger(base) || base < 2 || base > MAX_BASE) {
+    throw new Error(`Rabin-Karp ${which}base must be an integer from 2 to ${MAX_BASE}`);
+  }
+  if (!Number.isInteger(modulus) || modulus < 2 || modulus > MAX_MODULUS) {
+    throw new Error(`Rabin-Karp ${which}modulus must be an integer from 2 to ${MAX_MODULUS}`);
+  }
+};
+
+export const validateHashing = (settings) => {
+  if (!HASH_SCHEMES[settings.scheme]) throw new Error(`Unknown hash scheme ${settings.scheme}`);
+  if (settings.scheme === 'mod64') {
+    if (!Number.isInteger(settings.base) || settings.base < 2) throw new Error('Rabin-Karp base must be an integer of at least 2');
+    return;
+  }
+  checkPair(settings.base, settings.modulus, '');
+  if (settings.scheme === 'double') checkPair(settings.base2, settings.modulus2, 'second ');
+};
+
+// One component: push appends a character code, roll drops `out` (weighted by `high`,
+// base^(m-1)) and appends `incoming`. fraction places a value in [0, 1) for histograms.
+const modularComponent = (base, modulus) => ({
+  zero: 0,
+  one: 1 % modulus,
+  push: (hash, code) => (hash * base + code) % modulus,
+  roll: (hash, out, incoming, high) => ((((hash - (out * high) % modulus) + modulus) % modulus) * base + incoming) % modulus,
+  fraction: (hash) => hash / modulus,
+  label: `mod ${modulus}`,
+  space: modulus
+});
+
+const WORD = 64;
+const mod64Component = (base) => {
+  const bigBase = BigInt(base);
+  return {
+    zero: 0n,
+    one: 1n,
+    push: (hash, code) => BigInt.asUintN(WORD, hash * bigBase + BigInt(code)),
+    roll: (hash, out, incoming, high) => BigInt.asUintN(WORD, (hash - BigInt(out) * high) * bigBase + BigInt(incoming)),
+    fraction: (hash) => Number(hash >> 11n) / 2 ** 53,
+    label: 'mod 2^64',
+    space: 2 ** 64
+  };
+};
+
+export const createHasher = (settings = DEFAULT_HASHING) => {
+  validateHashing(settings);
+  const components = settings.scheme === 'mod64'
+    ? [mod64Component(settings.base)]
+    : settings.scheme === 'double'
+      ? [modularComponent(settings.base, settings.modulus), modularComponent(settings.base2, settings.modulus2)]
+      : [modularComponent(settings.base, settings.modulus)];
+
+  return {
+    zero: () => components.map(component => component.zero),
+    one: () => components.map(component => component.one),
+    push: (hash, code) => hash.map((value, k) => components[k].push(value, code)),
+    roll: (hash, out, incoming, high) => hash.map((value, k) => components[k].roll(value, out, incoming, high[k])),
+    equal: (a, b) => a.every((value, k) => value === b[k]),
+    // Steps and results carry plain numbers or strings so traces can be posted and exported
+    display: (hash) => (settings.scheme === 'single' ? hash[0] : hash.map(String).join(' / ')),
+    key: (hash) => hash.map(String).join('/'),
+    fraction: (hash) => components[0].fraction(hash[0]),
+    label: components.map(component => component.label).join(' and '),
+    // Chance that two unequal windows share a hash, if hashes were uniform
+    collisionChance: components.reduce((chance, component) => chance / component.space, 1),
+    buckets: Math.min(HISTOGRAM_BUCKETS, components[0].space)
+  };
+};
+
+// Window hashes seen during one search, summarised for the collision panel
+export const createCollisionStats = (hasher) => {
+  const counts = new Map();
+  const histogram = new Array(hasher.buckets).fill(0);
+  let windows = 0;
+
+  return {
+    add: (hash) => {
+      windows++;
+      const key = hasher.key(hash);
+      if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+      else if (counts.size < MAX_TRACKED_VALUES) counts.set(key, 1);
+      histogram[Math.min(hasher.buckets - 1, Math.floor(hasher.fraction(hash) * hasher.buckets))]++;
+    },
+    finish: ({ hashHits, spuriousHits, patternHash }) => ({
+      label: hasher.label,
+      windows,
+      hashHits,
+      spuriousHits,
+      spuriousRate: windows === 0 ? 0 : spuriousHits / windows,
+      expectedRate: hasher.collisionChance,
+      distinct: counts.size,
+      distinctCapped: counts.size >= MAX_TRACKED_VALUES,
+      histogram,
+      patternBucket: Math.min(hasher.buckets - 1, Math.floor(hasher.fraction(patternHash) * hasher.buckets)),
+      topValues: [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_VALUES)
+        .map(([value, count]) => ({ value, count }))
+    })
+  };
+};
@@ -0,0 +1,114 @@
+// One colour per pattern, matching the order patterns are entered in
+export const PATTERN_COLORS = [
+  'hsl(var(--primary))',
+  'hsl(var(--accent))',
+  'hsl(var(--success))',
+  'hsl(var(--warning))',
+  'hsl(var(--info))'
+];
+
+export const patternColor = (match) => PATTERN_COLORS[match.patternIndex % PATTERN_COLORS.length];
+
+// Flatten every pattern's matches into { start, end, patternIndex, pattern, errors }
+export const collectMatches = (allResults) => {
+  const matches = [];
+  Object.values(allResults).forEach((result, patternIndex) => {
+    // Benchmark summaries store a match count, not positions
+    if (!Array.isArray(result.matches) || !result.pattern) return;
+    // Approximate and regex hits carry their own extent (and error count)
+    const hits = result.hits || result.matches.map(match => ({ position: match, end: match + result.pattern.length }));
+    hits.forEach(hit => {
+      matches.push({
+        start: hit.position,
+        end: hit.end,
+        errors: hit.errors,
+        patternIndex,
+        pattern: result.pattern
+      });
+    });
+  });
+  return matches;
+};
+
+// Cut [0, length) at every match boundary. Each segment lists the matches covering
+// all of it, outermost first (earlier start, then longer), so overlapping and
+// nested matches become flat, non-overlapping runs that can be layered.
+export const segmentMatches = (length, matches) => {
+  const ordered = matches
+    .filter(match => match.end > match.start && match.start < length)
+    .sort((a, b) => a.start - b.start || b.end - a.end || a.patternIndex - b.patternIndex);
+
+  const boundaries = new Set([0, length]);
+  ordered.forEach(match => {
+    boundaries.add(match.start);
+    boundaries.add(Math.min(match.end, length));
+  });
+  const cuts = [...boundaries].sort((a, b) => a - b);
+
+  const segments = [];
+  let active = [];
+  let next = 0;
+  for (let i = 0; i < cuts.length - 1; i++) {
+    const start = cuts[i];
+    const end = cuts[i + 1];
+    active = active.filter(match => match.end > start);
+    while (next < ordered.length && ordered[next].start === start) {
+      active.push(ordered[next++]);
+    }
+    segments.push({ start, end, matches: active });
+  }
+  return segments;
+};
+
+export const describeMatch = (match) => {
+  const errors = match.errors !== undefined ? `, ${match.errors} error${match.errors === 1 ? '' : 's'}` : '';
+  return `"${match.pattern}" at ${match.start}–${match.end - 1}${errors}`;
+};
+
+// Visual rows of the text: one per line, long lines wrapped every `width` characters.
+// `line` is 0-based and `lineStart` is the offset where that line begins.
+export const buildRows = (text, width) => {
+  const rows = [];
+  let lineStart = 0;
+  let line = 0;
+  while (lineStart <= text.length) {
+    const newline = text.indexOf('\n', lineStart);
+    const lineEnd = newline === -1 ? text.length : newline;
+    for (let start = lineStart; start === lineStart || start < lineEnd; start += width) {
+      rows.push({ start, end: Math.min(start + width, lineEnd), line, lineStart });
+    }
+    if (newline === -1) break;
+    lineStart = newline + 1;
+    line++;
+  }
+  return rows;
+};
+
+// Index of the last item whose `start` is at or before position
+export const findByStart = (items, position) => {
+  let low = 0;
+  let high = items.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (items[mid].start <= position) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+// 1-based line and column of a character offset
+export const locate = (rows, position) => {
+  const row = rows[findByStart(rows, position)];
+  return { line: row.line + 1, column: position - row.lineStart + 1 };
+};
+
+// The part of each segment that falls inside [from, to)
+export const sliceSegments = (segments, from, to) => {
+  const slice = [];
+  for (let i = findByStart(segments, from); i < segments.length && segments[i].start < to; i++) {
+    const segment = segments[i];
+    if (segment.end <= from) continue;
+    slice.push({ ...segment, start: Math.max(segment.start, from), end: Math.min(segment.end, to) });
+  }
+  return slice;
+};
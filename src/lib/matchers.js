@@ -0,0 +1,1175 @@
+import { createMetrics, emptyMetrics } from './metrics.js';
+import { parsePattern, compileNfa, matcherAccepts } from './regex.js';
+import { DEFAULT_HASHING, createHasher, createCollisionStats } from './hashing.js';
+import { createRecorder } from './recording.js';
+
+// Every step carries the running comparison count, so two traces can be lined up
+// and compared step by step. `line` names the pseudocode line that produced the step
+// (see pseudocode.js) and `vars` snapshots the algorithm's variables at that point.
+// Steps hold data only; describe.js words them when they are shown. The recorder
+// (recording.js) decides which steps are kept from their phase, type and position
+// (`head`) alone; the rest of a step, bit strings and snapshots included, is only built
+// by buildRest for the steps it keeps.
+const record = (trace, metrics, head, buildRest) => {
+  if (trace.wants(head)) trace.steps.push({ ...head, ...buildRest(), comparisons: metrics.counters.charComparisons });
+};
+
+// Enhanced string matching algorithms with detailed steps
+export const kmpSearchDetailed = (text, pattern, caseInsensitive = false, { recording } = {}) => {
+  const matches = [];
+  const trace = createRecorder(recording);
+  
+  if (!pattern) return { matches, detailedSteps: trace.steps, recording: trace.info(), comparisons: 0, metrics: emptyMetrics() };
+  
+  const searchText = caseInsensitive ? text.toLowerCase() : text;
+  const searchPattern = caseInsensitive ? pattern.toLowerCase() : pattern;
+  
+  const metrics = createMetrics();
+  
+  // Build failure function with steps
+  const failure = [0];
+  let j = 0;
+  metrics.allocate(searchPattern.length);
+  
+  record(trace, metrics, { phase: 'preprocessing', type: 'table-fill' }, () => ({
+    table: 'failure',
+    index: 0,
+    value: 0,
+    line: 'failure-init',
+    vars: { i: 0, j: 0 }
+  }));
+  
+  for (let i = 1; i < searchPattern.length; i++) {
+    // Each character pair is tested once; the result is reused after the fallbacks
+    let same = metrics.equals(searchPattern[i], searchPattern[j]);
+    while (j > 0 && !same) {
+      record(trace, metrics, { phase: 'preprocessing', type: 'table-fallback' }, () => ({
+        table: 'failure',
+        index: i,
+        value: failure[j - 1],
+        line: 'failure-fallback',
+        vars: { i, j }
+      }));
+      j = failure[j - 1];
+      same = metrics.equals(searchPattern[i], searchPattern[j]);
+    }
+    if (same) {
+      j++;
+    }
+    failure[i] = j;
+    record(trace, metrics, { phase: 'preprocessing', type: 'table-fill' }, () => ({
+      table: 'failure',
+      index: i,
+      value: j,
+      line: 'failure-fill',
+      vars: { i, j }
+    }));
+  }
+  
+  // Search with detailed tracking
+  metrics.startSearch();
+  j = 0;
+  for (let i = 0; i < searchText.length; i++) {
+    // Steps at this character name the pattern index it was first compared with
+    const startIndex = j;
+
+    let same = metrics.equals(searchText[i], searchPattern[j]);
+    while (j > 0 && !same) {
+      record(trace, metrics, { position: i, type: 'mismatch' }, () => ({
+        patternIndex: startIndex,
+        shift: j - failure[j - 1],
+        line: 'fallback',
+        vars: { i, j }
+      }));
+      j = failure[j - 1];
+      metrics.shift();
+      same = metrics.equals(searchText[i], searchPattern[j]);
+    }
+    
+    if (same) {
+      record(trace, metrics, { position: i, type: 'match' }, () => ({
+        patternIndex: startIndex,
+        line: 'match',
+        vars: { i, j }
+      }));
+      j++;
+    } else {
+      record(trace, metrics, { position: i, type: 'mismatch' }, () => ({
+        patternIndex: startIndex,
+        line: 'mismatch',
+        vars: { i, j }
+      }));
+      // Mismatch at pattern[0]: the window moves on with the text
+      metrics.shift();
+    }
+    
+    if (j === searchPattern.length) {
+      const matchPos = i - j + 1;
+      matches.push(matchPos);
+      record(trace, metrics, { position: matchPos, type: 'found' }, () => ({
+        line: 'found',
+        vars: { i, j }
+      }));
+      j = failure[j - 1];
+      metrics.shift();
+    }
+  }
+  
+  const counters = metrics.finish();
+  return { matches, detailedSteps: trace.steps, recording: trace.info(), comparisons: counters.charComparisons, metrics: counters };
+};
+
+// Hashing is configurable (see hashing.js); every window's hash feeds the collision
+// statistics returned with `hashing`. They cost a map update per window, so they are
+// only gathered while a trace is recorded, never in benchmarks or batch runs.
+export const rabinKarpSearchDetailed = (text, pattern, caseInsensitive = false, { hashing = DEFAULT_HASHING, recording } = {}) => {
+  const matches = [];
+  const trace = createRecorder(recording);
+  
+  if (!pattern) return { matches, detailedSteps: trace.steps, recording: trace.info(), comparisons: 0, metrics: emptyMetrics(), hashing: null };
+  
+  const searchText = caseInsensitive ? text.toLowerCase() : text;
+  const searchPattern = caseInsensitive ? pattern.toLowerCase() : pattern;
+  
+  const hasher = createHasher(hashing);
+  const collisions = trace.enabled ? createCollisionStats(hasher) : null;
+  const patternLength = searchPattern.length;
+  const textLength = searchText.length;
+  const metrics = createMetrics();
+  metrics.allocate(3 * hasher.one().length);
+  
+  let patternHash = hasher.zero();
+  let textHash = hasher.zero();
+  let h = hasher.one();
+  let hashHits = 0;
+  
+  // Calculate h = base^(patternLength-1); pushing a zero code multiplies by the base
+  for (let i = 0; i < patternLength - 1; i++) {
+    h = hasher.push(h, 0);
+    record(trace, metrics, { phase: 'preprocessing', type: 'table-fill' }, () => ({
+      table: 'h',
+      index: 0,
+      value: hasher.display(h),
+      line: 'h',
+      vars: { k: i + 1, h: hasher.display(h) }
+    }));
+  }
+  
+  // Calculate hash of pattern and first window
+  for (let i = 0; i < patternLength; i++) {
+    patternHash = hasher.push(patternHash, searchPattern.charCodeAt(i));
+    metrics.hash();
+    record(trace, metrics, { phase: 'preprocessing', type: 'table-fill' }, () => ({
+      table: 'patternHash',
+      index: i,
+      value: hasher.display(patternHash),
+      line: 'pattern-hash',
+      vars: { i, p: hasher.display(patternHash) }
+    }));
+    if (i >= textLength) continue;
+    textHash = hasher.push(textHash, searchText.charCodeAt(i));
+    metrics.hash();
+    record(trace, metrics, { phase: 'preprocessing', type: 'table-fill' }, () => ({
+      table: 'windowHash',
+      index: i,
+      value: hasher.display(textHash),
+      line: 'window-hash',
+      vars: { i, t: hasher.display(textHash) }
+    }));
+  }
+  
+  // Variables of the window at s, built only for steps that are recorded
+  const windowVars = (s) => ({ s, p: hasher.display(patternHash), t: hasher.display(textHash), h: hasher.display(h) });
+
+  // Slide the pattern
+  metrics.startSearch();
+  for (let i = 0; i <= textLength - patternLength; i++) {
+    collisions?.add(textHash);
+    record(trace, metrics, { position: i, type: 'hash-compare' }, () => ({
+      textHash: hasher.display(textHash),
+      patternHash: hasher.display(patternHash),
+      line: 'hash-compare',
+      vars: windowVars(i)
+    }));
+    
+    if (hasher.equal(patternHash, textHash)) {
+      // Hash match - verify character by character
+      hashHits++;
+      let match = true;
+      for (let j = 0; j < patternLength; j++) {
+        if (!metrics.equals(searchText[i + j], searchPattern[j])) {
+          match = false;
+          metrics.spurious();
+          record(trace, metrics, { position: i, type: 'spurious' }, () => ({
+            line: 'spurious',
+            vars: { ...windowVars(i), j }
+          }));
+          break;
+        }
+      }
+      if (match) {
+        matches.push(i);
+        record(trace, metrics, { position: i, type: 'found' }, () => ({
+          line: 'found',
+          vars: windowVars(i)
+        }));
+      }
+    }
+    
+    // Calculate hash for next window
+    if (i < textLength - patternLength) {
+      textHash = hasher.roll(textHash, searchText.charCodeAt(i), searchText.charCodeAt(i + patternLength), h);
+      metrics.hash();
+      metrics.shift();
+    }
+  }
+  
+  const counters = metrics.finish();
+  return {
+    matches,
+    detailedSteps: trace.steps,
+    recording: trace.info(),
+    comparisons: counters.charComparisons,
+    metrics: counters,
+    hashing: {
+      ...hashing,
+      ...collisions?.finish({ hashHits, spuriousHits: counters.spuriousHits, patternHash })
+    }
+  };
+};
+
+export const zAlgorithmSearchDetailed = (text, pattern, caseInsensitive = false, { recording } = {}) => {
+  const matches = [];
+  // Search steps index pattern$text; found steps already index the text
+  const trace = createRecorder(recording, {
+    textPosition: (step) => (step.type === 'found' ? step.position : step.position - searchPattern.length - 1)
+  });
+  
+  if (!pattern) return { matches, detailedSteps: trace.steps, recording: trace.info(), comparisons: 0, metrics: emptyMetrics() };
+  
+  const searchText = caseInsensitive ? text.toLowerCase() : text;
+  const searchPattern = caseInsensitive ? pattern.toLowerCase() : pattern;
+  
+  const metrics = createMetrics();
+  const combined = searchPattern + '$' + searchText;
+  const z = new Array(combined.length).fill(0);
+  // The concatenated string is a copy as large as the Z-array itself
+  metrics.allocate(2 * combined.length);
+  
+  let l = 0, r = 0;
+  for (let i = 1; i < combined.length; i++) {
+    // Z values inside pattern$ describe the pattern itself: that part is preprocessing
+    const phase = i <= searchPattern.length ? 'preprocessing' : 'search';
+    if (phase === 'search') {
+      metrics.startSearch();
+      metrics.shift();
+    }
+    
+    if (i <= r) {
+      z[i] = Math.min(r - i + 1, z[i - l]);
+      record(trace, metrics, { phase, position: i, type: 'z-box' }, () => ({
+        zValue: z[i],
+        line: 'z-box',
+        vars: { i, l, r, 'Z[i]': z[i] }
+      }));
+    }
+    
+    while (i + z[i] < combined.length && metrics.equals(combined[z[i]], combined[i + z[i]])) {
+      z[i]++;
+      record(trace, metrics, { phase, position: i, type: 'extend' }, () => ({
+        zValue: z[i],
+        line: 'extend',
+        vars: { i, l, r, 'Z[i]': z[i] }
+      }));
+    }
+    
+    if (i + z[i] - 1 > r) {
+      l = i;
+      r = i + z[i] - 1;
+      record(trace, metrics, { phase, position: i, type: 'update-box' }, () => ({
+        left: l,
+        right: r,
+        line: 'update-box',
+        vars: { i, l, r, 'Z[i]': z[i] }
+      }));
+    }
+    
+    if (phase === 'preprocessing') {
+      record(trace, metrics, { phase, position: i, type: 'table-fill' }, () => ({
+        table: 'z',
+        index: i,
+        value: z[i],
+        line: 'z-fill',
+        vars: { i, l, r, 'Z[i]': z[i] }
+      }));
+    }
+    
+    if (z[i] === searchPattern.length && i > searchPattern.length) {
+      const position = i - searchPattern.length - 1;
+      matches.push(position);
+      record(trace, metrics, { position, type: 'found' }, () => ({
+        line: 'found',
+        vars: { i, l, r, 'Z[i]': z[i] }
+      }));
+    }
+  }
+  
+  const counters = metrics.finish();
+  return { matches, detailedSteps: trace.steps, recording: trace.info(), comparisons: counters.charComparisons, metrics: counters };
+};
+
+// Last occurrence of every character in the pattern (bad-character rule)
+const buildBadCharacterTable = (pattern) => {
+  const table = {};
+  for (let i = 0; i < pattern.length; i++) {
+    table[pattern[i]] = i;
+  }
+  return table;
+};
+
+// Strong good-suffix shifts, indexed by the position after the mismatch (0..m)
+const buildGoodSuffixTable = (pattern, metrics) => {
+  const m = pattern.length;
+  const shift = new Array(m + 1).fill(0);
+  const border = new Array(m + 1).fill(0);
+
+  let i = m;
+  let j = m + 1;
+  border[i] = j;
+  while (i > 0) {
+    while (j <= m && !metrics.equals(pattern[i - 1], pattern[j - 1])) {
+      if (shift[j] === 0) shift[j] = j - i;
+      j = border[j];
+    }
+    i--;
+    j--;
+    border[i] = j;
+  }
+
+  j = border[0];
+  for (i = 0; i <= m; i++) {
+    if (shift[i] === 0) shift[i] = j;
+    if (i === j) j = border[j];
+  }
+  return shift;
+};
+
+export const boyerMooreSearchDetailed = (text, pattern, caseInsensitive = false, { recording } = {}) => {
+  const matches = [];
+  const trace = createRecorder(recording);
+
+  if (!pattern) return { matches, detailedSteps: trace.steps, recording: trace.info(), comparisons: 0, metrics: emptyMetrics() };
+
+  const searchText = caseInsensitive ? text.toLowerCase() : text;
+  const searchPattern = caseInsensitive ? pattern.toLowerCase() : pattern;
+
+  const m = searchPattern.length;
+  const n = searchText.length;
+  const metrics = createMetrics();
+  const badChar = buildBadCharacterTable(searchPattern);
+  const goodSuffix = buildGoodSuffixTable(searchPattern, metrics);
+  // Good-suffix construction also keeps a border array of the same size
+  metrics.allocate(Object.keys(badChar).length + 2 * (m + 1));
+
+  Object.entries(badChar).forEach(([char, last]) => {
+    record(trace, metrics, { phase: 'preprocessing', type: 'table-fill' }, () => ({
+      table: 'badChar',
+      index: char,
+      value: last,
+      line: 'bad-char',
+      vars: { j: last }
+    }));
+  });
+  goodSuffix.forEach((shift, index) => {
+    record(trace, metrics, { phase: 'preprocessing', type: 'table-fill' }, () => ({
+      table: 'goodSuffix',
+      index,
+      value: shift,
+      line: 'good-suffix',
+      vars: { j: index, shift }
+    }));
+  });
+
+  metrics.startSearch();
+  let s = 0;
+  while (s <= n - m) {
+    let j = m - 1;
+
+    // Compare right to left
+    while (j >= 0) {
+      if (!metrics.equals(searchPattern[j], searchText[s + j])) break;
+      record(trace, metrics, { position: s, type: 'match' }, () => ({
+        patternIndex: j,
+        line: 'match',
+        vars: { s, j }
+      }));
+      j--;
+    }
+
+    if (j < 0) {
+      matches.push(s);
+      record(trace, metrics, { position: s, type: 'found' }, () => ({
+        line: 'found',
+        vars: { s, j }
+      }));
+      const shift = goodSuffix[0];
+      record(trace, metrics, { position: s, type: 'shift' }, () => ({
+        shift,
+        rule: 'good-suffix',
+        tableEntry: { table: 'goodSuffix', key: 0, value: shift },
+        line: 'found-shift',
+        vars: { s, j, shift }
+      }));
+      s += shift;
+      metrics.shift();
+      continue;
+    }
+
+    const mismatchChar = searchText[s + j];
+    record(trace, metrics, { position: s, type: 'mismatch' }, () => ({
+      patternIndex: j,
+      line: 'mismatch',
+      vars: { s, j }
+    }));
+
+    const lastOccurrence = badChar[mismatchChar] ?? -1;
+    const badCharShift = j - lastOccurrence;
+    const goodSuffixShift = goodSuffix[j + 1];
+
+    const shift = Math.max(badCharShift, goodSuffixShift);
+    const rule = goodSuffixShift > badCharShift ? 'good-suffix' : 'bad-character';
+    const tableEntry = rule === 'good-suffix'
+      ? { table: 'goodSuffix', key: j + 1, value: goodSuffixShift }
+      : { table: 'badChar', key: mismatchChar, value: lastOccurrence };
+
+    record(trace, metrics, { position: s, type: 'shift' }, () => ({
+      patternIndex: j,
+      shift,
+      rule,
+      tableEntry,
+      line: 'shift',
+      vars: { s, j, shift, badCharShift, goodSuffixShift }
+    }));
+    s += shift;
+    metrics.shift();
+  }
+
+  const counters = metrics.finish();
+  return { matches, detailedSteps: trace.steps, recording: trace.info(), comparisons: counters.charComparisons, metrics: counters };
+};
+
+export const horspoolSearchDetailed = (text, pattern, caseInsensitive = false, { recording } = {}) => {
+  const matches = [];
+  const trace = createRecorder(recording);
+
+  if (!pattern) return { matches, detailedSteps: trace.steps, recording: trace.info(), comparisons: 0, metrics: emptyMetrics() };
+
+  const searchText = caseInsensitive ? text.toLowerCase() : text;
+  const searchPattern = caseInsensitive ? pattern.toLowerCase() : pattern;
+
+  const m = searchPattern.length;
+  const n = searchText.length;
+  const metrics = createMetrics();
+
+  // Shift table over pattern[0..m-2]; characters not in it shift by m
+  const shiftTable = {};
+  for (let i = 0; i < m - 1; i++) {
+    shiftTable[searchPattern[i]] = m - 1 - i;
+    record(trace, metrics, { phase: 'preprocessing', type: 'table-fill' }, () => ({
+      table: 'shift',
+      index: searchPattern[i],
+      value: m - 1 - i,
+      line: 'shift-table',
+      vars: { i }
+    }));
+  }
+
+  metrics.allocate(Object.keys(shiftTable).length);
+  metrics.startSearch();
+
+  let s = 0;
+  while (s <= n - m) {
+    let j = m - 1;
+
+    while (j >= 0) {
+      if (!metrics.equals(searchPattern[j], searchText[s + j])) break;
+      record(trace, metrics, { position: s, type: 'match' }, () => ({
+        patternIndex: j,
+        line: 'match',
+        vars: { s, j }
+      }));
+      j--;
+    }
+
+    if (j < 0) {
+      matches.push(s);
+      record(trace, metrics, { position: s, type: 'found' }, () => ({
+        line: 'found',
+        vars: { s, j }
+      }));
+    } else {
+      record(trace, metrics, { position: s, type: 'mismatch' }, () => ({
+        patternIndex: j,
+        line: 'mismatch',
+        vars: { s, j }
+      }));
+    }
+
+    // Horspool always shifts on the character under the last pattern position
+    const lastChar = searchText[s + m - 1];
+    const inTable = lastChar in shiftTable;
+    const shift = inTable ? shiftTable[lastChar] : m;
+    record(trace, metrics, { position: s, type: 'shift' }, () => ({
+      shift,
+      rule: 'bad-character',
+      tableEntry: { table: 'shift', key: lastChar, value: shift },
+      line: 'shift',
+      vars: { s, shift }
+    }));
+    s += shift;
+    metrics.shift();
+  }
+
+  const counters = metrics.finish();
+  return { matches, detailedSteps: trace.steps, recording: trace.info(), comparisons: counters.charComparisons, metrics: counters };
+};
+
+// Trie with failure links (longest proper suffix that is also a trie path)
+// and output links (nearest state on the failure chain that ends a pattern)
+export const buildAhoCorasickAutomaton = (patternList) => {
+  const nodes = [{ id: 0, char: '', prefix: '', depth: 0, parent: null, children: {}, fail: 0, outputLink: null, output: [] }];
+
+  patternList.forEach((pattern, patternIndex) => {
+    let state = 0;
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (nodes[state].children[char] === undefined) {
+        const node = {
+          id: nodes.length,
+          char,
+          prefix: nodes[state].prefix + char,
+          depth: nodes[state].depth + 1,
+          parent: state,
+          children: {},
+          fail: 0,
+          outputLink: null,
+          output: []
+        };
+        nodes.push(node);
+        nodes[state].children[char] = node.id;
+      }
+      state = nodes[state].children[char];
+    }
+    nodes[state].output.push(patternIndex);
+  });
+
+  // Depth-1 states fail to the root, so the BFS starts from their children
+  const queue = Object.values(nodes[0].children);
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const [char, child] of Object.entries(nodes[current].children)) {
+      queue.push(child);
+      let fail = nodes[current].fail;
+      while (fail !== 0 && nodes[fail].children[char] === undefined) {
+        fail = nodes[fail].fail;
+      }
+      nodes[child].fail = nodes[fail].children[char] ?? 0;
+      const failNode = nodes[nodes[child].fail];
+      nodes[child].outputLink = failNode.output.length > 0 ? failNode.id : failNode.outputLink;
+    }
+  }
+
+  return nodes;
+};
+
+export const ahoCorasickSearchDetailed = (text, patternList, caseInsensitive = false, { recording } = {}) => {
+  const matchesByPattern = patternList.map(() => []);
+  const matches = [];
+  const trace = createRecorder(recording);
+
+  if (patternList.length === 0) return { matches, matchesByPattern, detailedSteps: trace.steps, recording: trace.info(), comparisons: 0, metrics: emptyMetrics(), automaton: [] };
+
+  const searchText = caseInsensitive ? text.toLowerCase() : text;
+  const searchPatterns = caseInsensitive ? patternList.map(p => p.toLowerCase()) : patternList;
+
+  const metrics = createMetrics();
+  const automaton = buildAhoCorasickAutomaton(searchPatterns);
+  // One cell per state, goto edge and output entry
+  metrics.allocate(automaton.reduce((cells, node) => cells + 1 + Object.keys(node.children).length + node.output.length, 0));
+  metrics.startSearch();
+  let state = 0;
+
+  for (let i = 0; i < searchText.length; i++) {
+    const char = searchText[i];
+
+    // Each goto lookup tests the text character against a state's edges once
+    metrics.compare();
+    while (state !== 0 && automaton[state].children[char] === undefined) {
+      const fail = automaton[state].fail;
+      record(trace, metrics, { position: i, type: 'fail' }, () => ({
+        state,
+        line: 'fail',
+        vars: { i, state }
+      }));
+      state = fail;
+      metrics.compare();
+      metrics.shift();
+    }
+
+    const next = automaton[state].children[char];
+    if (next !== undefined) {
+      record(trace, metrics, { position: i, type: 'goto' }, () => ({
+        state: next,
+        line: 'goto',
+        vars: { i, state }
+      }));
+      state = next;
+    } else {
+      record(trace, metrics, { position: i, type: 'mismatch' }, () => ({
+        state: 0,
+        line: 'mismatch',
+        vars: { i, state }
+      }));
+      metrics.shift();
+    }
+
+    // Report every pattern ending here: the state itself, then its output-link chain
+    let outputState = automaton[state].output.length > 0 ? state : automaton[state].outputLink;
+    while (outputState !== null) {
+      for (const patternIndex of automaton[outputState].output) {
+        const matchPos = i - searchPatterns[patternIndex].length + 1;
+        matchesByPattern[patternIndex].push(matchPos);
+        matches.push(matchPos);
+        record(trace, metrics, { position: matchPos, type: 'found' }, () => ({
+          state,
+          outputState,
+          patternIndex,
+          line: 'found',
+          vars: { i, state, output: outputState }
+        }));
+      }
+      outputState = automaton[outputState].outputLink;
+    }
+  }
+
+  const counters = metrics.finish();
+  return { matches, matchesByPattern, detailedSteps: trace.steps, recording: trace.info(), comparisons: counters.charComparisons, metrics: counters, automaton };
+};
+
+// The state vectors are 32-bit integers, one bit per pattern character
+const BITAP_MAX_LENGTH = 31;
+
+const toBits = (vector, width) => (vector >>> 0).toString(2).padStart(width, '0').slice(-width);
+
+// Wu-Manber Bitap (Shift-And) allowing up to k substitutions (Hamming distance)
+export const bitapSearchDetailed = (text, pattern, caseInsensitive = false, { maxErrors = 1, recording } = {}) => {
+  const matches = [];
+  const hits = [];
+  const trace = createRecorder(recording);
+
+  if (!pattern) return { matches, hits, detailedSteps: trace.steps, recording: trace.info(), comparisons: 0, metrics: emptyMetrics() };
+
+  const searchText = caseInsensitive ? text.toLowerCase() : text;
+  const searchPattern = caseInsensitive ? pattern.toLowerCase() : pattern;
+
+  const m = searchPattern.length;
+  if (m > BITAP_MAX_LENGTH) throw new Error(`Bitap patterns are limited to ${BITAP_MAX_LENGTH} characters; this one has ${m}`);
+  const k = Math.min(maxErrors, m);
+  const accept = 1 << (m - 1);
+  const metrics = createMetrics();
+
+  // Character masks: bit j is set where pattern[j] == c
+  const masks = {};
+  for (let j = 0; j < m; j++) {
+    masks[searchPattern[j]] = (masks[searchPattern[j]] || 0) | (1 << j);
+  }
+
+  // R[d] bit j: pattern[0..j] matches the text ending here with at most d mismatches
+  let R = new Array(k + 1).fill(0);
+  // Masks plus the current and next generation of R vectors
+  metrics.allocate(Object.keys(masks).length + 2 * (k + 1));
+  metrics.startSearch();
+
+  for (let i = 0; i < searchText.length; i++) {
+    const mask = masks[searchText[i]] || 0;
+    // One mask lookup tests the character against every pattern position at once
+    metrics.compare();
+    metrics.shift();
+
+    // >>> 0 keeps the vectors unsigned: at m = 31 the shift reaches bit 31, the sign bit
+    const next = new Array(k + 1);
+    next[0] = (((R[0] << 1) | 1) & mask) >>> 0;
+    for (let d = 1; d <= k; d++) {
+      next[d] = ((((R[d] << 1) | 1) & mask) | ((R[d - 1] << 1) | 1)) >>> 0;
+    }
+    R = next;
+
+    record(trace, metrics, { position: i, type: 'bit-vectors' }, () => ({
+      vectors: R.map(vector => toBits(vector, m)),
+      line: 'update',
+      vars: { i, mask: toBits(mask, m), k }
+    }));
+
+    if (i >= m - 1) {
+      const errors = R.findIndex(vector => (vector & accept) !== 0);
+      if (errors !== -1) {
+        const matchPos = i - m + 1;
+        matches.push(matchPos);
+        hits.push({ position: matchPos, end: i + 1, errors });
+        record(trace, metrics, { position: matchPos, type: 'found' }, () => ({
+          errors,
+          line: 'found',
+          vars: { i, d: errors }
+        }));
+      }
+    }
+  }
+
+  const counters = metrics.finish();
+  return { matches, hits, detailedSteps: trace.steps, recording: trace.info(), comparisons: counters.charComparisons, metrics: counters };
+};
+
+// Sellers' algorithm: edit-distance DP where a match may start anywhere in the text
+export const sellersSearchDetailed = (text, pattern, caseInsensitive = false, { maxErrors = 1, recording } = {}) => {
+  const matches = [];
+  const hits = [];
+  const trace = createRecorder(recording);
+
+  if (!pattern) return { matches, hits, detailedSteps: trace.steps, recording: trace.info(), comparisons: 0, metrics: emptyMetrics() };
+
+  const searchText = caseInsensitive ? text.toLowerCase() : text;
+  const searchPattern = caseInsensitive ? pattern.toLowerCase() : pattern;
+
+  const m = searchPattern.length;
+  const metrics = createMetrics();
+
+  // column[j] = edit distance of pattern[0..j) to the best text substring ending here;
+  // starts[j] remembers where that substring begins
+  let column = Array.from({ length: m + 1 }, (_, j) => j);
+  let starts = new Array(m + 1).fill(0);
+  // Index in hits of the hit reported for each start
+  const hitAt = new Map();
+  // Two columns of distances and two of start positions
+  metrics.allocate(4 * (m + 1));
+
+  record(trace, metrics, { position: 0, type: 'dp-column' }, () => ({
+    column: [...column],
+    line: 'init',
+    vars: { 'C[m]': column[m], k: maxErrors }
+  }));
+
+  metrics.startSearch();
+  for (let i = 0; i < searchText.length; i++) {
+    const next = [0];
+    const nextStarts = [i + 1];
+    metrics.shift();
+
+    for (let j = 1; j <= m; j++) {
+      const substitute = column[j - 1] + (metrics.equals(searchPattern[j - 1], searchText[i]) ? 0 : 1);
+      const deleteText = column[j] + 1;
+      const skipPattern = next[j - 1] + 1;
+
+      if (substitute <= deleteText && substitute <= skipPattern) {
+        next[j] = substitute;
+        nextStarts[j] = starts[j - 1];
+      } else if (deleteText <= skipPattern) {
+        next[j] = deleteText;
+        nextStarts[j] = starts[j];
+      } else {
+        next[j] = skipPattern;
+        nextStarts[j] = nextStarts[j - 1];
+      }
+    }
+    column = next;
+    starts = nextStarts;
+
+    record(trace, metrics, { position: i, type: 'dp-column' }, () => ({
+      column: [...column],
+      line: 'column',
+      vars: { i, 'C[m]': column[m], k: maxErrors }
+    }));
+
+    // Neighbouring ends of one occurrence share its start: each start is reported once,
+    // at the end with the fewest errors
+    const matchPos = starts[m];
+    const previous = hitAt.get(matchPos);
+    if (column[m] <= maxErrors && (previous === undefined || column[m] < hits[previous].errors)) {
+      const hit = { position: matchPos, end: i + 1, errors: column[m] };
+      if (previous === undefined) {
+        hitAt.set(matchPos, hits.length);
+        matches.push(matchPos);
+        hits.push(hit);
+      } else {
+        hits[previous] = hit;
+      }
+      record(trace, metrics, { position: matchPos, type: 'found' }, () => ({
+        errors: column[m],
+        line: 'found',
+        vars: { i, 'C[m]': column[m], start: matchPos }
+      }));
+    }
+  }
+
+  const counters = metrics.finish();
+  return { matches, hits, detailedSteps: trace.steps, recording: trace.info(), comparisons: counters.charComparisons, metrics: counters };
+};
+
+// Suffix array by prefix doubling: each round sorts suffixes by their first 2k
+// characters using the ranks from the previous round. LCP comes from Kasai's algorithm.
+export const buildSuffixIndex = (text) => {
+  const n = text.length;
+  const suffixArray = Array.from({ length: n }, (_, i) => i);
+  let rank = Array.from({ length: n }, (_, i) => text.charCodeAt(i));
+  const rounds = [];
+
+  for (let k = 1; n > 0; k *= 2) {
+    const key = (i) => (i + k < n ? rank[i + k] : -1);
+    suffixArray.sort((a, b) => rank[a] - rank[b] || key(a) - key(b));
+
+    const next = new Array(n);
+    next[suffixArray[0]] = 0;
+    for (let i = 1; i < n; i++) {
+      const prev = suffixArray[i - 1];
+      const curr = suffixArray[i];
+      next[curr] = next[prev] + (rank[prev] !== rank[curr] || key(prev) !== key(curr) ? 1 : 0);
+    }
+    rank = next;
+    rounds.push({ length: 2 * k, distinct: rank[suffixArray[n - 1]] + 1 });
+    if (rank[suffixArray[n - 1]] === n - 1) break;
+  }
+
+  // lcp[i] = longest common prefix of the suffixes at ranks i - 1 and i
+  const lcp = new Array(n).fill(0);
+  let h = 0;
+  for (let i = 0; i < n; i++) {
+    if (rank[i] === 0) {
+      h = 0;
+      continue;
+    }
+    const j = suffixArray[rank[i] - 1];
+    while (i + h < n && j + h < n && text[i + h] === text[j + h]) h++;
+    lcp[rank[i]] = h;
+    if (h > 0) h--;
+  }
+
+  return { suffixArray, lcp, rounds };
+};
+
+// The last index built, so repeated queries against one text skip construction
+let cachedIndex = null;
+
+// Orders the suffix at `start` against the pattern, looking only at the first m characters
+const comparePrefix = (text, start, pattern, metrics) => {
+  for (let j = 0; j < pattern.length; j++) {
+    // A suffix that ends inside the pattern is a proper prefix of it and sorts first
+    if (start + j >= text.length) return -1;
+    if (!metrics.equals(text[start + j], pattern[j])) return text[start + j] < pattern[j] ? -1 : 1;
+  }
+  return 0;
+};
+
+// Index mode: build (or reuse) a suffix array for the text once, then answer every
+// pattern with two binary searches over the sorted suffixes
+export const suffixArraySearchDetailed = (text, patternList, caseInsensitive = false, { reuseIndex = false, recording } = {}) => {
+  const matchesByPattern = patternList.map(() => []);
+  const matches = [];
+  const trace = createRecorder(recording);
+
+  if (patternList.length === 0) return { matches, matchesByPattern, detailedSteps: trace.steps, recording: trace.info(), comparisons: 0, metrics: emptyMetrics(), index: null };
+
+  const searchText = caseInsensitive ? text.toLowerCase() : text;
+  const searchPatterns = caseInsensitive ? patternList.map(p => p.toLowerCase()) : patternList;
+
+  const metrics = createMetrics();
+  const cached = reuseIndex && cachedIndex?.text === searchText;
+  let index;
+  if (cached) {
+    index = cachedIndex.index;
+    record(trace, metrics, { phase: 'preprocessing', type: 'index-reuse' }, () => ({
+      line: 'reuse'
+    }));
+  } else {
+    const start = performance.now();
+    index = { ...buildSuffixIndex(searchText), buildTime: 0 };
+    index.buildTime = performance.now() - start;
+    index.rounds.forEach(({ length, distinct }) => {
+      record(trace, metrics, { phase: 'preprocessing', type: 'index-round' }, () => ({
+        line: 'sort',
+        vars: { length, ranks: distinct }
+      }));
+    });
+    record(trace, metrics, { phase: 'preprocessing', type: 'index-round' }, () => ({
+      line: 'lcp'
+    }));
+    if (reuseIndex) cachedIndex = { text: searchText, index };
+  }
+  // Suffix array, LCP and the two rank arrays used while sorting
+  metrics.allocate(4 * searchText.length);
+  metrics.startSearch();
+
+  const { suffixArray } = index;
+  const n = suffixArray.length;
+  const queryTimes = [];
+
+  searchPatterns.forEach((pattern, patternIndex) => {
+    const queryStart = performance.now();
+
+    // First rank whose suffix is >= pattern (lower) or > pattern on its first m characters (upper)
+    const bound = (upper) => {
+      let low = 0;
+      let high = n;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        const order = comparePrefix(searchText, suffixArray[mid], pattern, metrics);
+        metrics.shift();
+        const goRight = upper ? order <= 0 : order < 0;
+        record(trace, metrics, { position: suffixArray[mid], type: 'sa-probe' }, () => ({
+          patternIndex,
+          low,
+          high,
+          mid,
+          line: upper ? 'upper' : 'lower',
+          vars: { low, high, mid, order }
+        }));
+        if (goRight) low = mid + 1;
+        else high = mid;
+      }
+      return low;
+    };
+
+    const first = bound(false);
+    const last = bound(true);
+    record(trace, metrics, { position: first < n ? suffixArray[first] : searchText.length, type: 'sa-range' }, () => ({
+      patternIndex,
+      low: first,
+      high: last,
+      line: 'range',
+      vars: { first, last }
+    }));
+
+    suffixArray.slice(first, last).sort((a, b) => a - b).forEach(position => {
+      matchesByPattern[patternIndex].push(position);
+      matches.push(position);
+      record(trace, metrics, { position, type: 'found' }, () => ({
+        patternIndex,
+        line: 'found',
+        vars: { first, last }
+      }));
+    });
+    queryTimes.push(performance.now() - queryStart);
+  });
+
+  const counters = metrics.finish();
+  return {
+    matches,
+    matchesByPattern,
+    detailedSteps: trace.steps,
+    recording: trace.info(),
+    comparisons: counters.charComparisons,
+    metrics: counters,
+    index: { ...index, cached, queryTimes }
+  };
+};
+
+// Thompson NFA simulation over literal, wildcard or regex patterns, reporting the
+// longest match from every start. A right-to-left pass first finds, for each position,
+// the furthest end reachable from the start state; the left-to-right pass then tracks
+// the set of active states for the trace. Each distinct active set is one state of the
+// lazily built DFA.
+export const thompsonSearchDetailed = (text, pattern, caseInsensitive = false, { patternSyntax = 'literal', recording } = {}) => {
+  const matches = [];
+  const hits = [];
+  const trace = createRecorder(recording);
+
+  if (!pattern) return { matches, hits, detailedSteps: trace.steps, recording: trace.info(), comparisons: 0, metrics: emptyMetrics(), nfa: null };
+
+  const searchText = caseInsensitive ? text.toLowerCase() : text;
+  const n = searchText.length;
+  const metrics = createMetrics();
+  const nfa = compileNfa(parsePattern(pattern, patternSyntax), caseInsensitive);
+  const { states } = nfa;
+  const edgeCount = states.reduce((sum, state) => sum + state.edges.length + state.epsilon.length, 0);
+  // States and edges, two active sets, two reach vectors and the longest end per start
+  metrics.allocate(states.length + edgeCount + 4 * states.length + n + 1);
+
+  record(trace, metrics, { phase: 'preprocessing', type: 'nfa-build' }, () => ({
+    line: 'build',
+    vars: { states: states.length, edges: edgeCount }
+  }));
+  metrics.startSearch();
+
+  // reach[q] = furthest end e such that text[i..e) leads from q to the accept state, or -1
+  const epsilonInto = states.map(() => []);
+  states.forEach(state => state.epsilon.forEach(next => epsilonInto[next].push(state.id)));
+  const longestFrom = new Array(n + 1);
+  let reach = null;
+  for (let i = n; i >= 0; i--) {
+    const current = new Array(states.length).fill(-1);
+    current[nfa.accept] = i;
+    if (i < n) {
+      states.forEach(state => {
+        state.edges.forEach(edge => {
+          metrics.compare();
+          if (matcherAccepts(edge.matcher, searchText[i])) current[state.id] = Math.max(current[state.id], reach[edge.to]);
+        });
+      });
+    }
+    // A state also reaches whatever its epsilon edges reach
+    const stack = states.filter(state => current[state.id] >= 0).map(state => state.id);
+    while (stack.length > 0) {
+      const id = stack.pop();
+      epsilonInto[id].forEach(previous => {
+        if (current[previous] < current[id]) {
+          current[previous] = current[id];
+          stack.push(previous);
+        }
+      });
+    }
+    longestFrom[i] = current[nfa.start];
+    reach = current;
+  }
+
+  // Starts whose longest (non-empty) match ends at each position
+  const startsEndingAt = new Map();
+  for (let start = 0; start < n; start++) {
+    const end = longestFrom[start];
+    if (end <= start) continue;
+    if (!startsEndingAt.has(end)) startsEndingAt.set(end, []);
+    startsEndingAt.get(end).push(start);
+    matches.push(start);
+    hits.push({ position: start, end });
+  }
+
+  const closure = (active) => {
+    const stack = [...active];
+    while (stack.length > 0) {
+      states[stack.pop()].epsilon.forEach(next => {
+        if (!active.has(next)) {
+          active.add(next);
+          stack.push(next);
+        }
+      });
+    }
+    return active;
+  };
+
+  const dfaStates = new Set();
+  let active = new Set();
+
+  for (let i = 0; i <= n; i++) {
+    // Unanchored search: a new attempt starts at every position
+    active.add(nfa.start);
+    closure(active);
+    metrics.shift();
+
+    const ids = [...active].sort((a, b) => a - b);
+    dfaStates.add(ids.join(','));
+
+    (startsEndingAt.get(i) ?? []).forEach(start => {
+      record(trace, metrics, { position: start, type: 'found' }, () => ({
+        end: i,
+        activeStates: ids,
+        line: 'found',
+        vars: { i, start, active: ids.length }
+      }));
+    });
+    if (i === n) break;
+
+    const char = searchText[i];
+    record(trace, metrics, { position: i, type: 'nfa-step' }, () => ({
+      activeStates: ids,
+      line: 'step',
+      vars: { i, active: ids.length }
+    }));
+
+    const next = new Set();
+    active.forEach(id => {
+      states[id].edges.forEach(edge => {
+        metrics.compare();
+        if (matcherAccepts(edge.matcher, char)) next.add(edge.to);
+      });
+    });
+    active = next;
+  }
+
+  const counters = metrics.finish();
+  return {
+    matches,
+    hits,
+    detailedSteps: trace.steps,
+    recording: trace.info(),
+    comparisons: counters.charComparisons,
+    metrics: counters,
+    nfa: { ...nfa, syntax: patternSyntax, dfaStates: dfaStates.size }
+  };
+};
+
+export const algorithms = {
+  'kmp': { 
+    name: 'Knuth-Morris-Pratt', 
+    func: kmpSearchDetailed, 
+    color: 'bg-primary',
+    description: 'Uses failure function to avoid redundant comparisons'
+  },
+  'rabin-karp': { 
+    name: 'Rabin-Karp', 
+    func: rabinKarpSearchDetailed, 
+    color: 'bg-accent',
+    description: 'Uses rolling hash for efficient pattern matching'
+  },
+  'z-algorithm': { 
+    name: 'Z-Algorithm', 
+    func: zAlgorithmSearchDetailed, 
+    color: 'bg-success',
+    description: 'Constructs Z-array for linear-time pattern matching'
+  },
+  'boyer-moore': {
+    name: 'Boyer-Moore',
+    func: boyerMooreSearchDetailed,
+    color: 'bg-warning',
+    description: 'Scans right to left, shifting by the larger of the bad-character and good-suffix rules'
+  },
+  'horspool': {
+    name: 'Boyer-Moore-Horspool',
+    func: horspoolSearchDetailed,
+    color: 'bg-info',
+    description: 'Simplified Boyer-Moore that shifts on the character under the last pattern position'
+  },
+  'aho-corasick': {
+    name: 'Aho-Corasick',
+    func: ahoCorasickSearchDetailed,
+    color: 'bg-destructive',
+    multiPattern: true,
+    description: 'Builds one automaton over all patterns and finds every match in a single pass'
+  },
+  'bitap': {
+    name: 'Bitap (Hamming)',
+    func: bitapSearchDetailed,
+    color: 'bg-primary/60',
+    approximate: true,
+    maxPatternLength: BITAP_MAX_LENGTH,
+    description: 'Shift-And bit vectors that tolerate up to k mismatched characters'
+  },
+  'sellers': {
+    name: 'Sellers (Levenshtein)',
+    func: sellersSearchDetailed,
+    color: 'bg-accent/60',
+    approximate: true,
+    description: 'Edit-distance DP column per text character; matches may start anywhere'
+  },
+  'suffix-array': {
+    name: 'Suffix Array (index)',
+    func: suffixArraySearchDetailed,
+    color: 'bg-success/60',
+    multiPattern: true,
+    indexed: true,
+    description: 'Sorts every suffix of the text once, then answers each pattern by binary search over the sorted suffixes'
+  },
+  'thompson-nfa': {
+    name: 'Thompson NFA (regex)',
+    func: thompsonSearchDetailed,
+    color: 'bg-warning/60',
+    regex: true,
+    description: 'Compiles a literal, wildcard or regex pattern to an NFA and scans the text tracking the set of active states'
+  }
+};
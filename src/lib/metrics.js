@@ -0,0 +1,81 @@
+// Shared instrumentation so every matcher counts the same things the same way:
+//
+//   charComparisons   character equality tests, pattern vs text or pattern vs pattern.
+//                     Bit-parallel and automaton matchers test a whole state per text
+//                     character, so they count one per character consumed.
+//   hashComputations  hash values computed from scratch or rolled forward
+//   spuriousHits      equal hashes that character verification rejected
+//   windowShifts      times the pattern's alignment against the text moves
+//   preprocessingTime ms before the first text character is examined
+//   searchTime        ms from then until the search finishes
+//   auxiliaryMemory   cells in auxiliary tables (array entries, map entries, automaton states)
+export const METRICS = [
+  { key: 'charComparisons', label: 'Character comparisons' },
+  { key: 'hashComputations', label: 'Hash computations' },
+  { key: 'spuriousHits', label: 'Spurious hits' },
+  { key: 'windowShifts', label: 'Window shifts' },
+  { key: 'preprocessingTime', label: 'Preprocessing time (ms)', time: true },
+  { key: 'searchTime', label: 'Search time (ms)', time: true },
+  { key: 'auxiliaryMemory', label: 'Auxiliary memory (cells)', peak: true }
+];
+
+export const formatMetric = (key, value = 0) => {
+  return METRICS.find(metric => metric.key === key)?.time ? value.toFixed(3) : value.toLocaleString();
+};
+
+export const emptyMetrics = () => Object.fromEntries(METRICS.map(({ key }) => [key, 0]));
+
+export const createMetrics = () => {
+  const counters = emptyMetrics();
+  const startedAt = performance.now();
+  let searchStartedAt = null;
+
+  return {
+    counters,
+    // Counts the test and returns its outcome so it can sit inside a condition
+    equals(a, b) {
+      counters.charComparisons++;
+      return a === b;
+    },
+    compare(count = 1) {
+      counters.charComparisons += count;
+    },
+    hash(count = 1) {
+      counters.hashComputations += count;
+    },
+    spurious() {
+      counters.spuriousHits++;
+    },
+    shift(count = 1) {
+      counters.windowShifts += count;
+    },
+    allocate(cells) {
+      counters.auxiliaryMemory += cells;
+    },
+    startSearch() {
+      if (searchStartedAt !== null) return;
+      searchStartedAt = performance.now();
+      counters.preprocessingTime = searchStartedAt - startedAt;
+    },
+    finish() {
+      const now = performance.now();
+      if (searchStartedAt === null) {
+        counters.preprocessingTime = now - startedAt;
+      } else {
+        counters.searchTime = now - searchStartedAt;
+      }
+      return { ...counters };
+    }
+  };
+};
+
+// Runs happen one after another, so counters add up while memory keeps its peak
+export const mergeMetrics = (list) => {
+  const merged = emptyMetrics();
+  list.filter(Boolean).forEach(metrics => {
+    METRICS.forEach(({ key, peak }) => {
+      merged[key] = peak ? Math.max(merged[key], metrics[key] || 0) : merged[key] + (metrics[key] || 0);
+    });
+  });
+  return merged;
+};
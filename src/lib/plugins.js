@@ -0,0 +1,245 @@
+import { algorithms } from './matchers.js';
+import { createMetrics, emptyMetrics } from './metrics.js';
+import { validateStep } from './trace-schema.js';
+import { createRecorder } from './recording.js';
+import { createRandom } from './generators.js';
+
+// User-written matchers. A plugin's source defines
+//
+//   function search(text, pattern, api) { ... }
+//
+// and reports everything through `api`, following the step-trace schema
+// (trace-schema.js). Its matches are the positions of the 'found' steps it records.
+// Text and pattern arrive already lower-cased for case-insensitive searches.
+//
+// Plugins only ever run inside a matcher worker created for the one job that runs them
+// and terminated when it ends (use-matcher-worker.ts). That worker is the sandbox: it has
+// no DOM, storage or page state, and built-in jobs never run in it. Hiding the globals
+// below by name only keeps them out of casual reach, since Function('return this')()
+// still returns the worker scope. Every run is bounded by a step limit and a time
+// limit. On the main thread a plugin is only a registry entry with its name and colour.
+
+export const PLUGIN_PREFIX = 'plugin-';
+export const PLUGIN_MAX_STEPS = 1000000;
+// Per search call; the worker is also terminated from outside if it stops responding
+export const PLUGIN_TIME_LIMIT = 5000;
+
+const STORAGE_KEY = 'string-viz-lab/plugins';
+const PLUGIN_COLORS = ['bg-info/60', 'bg-destructive/60', 'bg-primary/30', 'bg-accent/30', 'bg-success/30', 'bg-warning/30'];
+const HIDDEN_GLOBALS = [
+  'self', 'globalThis', 'postMessage', 'onmessage', 'close', 'importScripts', 'fetch',
+  'XMLHttpRequest', 'WebSocket', 'EventSource', 'indexedDB', 'caches', 'Worker'
+];
+// Time is checked every this many api calls, not on each one
+const CLOCK_INTERVAL = 1024;
+
+export const PLUGIN_TEMPLATE = `// Naive search: try every window and compare left to right.
+// api.equals(a, b)  counted character comparison
+// api.record(step)  add a trace step (type, position, description, ...)
+// api.shift()       count a window shift
+function search(text, pattern, api) {
+  const n = text.length;
+  const m = pattern.length;
+  for (let s = 0; s <= n - m; s++) {
+    let j = 0;
+    while (j < m && api.equals(text[s + j], pattern[j])) {
+      api.record({ type: 'match', position: s, patternIndex: j, vars: { s, j },
+        description: \`text[\${s + j}] == pattern[\${j}]\` });
+      j++;
+    }
+    if (j === m) {
+      api.record({ type: 'found', position: s, vars: { s },
+        description: \`Match at position \${s}\` });
+    } else {
+      api.record({ type: 'mismatch', position: s, patternIndex: j, vars: { s, j },
+        description: \`text[\${s + j}] != pattern[\${j}]: try the next window\` });
+    }
+    api.shift();
+  }
+}
+`;
+
+export const pluginId = (name) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${PLUGIN_PREFIX}${slug || 'unnamed'}`;
+};
+
+export const isPlugin = (id) => Boolean(algorithms[id]?.plugin);
+
+// Worker job timeout for a search: a plugin's own time limits plus a grace second,
+// which stops one that never gets back to its clock. Built-ins run without one.
+export const searchTimeout = (algorithm, patternCount = 1) =>
+  isPlugin(algorithm) ? PLUGIN_TIME_LIMIT * patternCount + 1000 : undefined;
+
+// Worker job timeout for a job where every algorithm searches for the patterns
+// `searches` times, as benchmarks and corpus searches do: the search timeouts of the
+// plugins among algorithmIds, added up. Jobs without plugins run without one.
+export const jobTimeout = (algorithmIds, patternCount = 1, searches = 1) => {
+  const plugins = algorithmIds.filter(isPlugin);
+  if (plugins.length === 0) return undefined;
+  return searches * plugins.reduce((sum, id) => sum + searchTimeout(id, patternCount), 0);
+};
+
+// Evaluates the source and wraps its search function as a matcher with the same
+// signature and result shape as the built-ins
+export const compilePlugin = (source, { maxSteps = PLUGIN_MAX_STEPS, timeLimit = PLUGIN_TIME_LIMIT } = {}) => {
+  let search;
+  try {
+    const factory = new Function(...HIDDEN_GLOBALS, `"use strict";\n${source}\n;return typeof search === 'function' ? search : undefined;`);
+    search = factory();
+  } catch (error) {
+    throw new Error(`Plugin does not compile: ${error.message}`);
+  }
+  if (typeof search !== 'function') throw new Error('The plugin must define function search(text, pattern, api)');
+
+  return (text, pattern, caseInsensitive = false, { recording } = {}) => {
+    const trace = createRecorder(recording);
+    if (!pattern) return { matches: [], detailedSteps: trace.steps, recording: trace.info(), comparisons: 0, metrics: emptyMetrics() };
+
+    const searchText = caseInsensitive ? text.toLowerCase() : text;
+    const searchPattern = caseInsensitive ? pattern.toLowerCase() : pattern;
+    const metrics = createMetrics();
+    const deadline = performance.now() + timeLimit;
+    // Matches come from every found step, kept in the trace or not
+    const matches = [];
+    let recorded = 0;
+    let calls = 0;
+    const tick = () => {
+      if (++calls % CLOCK_INTERVAL === 0 && performance.now() > deadline) {
+        throw new Error(`The plugin ran past its ${timeLimit / 1000}s time limit`);
+      }
+    };
+
+    const api = {
+      equals: (a, b) => {
+        tick();
+        return metrics.equals(a, b);
+      },
+      compare: (count = 1) => metrics.compare(count),
+      hash: (count = 1) => metrics.hash(count),
+      shift: (count = 1) => {
+        tick();
+        metrics.shift(count);
+      },
+      allocate: (cells) => metrics.allocate(cells),
+      record: (step) => {
+        tick();
+        if (recorded >= maxSteps) {
+          throw new Error(`The plugin recorded more than ${maxSteps.toLocaleString()} steps`);
+        }
+        const full = { ...step, comparisons: metrics.counters.charComparisons };
+        const problems = validateStep(full);
+        if (problems.length > 0) throw new Error(`Step ${recorded + 1} breaks the trace schema: ${problems[0]}`);
+        recorded++;
+        // The first search step ends preprocessing for the timing metrics
+        if (full.phase !== 'preprocessing') metrics.startSearch();
+        if (full.type === 'found') matches.push(full.position);
+        if (trace.wants(full)) trace.steps.push(full);
+      }
+    };
+
+    search(searchText, searchPattern, api);
+
+    const counters = metrics.finish();
+    return { matches, detailedSteps: trace.steps, recording: trace.info(), comparisons: counters.charComparisons, metrics: counters };
+  };
+};
+
+let registered = [];
+const compiled = new Map();
+
+// Replaces the plugin entries of the registry. Only the worker compiles (compile: true);
+// the main thread gets entries whose func refuses to run. Compiled functions are reused
+// while a plugin's source is unchanged.
+export const registerPlugins = (plugins, { compile = false } = {}) => {
+  Object.keys(algorithms).filter(isPlugin).forEach(id => delete algorithms[id]);
+  plugins.forEach((plugin, index) => {
+    let func = () => {
+      throw new Error('Plugins run in the matcher worker');
+    };
+    if (compile) {
+      if (!compiled.has(plugin.source)) compiled.set(plugin.source, compilePlugin(plugin.source));
+      func = compiled.get(plugin.source);
+    }
+    algorithms[plugin.id] = {
+      name: plugin.name,
+      func,
+      color: PLUGIN_COLORS[index % PLUGIN_COLORS.length],
+      description: plugin.description || 'User-defined plugin',
+      plugin: true
+    };
+  });
+  registered = plugins;
+};
+
+export const registeredPlugins = () => registered;
+
+export const loadStoredPlugins = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+    return Array.isArray(stored)
+      ? stored.filter(plugin => typeof plugin?.id === 'string' && plugin.id.startsWith(PLUGIN_PREFIX) && typeof plugin.source === 'string')
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+export const storePlugins = (plugins) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(plugins));
+};
+
+const VALIDATION_ROUNDS = 200;
+const MAX_REPORTED_FAILURES = 5;
+
+const randomString = (random, alphabet, length) => {
+  let str = '';
+  for (let i = 0; i < length; i++) str += alphabet[Math.floor(random() * alphabet.length)];
+  return str;
+};
+
+// Fixed edge cases, then seeded random ones over small alphabets where overlapping
+// occurrences are common, half of them case-insensitive
+const validationCases = () => {
+  const cases = [
+    { text: '', pattern: 'a', caseInsensitive: false },
+    { text: 'ab', pattern: 'abc', caseInsensitive: false },
+    { text: 'aaaaa', pattern: 'aa', caseInsensitive: false },
+    { text: 'abcabc', pattern: 'abcabc', caseInsensitive: false },
+    { text: 'AbAbA', pattern: 'aba', caseInsensitive: true }
+  ];
+  const random = createRandom(1);
+  for (let round = 0; round < VALIDATION_ROUNDS; round++) {
+    const caseInsensitive = round % 2 === 1;
+    const alphabet = caseInsensitive ? 'aAbB' : round % 4 === 0 ? 'abc' : 'ab';
+    cases.push({
+      text: randomString(random, alphabet, Math.floor(random() * 40)),
+      pattern: randomString(random, alphabet, 1 + Math.floor(random() * 5)),
+      caseInsensitive
+    });
+  }
+  return cases;
+};
+
+const sameMatches = (a, b) => a.length === b.length && a.every((position, i) => position === b[i]);
+
+// Runs the plugin against the reference matcher (KMP) on every validation case
+export const validatePlugin = (source) => {
+  const func = compilePlugin(source);
+  const reference = algorithms.kmp.func;
+  const cases = validationCases();
+  const failures = [];
+
+  for (const testCase of cases) {
+    const { text, pattern, caseInsensitive } = testCase;
+    const expected = reference(text, pattern, caseInsensitive).matches;
+    try {
+      const actual = [...func(text, pattern, caseInsensitive).matches].sort((a, b) => a - b);
+      if (!sameMatches(actual, expected)) failures.push({ ...testCase, expected, actual });
+    } catch (error) {
+      failures.push({ ...testCase, expected, error: error?.message ?? String(error) });
+    }
+    if (failures.length >= MAX_REPORTED_FAILURES) break;
+  }
+  return { cases: cases.length, passed: failures.length === 0, failures };
+};
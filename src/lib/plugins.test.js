@@ -0,0 +1,71 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { algorithms, validateStep } from './engine.js';
+import {
+  PLUGIN_TEMPLATE, compilePlugin, validatePlugin, registerPlugins, isPlugin, pluginId, searchTimeout, jobTimeout
+} from './plugins.js';
+
+describe('plugins', () => {
+  after(() => registerPlugins([]));
+
+  it('accepts the template', () => {
+    const report = validatePlugin(PLUGIN_TEMPLATE);
+    assert.equal(report.passed, true);
+    assert.ok(report.cases > 100);
+  });
+
+  it('records steps of the trace schema', () => {
+    const result = compilePlugin(PLUGIN_TEMPLATE)('abababa', 'aba');
+    assert.deepEqual(result.matches, [0, 2, 4]);
+    result.detailedSteps.forEach(step => assert.deepEqual(validateStep(step), []));
+    assert.equal(result.comparisons, result.metrics.charComparisons);
+    const untraced = compilePlugin(PLUGIN_TEMPLATE)('abababa', 'aba', false, { recording: { level: 'off' } });
+    assert.deepEqual(untraced.matches, [0, 2, 4]);
+    assert.deepEqual(untraced.detailedSteps, []);
+  });
+
+  it('reports the cases a wrong plugin fails', () => {
+    // Skips overlapping occurrences
+    const source = PLUGIN_TEMPLATE.replace('api.shift();', 'api.shift();\n    if (j === m) s += m - 1;');
+    const report = validatePlugin(source);
+    assert.equal(report.passed, false);
+    const [failure] = report.failures;
+    assert.notDeepEqual(failure.actual, failure.expected);
+  });
+
+  it('rejects source without a search function or with broken steps', () => {
+    assert.throws(() => compilePlugin('const x = 1;'), /must define/);
+    assert.throws(() => compilePlugin('function search( {'), /does not compile/);
+    const broken = compilePlugin("function search(text, pattern, api) { api.record({ type: 'teleport', description: '' }); }");
+    assert.throws(() => broken('abc', 'a'), /trace schema/);
+  });
+
+  it('stops runaway plugins', () => {
+    const endless = compilePlugin('function search(text, pattern, api) { for (;;) api.shift(); }', { timeLimit: 50 });
+    assert.throws(() => endless('abc', 'a'), /time limit/);
+    const chatty = compilePlugin("function search(text, pattern, api) { for (;;) api.record({ type: 'spurious', position: 0, description: '' }); }", { maxSteps: 1000 });
+    assert.throws(() => chatty('abc', 'a'), /steps/);
+  });
+
+  // Only the names: the per-job worker is what isolates a plugin
+  it('shadows the worker globals by name', () => {
+    const peek = compilePlugin("function search(text, pattern, api) { if (typeof postMessage !== 'undefined' || typeof globalThis !== 'undefined') throw new Error('visible'); }");
+    assert.doesNotThrow(() => peek('abc', 'a'));
+  });
+
+  it('joins and leaves the registry', () => {
+    const plugin = { id: pluginId('My Naive!'), name: 'My Naive!', description: '', source: PLUGIN_TEMPLATE };
+    assert.equal(plugin.id, 'plugin-my-naive');
+    registerPlugins([plugin]);
+    assert.throws(() => algorithms[plugin.id].func('abc', 'a'), /worker/);
+    registerPlugins([plugin], { compile: true });
+    assert.deepEqual(algorithms[plugin.id].func('abcab', 'ab').matches, [0, 3]);
+    assert.ok(isPlugin(plugin.id) && !isPlugin('kmp'));
+    assert.equal(searchTimeout('kmp'), undefined);
+    assert.ok(searchTimeout(plugin.id, 2) > searchTimeout(plugin.id, 1));
+    assert.equal(jobTimeout(['kmp', 'bitap'], 2, 10), undefined);
+    assert.equal(jobTimeout(['kmp', plugin.id], 2, 10), 10 * searchTimeout(plugin.id, 2));
+    registerPlugins([]);
+    assert.equal(algorithms[plugin.id], undefined);
+  });
+});
@@ -0,0 +1,173 @@
+// Pseudocode for every entry in `algorithms`, split into the preprocessing and search
+// phases that traces record. Each line is [key, code]: a step whose `line` equals the
+// key, in the same phase, was produced by that line. Lines sharing a key light up
+// together; a null key marks control flow that records no step of its own.
+//
+// P is the pattern (length m), T the text (length n).
+
+export const PSEUDOCODE = {
+  'kmp': {
+    preprocessing: [
+      ['failure-init', 'failure[0] ← 0; j ← 0'],
+      [null, 'for i ← 1 to m − 1:'],
+      [null, '  while j > 0 and P[i] ≠ P[j]:'],
+      ['failure-fallback', '    j ← failure[j − 1]'],
+      [null, '  if P[i] = P[j]: j ← j + 1'],
+      ['failure-fill', '  failure[i] ← j']
+    ],
+    search: [
+      [null, 'j ← 0'],
+      [null, 'for i ← 0 to n − 1:'],
+      [null, '  while j > 0 and T[i] ≠ P[j]:'],
+      ['fallback', '    j ← failure[j − 1]'],
+      ['match', '  if T[i] = P[j]: j ← j + 1'],
+      ['mismatch', '  else: go on with i + 1'],
+      ['found', '  if j = m:'],
+      ['found', '    report i − m + 1; j ← failure[j − 1]']
+    ]
+  },
+  'rabin-karp': {
+    preprocessing: [
+      [null, 'h ← 1'],
+      [null, 'for k ← 1 to m − 1:'],
+      ['h', '  h ← h · base mod q'],
+      [null, 'p ← 0; t ← 0'],
+      [null, 'for i ← 0 to m − 1:'],
+      ['pattern-hash', '  p ← (base · p + P[i]) mod q'],
+      ['window-hash', '  t ← (base · t + T[i]) mod q']
+    ],
+    search: [
+      [null, 'for s ← 0 to n − m:'],
+      ['hash-compare', '  if p = t:'],
+      [null, '    for j ← 0 to m − 1:'],
+      ['spurious', '      if T[s + j] ≠ P[j]: spurious hit, stop'],
+      ['found', '    if all m characters agree: report s'],
+      [null, '  t ← (base · (t − T[s] · h) + T[s + m]) mod q']
+    ]
+  },
+  'z-algorithm': {
+    preprocessing: [
+      [null, 'S ← P + "$" + T; l ← r ← 0'],
+      [null, 'for i ← 1 to m:'],
+      ['z-box', '  if i ≤ r: Z[i] ← min(r − i + 1, Z[i − l])'],
+      ['extend', '  while S[Z[i]] = S[i + Z[i]]: Z[i] ← Z[i] + 1'],
+      ['update-box', '  if i + Z[i] − 1 > r: l ← i; r ← i + Z[i] − 1'],
+      ['z-fill', '  Z[i] is final']
+    ],
+    search: [
+      [null, 'for i ← m + 1 to |S| − 1:'],
+      ['z-box', '  if i ≤ r: Z[i] ← min(r − i + 1, Z[i − l])'],
+      ['extend', '  while S[Z[i]] = S[i + Z[i]]: Z[i] ← Z[i] + 1'],
+      ['update-box', '  if i + Z[i] − 1 > r: l ← i; r ← i + Z[i] − 1'],
+      ['found', '  if Z[i] = m: report i − m − 1']
+    ]
+  },
+  'boyer-moore': {
+    preprocessing: [
+      [null, 'for j ← 0 to m − 1:'],
+      ['bad-char', '  badChar[P[j]] ← j'],
+      [null, 'border ← borders of every suffix of P'],
+      ['good-suffix', 'goodSuffix[j] ← shift aligning the next occurrence of P[j..m)']
+    ],
+    search: [
+      [null, 's ← 0'],
+      [null, 'while s ≤ n − m:'],
+      [null, '  j ← m − 1'],
+      ['match', '  while j ≥ 0 and P[j] = T[s + j]: j ← j − 1'],
+      ['found', '  if j < 0: report s'],
+      ['found-shift', '    s ← s + goodSuffix[0]'],
+      ['mismatch', '  else: P[j] ≠ T[s + j]'],
+      ['shift', '    s ← s + max(j − badChar[T[s + j]], goodSuffix[j + 1])']
+    ]
+  },
+  'horspool': {
+    preprocessing: [
+      [null, 'shift[c] ← m for every character c'],
+      [null, 'for i ← 0 to m − 2:'],
+      ['shift-table', '  shift[P[i]] ← m − 1 − i']
+    ],
+    search: [
+      [null, 's ← 0'],
+      [null, 'while s ≤ n − m:'],
+      [null, '  j ← m − 1'],
+      ['match', '  while j ≥ 0 and P[j] = T[s + j]: j ← j − 1'],
+      ['found', '  if j < 0: report s'],
+      ['mismatch', '  else: P[j] ≠ T[s + j]'],
+      ['shift', '  s ← s + shift[T[s + m − 1]]']
+    ]
+  },
+  'aho-corasick': {
+    preprocessing: [
+      [null, 'insert every pattern into a trie'],
+      [null, 'for each state in breadth-first order:'],
+      [null, '  fail[state] ← longest proper suffix that is a trie path'],
+      [null, '  outputLink[state] ← nearest state on the fail chain ending a pattern']
+    ],
+    search: [
+      [null, 'state ← root'],
+      [null, 'for i ← 0 to n − 1:'],
+      ['fail', '  while state ≠ root and no edge T[i]: state ← fail[state]'],
+      ['goto', '  if edge T[i] exists: state ← goto(state, T[i])'],
+      ['mismatch', '  else: state ← root'],
+      ['found', '  for each pattern ending at state or along its output links:'],
+      ['found', '    report i − |pattern| + 1']
+    ]
+  },
+  'bitap': {
+    preprocessing: [
+      [null, 'for j ← 0 to m − 1: set bit j of mask[P[j]]'],
+      [null, 'R[d] ← 0 for d ← 0 to k']
+    ],
+    search: [
+      [null, 'for i ← 0 to n − 1:'],
+      ['update', '  R[0] ← ((R[0] << 1) | 1) & mask[T[i]]'],
+      ['update', '  for d ← 1 to k:'],
+      ['update', '    R[d] ← (((R[d] << 1) | 1) & mask[T[i]]) | ((R[d − 1] << 1) | 1)'],
+      ['found', '  if bit m − 1 is set in R[d] for the least d:'],
+      ['found', '    report i − m + 1 with d mismatches']
+    ]
+  },
+  'sellers': {
+    preprocessing: [],
+    search: [
+      ['init', 'C[j] ← j for j ← 0 to m'],
+      [null, 'for i ← 0 to n − 1:'],
+      ['column', '  C′[0] ← 0'],
+      ['column', '  for j ← 1 to m:'],
+      ['column', '    C′[j] ← min(C[j − 1] + (P[j − 1] ≠ T[i]), C[j] + 1, C′[j − 1] + 1)'],
+      [null, '  C ← C′'],
+      ['found', '  if C[m] ≤ k: report the match ending at i']
+    ]
+  },
+  'suffix-array': {
+    preprocessing: [
+      ['reuse', 'if T is the text indexed last: reuse SA and LCP'],
+      [null, 'rank[i] ← T[i]'],
+      [null, 'for length ← 2, 4, 8, … until all ranks differ:'],
+      ['sort', '  sort suffixes by (rank[i], rank[i + length / 2])'],
+      ['lcp', 'LCP ← Kasai(T, SA)']
+    ],
+    search: [
+      [null, 'for each pattern P:'],
+      [null, '  low ← 0; high ← n'],
+      ['lower', '  while low < high: mid ← ⌊(low + high) / 2⌋; if suffix SA[mid] < P: low ← mid + 1 else high ← mid'],
+      [null, '  first ← low; low ← 0; high ← n'],
+      ['upper', '  while low < high: mid ← ⌊(low + high) / 2⌋; if suffix SA[mid] ≤ P: low ← mid + 1 else high ← mid'],
+      ['range', '  last ← low'],
+      ['found', '  report SA[first..last) in text order']
+    ]
+  },
+  'thompson-nfa': {
+    preprocessing: [
+      ['build', 'NFA ← Thompson construction of the pattern']
+    ],
+    search: [
+      [null, 'for i ← n down to 0: longest[i] ← furthest end reachable from start at i'],
+      [null, 'active ← ∅'],
+      [null, 'for i ← 0 to n:'],
+      [null, '  active ← ε-closure(active ∪ {start})'],
+      ['found', '  for each s with longest[s] = i: report T[s..i)'],
+      ['step', '  active ← {q′ : q ∈ active, q has an edge on T[i] to q′}']
+    ]
+  }
+};
@@ -0,0 +1,57 @@
+// How much of its trace a matcher keeps. Most matchers record a step or more per text
+// position, so anything past a short text needs a level below full.
+//
+//   full      every step
+//   windowed  preprocessing, plus the search steps at text positions [from, to)
+//   summary   preprocessing and the 'found' steps
+//   off       no steps; matches and metrics are unaffected
+//
+// Whatever the level, a trace stops growing at MAX_TRACE_STEPS and counts what it
+// dropped, so the caller can warn instead of running out of memory.
+
+export const TRACE_LEVELS = {
+  full: 'Full',
+  windowed: 'Text range',
+  summary: 'Summary',
+  off: 'Off'
+};
+
+export const DEFAULT_RECORDING = { level: 'full', from: 0, to: 1000 };
+export const RECORDING_OFF = { level: 'off' };
+
+export const MAX_TRACE_STEPS = 200000;
+
+const KEEPS = {
+  full: () => true,
+  windowed: (step, textPosition, { from = 0, to = Infinity }) => {
+    if (step.phase === 'preprocessing' || step.position === undefined) return true;
+    const position = textPosition(step);
+    return position >= from && position < to;
+  },
+  summary: (step) => step.phase === 'preprocessing' || step.type === 'found',
+  off: () => false
+};
+
+// textPosition maps a step to the text index it concerns, for matchers whose positions
+// index something else (the Z-algorithm's pattern$text)
+export const createRecorder = (recording = DEFAULT_RECORDING, { textPosition = (step) => step.position, maxSteps = MAX_TRACE_STEPS } = {}) => {
+  const settings = { ...DEFAULT_RECORDING, ...recording };
+  const keeps = KEEPS[settings.level] ?? KEEPS.full;
+  const steps = [];
+  let dropped = 0;
+
+  return {
+    steps,
+    // False when no step can be kept, so no analytics for the trace need gathering
+    enabled: settings.level !== 'off',
+    // Whether to store a step, decided from its phase, type and position alone so the
+    // rest of it is only built when kept; steps past the cap are only counted
+    wants(step) {
+      if (!keeps(step, textPosition, settings)) return false;
+      if (steps.length < maxSteps) return true;
+      dropped++;
+      return false;
+    },
+    info: () => ({ level: settings.level, steps: steps.length, dropped })
+  };
+};
@@ -0,0 +1,282 @@
+// Pattern syntaxes for the automaton matcher, compiled to a Thompson NFA.
+//
+//   literal   the pattern as typed
+//   wildcard  ? any character, * any run of characters, [abc] [a-z] [!abc] classes
+//   regex     . [...] [^...] \d \w \s (and \D \W \S), ( ), |, * + ?, {m} {m,} {m,n}
+//
+// The NFA is plain data so it can be posted from the worker: every state has
+// character edges { to, label, matcher } and epsilon edges (state ids).
+
+export const PATTERN_SYNTAXES = {
+  literal: 'Literal',
+  wildcard: 'Wildcard',
+  regex: 'Regex'
+};
+
+// Repetition bounds are expanded into copies of the repeated fragment, so both the
+// counts and the resulting automaton are capped
+const MAX_REPEAT = 100;
+const MAX_STATES = 5000;
+
+const ESCAPE_CLASSES = {
+  d: [['0', '9']],
+  w: [['a', 'z'], ['A', 'Z'], ['0', '9'], ['_', '_']],
+  s: [[' ', ' '], ['\t', '\t'], ['\n', '\n'], ['\r', '\r'], ['\f', '\f'], ['\v', '\v']]
+};
+
+const syntaxError = (source, index, message) => new Error(`Invalid pattern at ${index + 1} in "${source}": ${message}`);
+
+const literalNode = (char) => ({ type: 'char', char });
+
+// Shared by wildcard and regex: parses "[...]" starting after the "[", returns the class node
+const parseClass = (source, start, negators) => {
+  let i = start;
+  let negated = false;
+  if (negators.includes(source[i])) {
+    negated = true;
+    i++;
+  }
+  const ranges = [];
+  let first = true;
+  while (i < source.length && (source[i] !== ']' || first)) {
+    first = false;
+    let low = source[i];
+    if (low === '\\' && i + 1 < source.length) {
+      const escaped = source[++i];
+      if (ESCAPE_CLASSES[escaped]) {
+        ranges.push(...ESCAPE_CLASSES[escaped]);
+        i++;
+        continue;
+      }
+      low = escaped;
+    }
+    i++;
+    if (source[i] === '-' && i + 1 < source.length && source[i + 1] !== ']') {
+      const high = source[i + 1] === '\\' ? source[i + 2] : source[i + 1];
+      if (high < low) throw syntaxError(source, i, `range ${low}-${high} is out of order`);
+      ranges.push([low, high]);
+      i += source[i + 1] === '\\' ? 3 : 2;
+    } else {
+      ranges.push([low, low]);
+    }
+  }
+  if (i >= source.length) throw syntaxError(source, start - 1, 'unclosed character class');
+  return { node: { type: 'class', ranges, negated }, end: i + 1 };
+};
+
+const parseWildcard = (source) => {
+  const items = [];
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '?') items.push({ type: 'any' });
+    else if (char === '*') items.push({ type: 'repeat', node: { type: 'any' }, min: 0, max: Infinity });
+    else if (char === '[') {
+      const { node, end } = parseClass(source, i + 1, ['!', '^']);
+      items.push(node);
+      i = end - 1;
+    } else if (char === '\\' && i + 1 < source.length) items.push(literalNode(source[++i]));
+    else items.push(literalNode(char));
+  }
+  return { type: 'concat', items };
+};
+
+// Recursive descent over alternation > concatenation > repetition > atom
+const parseRegex = (source) => {
+  let i = 0;
+
+  const parseAlternation = () => {
+    const options = [parseConcatenation()];
+    while (source[i] === '|') {
+      i++;
+      options.push(parseConcatenation());
+    }
+    return options.length === 1 ? options[0] : { type: 'alt', options };
+  };
+
+  const parseConcatenation = () => {
+    const items = [];
+    while (i < source.length && source[i] !== '|' && source[i] !== ')') {
+      items.push(parseRepetition());
+    }
+    return { type: 'concat', items };
+  };
+
+  const parseBounds = () => {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+    if (!match) return null;
+    const min = Number(match[1]);
+    const max = match[2] === undefined ? min : match[3] === '' ? Infinity : Number(match[3]);
+    if (max < min) throw syntaxError(source, i, `repetition {${min},${max}} is out of order`);
+    if (min > MAX_REPEAT || (max !== Infinity && max > MAX_REPEAT)) {
+      throw syntaxError(source, i, `repetition counts are limited to ${MAX_REPEAT}`);
+    }
+    i += match[0].length;
+    return { min, max };
+  };
+
+  const parseRepetition = () => {
+    let node = parseAtom();
+    for (;;) {
+      const char = source[i];
+      let bounds = null;
+      if (char === '*') bounds = { min: 0, max: Infinity };
+      else if (char === '+') bounds = { min: 1, max: Infinity };
+      else if (char === '?') bounds = { min: 0, max: 1 };
+      else if (char === '{') bounds = parseBounds();
+      if (!bounds) return node;
+      if (char !== '{') i++;
+      node = { type: 'repeat', node, ...bounds };
+    }
+  };
+
+  const parseAtom = () => {
+    const char = source[i];
+    if (char === '(') {
+      i++;
+      const node = parseAlternation();
+      if (source[i] !== ')') throw syntaxError(source, i, 'missing )');
+      i++;
+      return node;
+    }
+    if (char === '[') {
+      const { node, end } = parseClass(source, i + 1, ['^']);
+      i = end;
+      return node;
+    }
+    if (char === '.') {
+      i++;
+      return { type: 'any' };
+    }
+    if (char === '*' || char === '+' || char === '?') throw syntaxError(source, i, `nothing to repeat before ${char}`);
+    if (char === '\\') {
+      if (i + 1 >= source.length) throw syntaxError(source, i, 'trailing backslash');
+      const escaped = source[i + 1];
+      i += 2;
+      const lower = escaped.toLowerCase();
+      if (ESCAPE_CLASSES[lower]) return { type: 'class', ranges: ESCAPE_CLASSES[lower], negated: escaped !== lower };
+      if (escaped === 'n') return literalNode('\n');
+      if (escaped === 't') return literalNode('\t');
+      return literalNode(escaped);
+    }
+    i++;
+    return literalNode(char);
+  };
+
+  const ast = parseAlternation();
+  if (i < source.length) throw syntaxError(source, i, 'unmatched )');
+  return ast;
+};
+
+export const parsePattern = (source, syntax = 'literal') => {
+  if (syntax === 'wildcard') return parseWildcard(source);
+  if (syntax === 'regex') return parseRegex(source);
+  return { type: 'concat', items: Array.from({ length: source.length }, (_, i) => literalNode(source[i])) };
+};
+
+// Indices of the characters a backslash escapes. Their case is syntax (\D is not \d),
+// so case-insensitive Unicode mode leaves them as typed and lets compileNfa fold them.
+export const escapedIndices = (source, syntax = 'literal') => {
+  const indices = new Set();
+  if (syntax === 'literal') return indices;
+  for (let i = 0; i < source.length - 1; i++) {
+    if (source[i] === '\\') indices.add(++i);
+  }
+  return indices;
+};
+
+const classLabel = ({ ranges, negated }) =>
+  `[${negated ? '^' : ''}${ranges.map(([low, high]) => (low === high ? low : `${low}-${high}`)).join('')}]`;
+
+// Thompson construction: every fragment has one start and one end state, and the
+// end has no outgoing edges until the enclosing fragment wires it up
+export const compileNfa = (ast, caseInsensitive = false) => {
+  const states = [];
+  const newState = () => {
+    if (states.length >= MAX_STATES) throw new Error(`Pattern needs more than ${MAX_STATES} automaton states`);
+    const state = { id: states.length, edges: [], epsilon: [], accept: false };
+    states.push(state);
+    return state.id;
+  };
+
+  const compile = (node) => {
+    switch (node.type) {
+      case 'char':
+      case 'any':
+      case 'class': {
+        const start = newState();
+        const end = newState();
+        const matcher = node.type === 'char'
+          ? { kind: 'char', char: caseInsensitive ? node.char.toLowerCase() : node.char }
+          : node.type === 'any'
+            ? { kind: 'any' }
+            : { kind: 'class', ranges: node.ranges, negated: node.negated, caseInsensitive };
+        const label = node.type === 'char' ? matcher.char : node.type === 'any' ? '.' : classLabel(node);
+        states[start].edges.push({ to: end, label, matcher });
+        return { start, end };
+      }
+      case 'concat': {
+        if (node.items.length === 0) {
+          const state = newState();
+          return { start: state, end: state };
+        }
+        const fragments = node.items.map(compile);
+        for (let k = 1; k < fragments.length; k++) {
+          states[fragments[k - 1].end].epsilon.push(fragments[k].start);
+        }
+        return { start: fragments[0].start, end: fragments[fragments.length - 1].end };
+      }
+      case 'alt': {
+        const start = newState();
+        const fragments = node.options.map(compile);
+        const end = newState();
+        fragments.forEach(fragment => {
+          states[start].epsilon.push(fragment.start);
+          states[fragment.end].epsilon.push(end);
+        });
+        return { start, end };
+      }
+      case 'repeat': {
+        // x{min,max} = x…x (min copies) followed by a loop or (max - min) optional copies
+        const parts = [];
+        for (let k = 0; k < node.min; k++) parts.push(compile(node.node));
+        if (node.max === Infinity) {
+          const start = newState();
+          const body = compile(node.node);
+          const end = newState();
+          states[start].epsilon.push(body.start, end);
+          states[body.end].epsilon.push(body.start, end);
+          parts.push({ start, end });
+        } else {
+          for (let k = node.min; k < node.max; k++) {
+            const start = newState();
+            const body = compile(node.node);
+            const end = newState();
+            states[start].epsilon.push(body.start, end);
+            states[body.end].epsilon.push(end);
+            parts.push({ start, end });
+          }
+        }
+        if (parts.length === 0) {
+          const state = newState();
+          return { start: state, end: state };
+        }
+        for (let k = 1; k < parts.length; k++) states[parts[k - 1].end].epsilon.push(parts[k].start);
+        return { start: parts[0].start, end: parts[parts.length - 1].end };
+      }
+      default:
+        throw new Error(`Unknown pattern node ${node.type}`);
+    }
+  };
+
+  const { start, end } = compile(ast);
+  states[end].accept = true;
+  return { states, start, accept: end };
+};
+
+export const matcherAccepts = (matcher, char) => {
+  if (matcher.kind === 'char') return matcher.char === char;
+  if (matcher.kind === 'any') return char !== '\n';
+  const inRanges = (c) => matcher.ranges.some(([low, high]) => c >= low && c <= high);
+  const hit = inRanges(char) || (matcher.caseInsensitive && inRanges(char.toUpperCase()));
+  return hit !== matcher.negated;
+};
@@ -0,0 +1,222 @@
+import { algorithms } from './matchers.js';
+import { mergeMetrics } from './metrics.js';
+import { encodeUnicode, decodeString, originalSpan } from './unicode.js';
+import { RECORDING_OFF } from './recording.js';
+
+// Bytes read per chunk of a large file. Chunks record no trace, so this bounds the
+// memory of one chunk's text and its encoded units.
+export const CHUNK_BYTES = 256 * 1024;
+
+// Characters carried between chunks for wildcard and regex patterns
+const REGEX_OVERLAP = 4096;
+
+// Wildcard and regex patterns need an automaton matcher
+export const supportsPatterns = (algorithm, patternList, options = {}) => {
+  const { maxPatternLength, regex } = algorithms[algorithm];
+  if ((options.patternSyntax ?? 'literal') !== 'literal' && !regex) return false;
+  return !maxPatternLength || patternList.every(p => p.length <= maxPatternLength);
+};
+
+// Run one algorithm over a single string for every pattern, keyed pattern_0..n
+const searchUnits = (text, { patterns, algorithm, caseInsensitive, options = {} }, onProgress = () => {}) => {
+  const allResults = {};
+
+  if (algorithms[algorithm].multiPattern) {
+    // One pass over the text for all patterns; every entry shares the trace
+    const start = performance.now();
+    const result = algorithms[algorithm].func(text, patterns, caseInsensitive, options);
+    const end = performance.now();
+
+    patterns.forEach((pattern, index) => {
+      allResults[`pattern_${index}`] = {
+        ...result,
+        matches: result.matchesByPattern[index],
+        pattern,
+        patterns,
+        caseInsensitive,
+        time: end - start,
+        algorithm
+      };
+    });
+    onProgress(1);
+  } else {
+    patterns.forEach((pattern, index) => {
+      const start = performance.now();
+      const result = algorithms[algorithm].func(text, pattern, caseInsensitive, options);
+      const end = performance.now();
+
+      allResults[`pattern_${index}`] = {
+        ...result,
+        pattern,
+        caseInsensitive,
+        time: end - start,
+        algorithm
+      };
+      onProgress((index + 1) / patterns.length);
+    });
+  }
+
+  return allResults;
+};
+
+// Descriptions are only stored by plugins; built-in steps are described from the units
+const decodeStep = (encoded, step) => ({
+  ...step,
+  ...(step.description !== undefined ? { description: decodeString(encoded, step.description) } : {}),
+  index: decodeString(encoded, step.index)
+});
+
+// Unicode mode searches the encoded units, then maps matches back to offsets in the
+// original text. Traces keep unit positions and carry the units they index.
+export const searchString = (text, request, onProgress = () => {}) => {
+  const unicode = request.options?.unicode;
+  if (!unicode) return searchUnits(text, request, onProgress);
+
+  const syntax = request.options.patternSyntax ?? 'literal';
+  const encoded = encodeUnicode(text, request.patterns, unicode, request.caseInsensitive, syntax);
+  // The units come back folded, except the escaped characters of a wildcard or regex
+  // pattern: the automaton folds those itself once it knows which are literals
+  const allResults = searchUnits(
+    encoded.text,
+    { ...request, patterns: encoded.patterns, caseInsensitive: syntax !== 'literal' && request.caseInsensitive },
+    onProgress
+  );
+
+  // Multi-pattern entries share one trace and automaton; decode each only once
+  const decodedSteps = new Map();
+  const textUnits = encoded.textUnits.map(({ value }) => value);
+
+  Object.values(allResults).forEach((result, index) => {
+    const m = encoded.patterns[index].length;
+    const hits = result.hits
+      ? result.hits.map(hit => ({ ...hit, ...originalSpan(encoded.textUnits, hit.position, hit.end) }))
+      : result.matches.map(match => originalSpan(encoded.textUnits, match, match + m));
+
+    if (!decodedSteps.has(result.detailedSteps)) {
+      decodedSteps.set(result.detailedSteps, result.detailedSteps.map(step => decodeStep(encoded, step)));
+    }
+
+    Object.assign(result, {
+      pattern: request.patterns[index],
+      ...(result.patterns ? { patterns: request.patterns } : {}),
+      matches: hits.map(hit => hit.position),
+      hits,
+      detailedSteps: decodedSteps.get(result.detailedSteps),
+      automaton: result.automaton?.map(node => ({
+        ...node,
+        char: decodeString(encoded, node.char),
+        prefix: decodeString(encoded, node.prefix)
+      })),
+      unicode: { textUnits, patternUnits: encoded.patternUnits[index] }
+    });
+  });
+
+  return allResults;
+};
+
+// Characters each chunk re-reads from the previous one so matches across the boundary are seen
+const chunkOverlap = ({ patterns, algorithm, options = {} }) => {
+  const longest = Math.max(...patterns.map(p => p.length));
+  let overlap = longest - 1 + (algorithms[algorithm].approximate ? options.maxErrors ?? 0 : 0);
+  // A wildcard or regex match has no length bound; matches longer than this margin
+  // that straddle a chunk boundary are missed
+  if ((options.patternSyntax ?? 'literal') !== 'literal') overlap = Math.max(overlap, REGEX_OVERLAP);
+  // A unit can span several code units of the original (combining marks, decomposed
+  // forms), so Unicode mode keeps a wider margin
+  return options.unicode ? overlap * 4 + 16 : overlap;
+};
+
+// Decode a File chunk by chunk. `offset` is the character index of chunk.text[0],
+// `newStart` the first character this chunk adds beyond the carried-over overlap.
+export async function* readFileChunks(file, overlap) {
+  const decoder = new TextDecoder();
+  let carry = '';
+  let consumed = 0;
+
+  for (let byte = 0; byte < file.size; byte += CHUNK_BYTES) {
+    const isLast = byte + CHUNK_BYTES >= file.size;
+    const buffer = await file.slice(byte, byte + CHUNK_BYTES).arrayBuffer();
+    const decoded = decoder.decode(new Uint8Array(buffer), { stream: !isLast });
+    const text = carry + decoded;
+
+    yield {
+      text,
+      offset: consumed - carry.length,
+      newStart: consumed,
+      progress: isLast ? 1 : (byte + CHUNK_BYTES) / file.size
+    };
+
+    consumed += decoded.length;
+    carry = overlap > 0 ? text.slice(-overlap) : '';
+  }
+}
+
+const matchEnd = (result, index) => {
+  return result.hits ? result.hits[index].end : result.matches[index] + result.pattern.length;
+};
+
+// Search a file chunk by chunk; no trace is recorded and only matches and counters are kept
+const searchFile = async (file, request, onProgress) => {
+  const overlap = chunkOverlap(request);
+  const merged = {};
+  const chunkRequest = { ...request, options: { ...request.options, recording: RECORDING_OFF } };
+  // A wildcard or regex match cut short by a chunk's end is found again, longer, by the
+  // next chunk, and an approximate start again with fewer errors. Per key, the index of
+  // the hit kept for each start, so the better one replaces it.
+  const onePerStart = (request.options?.patternSyntax ?? 'literal') !== 'literal' || algorithms[request.algorithm].approximate;
+  const hitAt = {};
+
+  for await (const chunk of readFileChunks(file, overlap)) {
+    const chunkResults = searchString(chunk.text, chunkRequest);
+
+    Object.entries(chunkResults).forEach(([key, result]) => {
+      const entry = merged[key] || (merged[key] = {
+        matches: [],
+        hits: result.hits ? [] : undefined,
+        comparisons: 0,
+        metrics: null,
+        time: 0,
+        pattern: result.pattern,
+        algorithm: result.algorithm,
+        chunked: true
+      });
+
+      const starts = hitAt[key] || (hitAt[key] = new Map());
+
+      result.matches.forEach((match, i) => {
+        // A match that ends before the new region lay entirely inside the previous chunk
+        if (chunk.offset + matchEnd(result, i) <= chunk.newStart) return;
+        const position = chunk.offset + match;
+        const hit = result.hits && {
+          ...result.hits[i],
+          position: chunk.offset + result.hits[i].position,
+          end: chunk.offset + result.hits[i].end
+        };
+        if (onePerStart && starts.has(position)) {
+          const kept = entry.hits[starts.get(position)];
+          if (hit.errors !== undefined ? hit.errors < kept.errors : hit.end > kept.end) entry.hits[starts.get(position)] = hit;
+          return;
+        }
+        if (onePerStart) starts.set(position, entry.matches.length);
+        entry.matches.push(position);
+        if (hit) entry.hits.push(hit);
+      });
+
+      entry.comparisons += result.comparisons;
+      entry.metrics = mergeMetrics([entry.metrics, result.metrics]);
+      entry.time += result.time;
+    });
+
+    onProgress(chunk.progress);
+  }
+
+  return merged;
+};
+
+// source is either { text } or { file }; large files are streamed in chunks
+export const runSearch = async ({ source, ...request }, onProgress = () => {}) => {
+  if (source.file) {
+    return searchFile(source.file, request, onProgress);
+  }
+  return searchString(source.text, request, onProgress);
+};
@@ -0,0 +1,127 @@
+import { algorithms } from './matchers.js';
+import { UNICODE_UNITS, NORMALIZATIONS } from './unicode.js';
+import { PATTERN_SYNTAXES } from './regex.js';
+import { HASH_SCHEMES, DEFAULT_HASHING, validateHashing } from './hashing.js';
+
+// Experiment state <-> URL query string. Short text travels as is; longer text is
+// deflated and base64url encoded into `z` instead of `t`.
+const COMPRESS_ABOVE = 200;
+
+// Browsers and servers start refusing URLs somewhere past this
+export const MAX_SHARE_URL = 64 * 1024;
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (str) => {
+  const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const pipeThrough = async (bytes, transform) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+export const compressText = async (str) => {
+  return toBase64Url(await pipeThrough(new TextEncoder().encode(str), new CompressionStream('deflate-raw')));
+};
+
+export const decompressText = async (encoded) => {
+  return new TextDecoder().decode(await pipeThrough(fromBase64Url(encoded), new DecompressionStream('deflate-raw')));
+};
+
+const has = (registry, key) => key !== null && Object.prototype.hasOwnProperty.call(registry, key);
+const isAlgorithm = (id) => has(algorithms, id);
+
+// Only the fields that differ from the defaults are written
+export const encodeExperiment = async (state) => {
+  const params = new URLSearchParams();
+  if (state.text.length > COMPRESS_ABOVE) params.set('z', await compressText(state.text));
+  else params.set('t', state.text);
+  params.set('p', state.patterns);
+  if (state.patternSyntax !== 'literal') params.set('syntax', state.patternSyntax);
+  if (state.caseInsensitive) params.set('ci', '1');
+  if (algorithms[state.algorithm]?.approximate) params.set('k', String(state.maxErrors));
+  if (state.unicodeUnit !== 'code-unit') {
+    params.set('unit', state.unicodeUnit);
+    if (state.normalization !== 'none') params.set('norm', state.normalization);
+  }
+  if (state.algorithm === 'rabin-karp' && state.hashing) {
+    const { scheme, base, modulus, base2, modulus2 } = state.hashing;
+    params.set('hash', [scheme, base, modulus, ...(scheme === 'double' ? [base2, modulus2] : [])].join(','));
+  }
+  if (state.step !== undefined) params.set('step', String(state.step));
+  if (state.trace && state.trace !== 'pattern_0') params.set('trace', state.trace);
+
+  if (state.compare) {
+    params.set('left', state.compare.left);
+    params.set('right', state.compare.right);
+    if (state.compare.alignBy !== 'position') params.set('align', state.compare.alignBy);
+    if (state.compare.frame) params.set('frame', String(state.compare.frame));
+  }
+  return params;
+};
+
+const readCount = (params, key) => {
+  const value = Number(params.get(key));
+  return params.has(key) && Number.isInteger(value) && value >= 0 ? value : undefined;
+};
+
+// "scheme,base,modulus[,base2,modulus2]"
+const readHashing = (value) => {
+  if (!value) return undefined;
+  const [scheme, ...numbers] = value.split(',');
+  if (!has(HASH_SCHEMES, scheme)) return undefined;
+  const [base, modulus, base2, modulus2] = numbers.map(Number);
+  const hashing = {
+    ...DEFAULT_HASHING,
+    scheme,
+    base,
+    modulus: modulus ?? DEFAULT_HASHING.modulus,
+    ...(scheme === 'double' ? { base2, modulus2 } : {})
+  };
+  try {
+    validateHashing(hashing);
+    return hashing;
+  } catch {
+    return undefined;
+  }
+};
+
+// Parse a query string back into the fields it carries; unknown or invalid values are
+// dropped so a hand-edited link still opens with defaults for the rest
+export const decodeExperiment = async (search) => {
+  const params = new URLSearchParams(search);
+  const state = {};
+
+  if (params.has('z')) state.text = await decompressText(params.get('z'));
+  else if (params.has('t')) state.text = params.get('t');
+  if (params.has('p')) state.patterns = params.get('p');
+  if (has(PATTERN_SYNTAXES, params.get('syntax'))) state.patternSyntax = params.get('syntax');
+  if (params.has('ci')) state.caseInsensitive = params.get('ci') === '1';
+  state.maxErrors = readCount(params, 'k');
+  if (has(UNICODE_UNITS, params.get('unit'))) state.unicodeUnit = params.get('unit');
+  if (has(NORMALIZATIONS, params.get('norm'))) state.normalization = params.get('norm');
+  state.hashing = readHashing(params.get('hash'));
+  state.step = readCount(params, 'step');
+  if (/^(pattern_\d+|merged)$/.test(params.get('trace') ?? '')) state.trace = params.get('trace');
+
+  if (isAlgorithm(params.get('left')) && isAlgorithm(params.get('right'))) {
+    state.compare = {
+      left: params.get('left'),
+      right: params.get('right'),
+      alignBy: params.get('align') === 'step' ? 'step' : 'position',
+      frame: readCount(params, 'frame') ?? 0
+    };
+  }
+
+  return Object.fromEntries(Object.entries(state).filter(([, value]) => value !== undefined));
+};
+
+export const experimentPath = (view, algorithm) => (view === 'compare' ? '/compare' : `/algorithm/${algorithm}`);
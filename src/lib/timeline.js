@@ -0,0 +1,91 @@
+// The integers from, from + 1, ..., to - 1; shared by the alignment and frame views
+export const range = (from, to) => Array.from({ length: Math.max(to - from, 0) }, (_, i) => from + i);
+
+// Map a trace step to where the pattern sits under the text and which cells are known.
+// Returns null for steps that have no text alignment (e.g. pattern-only preprocessing).
+export const alignStep = (algorithm, step, patternLength) => {
+  if (!step || step.position === undefined || step.phase === 'preprocessing') return null;
+
+  const m = patternLength;
+  // A regex match has no fixed window; only a found match lines up, as its own span
+  if (algorithm === 'thompson-nfa') {
+    if (step.type !== 'found') return null;
+    const span = step.end - step.position;
+    return { offset: step.position, matched: range(0, span), compared: null, span };
+  }
+  if (step.type === 'found') {
+    return { offset: step.position, matched: range(0, m), compared: null };
+  }
+
+  switch (algorithm) {
+    case 'kmp': {
+      // Left to right: pattern[0..j) already matches text ending before position
+      if (step.patternIndex === undefined) return null;
+      const j = step.patternIndex;
+      return {
+        offset: step.position - j,
+        matched: range(0, j),
+        compared: { index: j, result: step.type === 'match' ? 'match' : 'mismatch' }
+      };
+    }
+    case 'boyer-moore':
+    case 'horspool': {
+      // Right to left: pattern(j..m) already matches inside the window
+      if (step.patternIndex === undefined) {
+        return { offset: step.position, matched: [], compared: null };
+      }
+      const j = step.patternIndex;
+      return {
+        offset: step.position,
+        matched: range(j + 1, m),
+        compared: { index: j, result: step.type === 'match' ? 'match' : 'mismatch' }
+      };
+    }
+    case 'z-algorithm': {
+      // Positions index pattern$text; the text starts m + 1 characters in
+      const offset = step.position - m - 1;
+      const known = step.zValue ?? 0;
+      return {
+        offset,
+        matched: range(0, step.type === 'extend' ? known - 1 : known),
+        compared: step.type === 'extend' ? { index: known - 1, result: 'match' } : null
+      };
+    }
+    case 'bitap':
+    case 'sellers':
+      // Steps are reported at the window's last text character
+      return { offset: step.position - m + 1, matched: [], compared: null };
+    case 'aho-corasick':
+    case 'suffix-array':
+      return null;
+    default:
+      // Plugins report the window offset as position and the compared cell as patternIndex
+      return {
+        offset: step.position,
+        matched: [],
+        compared: step.patternIndex === undefined || !['match', 'mismatch'].includes(step.type)
+          ? null
+          : { index: step.patternIndex, result: step.type }
+      };
+  }
+};
+
+// Interleave every pattern's trace into one timeline ordered by text position.
+// Each step is keyed by the running maximum of its window offset so that a trace
+// never reorders against itself; preprocessing stays in front.
+export const buildMergedTimeline = (allResults) => {
+  const entries = [];
+  Object.entries(allResults).forEach(([patternKey, result], patternOrder) => {
+    let sortKey = -Infinity;
+    result.detailedSteps?.forEach((step, sourceIndex) => {
+      if (step.phase !== 'preprocessing') {
+        const alignment = alignStep(result.algorithm, step, (result.unicode?.patternUnits ?? result.pattern).length);
+        sortKey = Math.max(sortKey, alignment ? alignment.offset : step.position ?? sortKey);
+      }
+      entries.push({ step, patternKey, sourceIndex, patternOrder, sortKey });
+    });
+  });
+  
+  entries.sort((a, b) => a.sortKey - b.sortKey || a.patternOrder - b.patternOrder || a.sourceIndex - b.sourceIndex);
+  return entries.map(({ step, patternKey, sourceIndex }) => ({ ...step, patternKey, sourceIndex }));
+};
@@ -0,0 +1,106 @@
+// The step-trace schema. Every matcher returns `detailedSteps`, an array of steps; this
+// module is the single description of what a step may contain. Bump
+// TRACE_SCHEMA_VERSION whenever a step type or field is added, renamed or changes meaning.
+//
+// Field kinds: 'number', 'string', 'key' (number or string, e.g. a table index that is
+// a character), 'number[]', 'string[]', 'vars' (name → number or string) and 'entry'
+// ({ table, key, value }). A trailing '?' marks an optional field.
+//
+// Version 2: built-in matchers no longer store `description`; describe.js writes it
+// when a step is shown. Version 1 steps still carry it and are shown as recorded.
+export const TRACE_SCHEMA_VERSION = 2;
+
+// Fields every step may carry, whatever its type
+export const COMMON_FIELDS = {
+  type: 'string',
+  // Human-readable account of the step, when the recorder wrote one (plugins)
+  description: 'string?',
+  // Running character-comparison count when the step was recorded
+  comparisons: 'number',
+  // 'preprocessing' for table and index construction; absent means search
+  phase: 'string?',
+  // Pseudocode line that produced the step (see pseudocode.js)
+  line: 'string?',
+  // The algorithm's variables at that point, e.g. i, j, l, r, hashes
+  vars: 'vars?'
+};
+
+// Type-specific fields. `position` is the text index the step concerns: the window start
+// for windowed matchers, the character read for streaming ones, the match start for 'found'.
+export const STEP_TYPES = {
+  // Preprocessing tables (KMP failure, Rabin-Karp h and prefix hashes, Z, bad-character,
+  // good-suffix and Horspool shift); `index` is a position or a character
+  'table-fill': { table: 'string', index: 'key', value: 'key', position: 'number?' },
+  'table-fallback': { table: 'string', index: 'key', value: 'key' },
+  // Character comparisons; patternIndex is the pattern position compared
+  'match': { position: 'number', patternIndex: 'number' },
+  'mismatch': { position: 'number', patternIndex: 'number?', shift: 'number?', state: 'number?' },
+  // Window moves; tableEntry is the table cell the shift came from
+  'shift': { position: 'number', shift: 'number', rule: 'string', tableEntry: 'entry', patternIndex: 'number?' },
+  'hash-compare': { position: 'number', textHash: 'key', patternHash: 'key' },
+  'spurious': { position: 'number' },
+  // Z-algorithm over pattern$text; position indexes that string
+  'z-box': { position: 'number', zValue: 'number' },
+  'extend': { position: 'number', zValue: 'number' },
+  'update-box': { position: 'number', left: 'number', right: 'number' },
+  // Aho-Corasick automaton moves; state is the state after the move
+  'goto': { position: 'number', state: 'number' },
+  'fail': { position: 'number', state: 'number' },
+  // Bitap R vectors as bit strings, R0 first
+  'bit-vectors': { position: 'number', vectors: 'string[]' },
+  // Sellers DP column C[0..m]
+  'dp-column': { position: 'number', column: 'number[]' },
+  // Suffix array construction and binary search over ranks [low, high)
+  'index-round': {},
+  'index-reuse': {},
+  'sa-probe': { position: 'number', patternIndex: 'number', low: 'number', high: 'number', mid: 'number' },
+  'sa-range': { position: 'number', patternIndex: 'number', low: 'number', high: 'number' },
+  // Thompson NFA; activeStates are state ids in ascending order
+  'nfa-build': {},
+  'nfa-step': { position: 'number', activeStates: 'number[]' },
+  // A reported match. end is exclusive and present for variable-length matches;
+  // errors for approximate ones; state, outputState and patternIndex for multi-pattern ones
+  'found': {
+    position: 'number',
+    end: 'number?',
+    errors: 'number?',
+    state: 'number?',
+    outputState: 'number?',
+    patternIndex: 'number?',
+    activeStates: 'number[]?'
+  }
+};
+
+const isKey = (value) => typeof value === 'number' || typeof value === 'string';
+
+const FIELD_CHECKS = {
+  'number': (value) => typeof value === 'number',
+  'string': (value) => typeof value === 'string',
+  'key': isKey,
+  'number[]': (value) => Array.isArray(value) && value.every(item => typeof item === 'number'),
+  'string[]': (value) => Array.isArray(value) && value.every(item => typeof item === 'string'),
+  'vars': (value) => value !== null && typeof value === 'object' && Object.values(value).every(isKey),
+  'entry': (value) => value !== null && typeof value === 'object' && typeof value.table === 'string' && isKey(value.key) && isKey(value.value)
+};
+
+// Returns a list of problems with one step; empty when it fits the schema
+export const validateStep = (step) => {
+  const fields = STEP_TYPES[step?.type];
+  if (!fields) return [`unknown step type ${JSON.stringify(step?.type)}`];
+
+  const spec = { ...COMMON_FIELDS, ...fields };
+  const problems = [];
+  Object.entries(spec).forEach(([name, kind]) => {
+    const optional = kind.endsWith('?');
+    const check = FIELD_CHECKS[optional ? kind.slice(0, -1) : kind];
+    if (step[name] === undefined) {
+      if (!optional) problems.push(`${step.type}: missing ${name}`);
+    } else if (!check(step[name])) {
+      problems.push(`${step.type}: ${name} is not a ${kind.replace('?', '')}`);
+    }
+  });
+  Object.keys(step).forEach(name => {
+    if (!(name in spec)) problems.push(`${step.type}: unexpected field ${name}`);
+  });
+  return problems;
+};
@@ -0,0 +1,125 @@
+import { escapedIndices } from './regex.js';
+
+// Unicode mode: text and patterns are cut into code points or grapheme clusters,
+// optionally normalized and case folded, and each unit is encoded as one UTF-16 code
+// unit so every matcher runs unchanged. Match offsets are then mapped back to the
+// original text.
+
+export const UNICODE_UNITS = {
+  'code-point': 'Code points',
+  grapheme: 'Grapheme clusters'
+};
+
+export const NORMALIZATIONS = {
+  none: 'No normalization',
+  NFC: 'NFC',
+  NFKC: 'NFKC'
+};
+
+// Units that need more than one code unit are given private-use characters
+const PRIVATE_USE_START = 0xE000;
+const PRIVATE_USE_END = 0xF8FF;
+
+const graphemeSegmenter = () => new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// [{ segment, index }] for each code point or grapheme cluster of str
+const segmentsOf = (str, unit) => {
+  if (unit === 'grapheme') {
+    return Array.from(graphemeSegmenter().segment(str), ({ segment, index }) => ({ segment, index }));
+  }
+  const segments = [];
+  let index = 0;
+  for (const segment of str) {
+    segments.push({ segment, index });
+    index += segment.length;
+  }
+  return segments;
+};
+
+// Full case folding: upper-casing first turns ß into SS and ﬁ into FI before lowering,
+// and İ lowers to i + combining dot as in CaseFolding.txt
+const caseFold = (str) => str.toUpperCase().toLowerCase();
+
+const transform = (str, { normalization, caseInsensitive }) => {
+  let result = normalization === 'none' ? str : str.normalize(normalization);
+  if (caseInsensitive) {
+    result = caseFold(result);
+    // Folding can leave the string unnormalized, e.g. İ → i + combining dot
+    if (normalization !== 'none') result = result.normalize(normalization);
+  }
+  return result;
+};
+
+// Cut str into units. Normalization and folding apply per grapheme cluster (they never
+// cross one), so every resulting unit maps back to a [start, end) span of str. Clusters
+// starting at an index in keepCase are not folded.
+const toUnits = (str, { unit, normalization, caseInsensitive }, keepCase = new Set()) => {
+  const transforming = normalization !== 'none' || caseInsensitive;
+  const sources = segmentsOf(str, transforming ? 'grapheme' : unit);
+
+  const units = [];
+  sources.forEach(({ segment, index }) => {
+    const end = index + segment.length;
+    const transformed = transforming
+      ? transform(segment, { normalization, caseInsensitive: caseInsensitive && !keepCase.has(index) })
+      : segment;
+    segmentsOf(transformed, unit).forEach(({ segment: value }) => {
+      units.push({ value, start: index, end });
+    });
+  });
+  return units;
+};
+
+// Encode text and patterns over one shared alphabet. Returns encoded strings plus what
+// is needed to map positions back (textUnits) and to show units in traces (decodeChar).
+// Escaped characters of wildcard and regex patterns keep their case.
+export const encodeUnicode = (
+  text, patterns, { unit = 'code-point', normalization = 'none' } = {}, caseInsensitive = false, patternSyntax = 'literal'
+) => {
+  const settings = { unit, normalization, caseInsensitive };
+  const textUnits = toUnits(text, settings);
+  const patternUnits = patterns.map(pattern => toUnits(pattern, settings, escapedIndices(pattern, patternSyntax)));
+
+  // Single code units stand for themselves; longer units get private-use characters
+  // that do not already occur on their own
+  const taken = new Set();
+  [textUnits, ...patternUnits].forEach(units => units.forEach(({ value }) => {
+    if (value.length === 1) taken.add(value);
+  }));
+
+  const codes = new Map();
+  const decoded = new Map();
+  let next = PRIVATE_USE_START;
+  const encodeUnit = (value) => {
+    if (value.length === 1) return value;
+    if (!codes.has(value)) {
+      while (next <= PRIVATE_USE_END && taken.has(String.fromCharCode(next))) next++;
+      if (next > PRIVATE_USE_END) throw new Error('Too many distinct multi-code-unit characters for Unicode mode');
+      const code = String.fromCharCode(next++);
+      codes.set(value, code);
+      decoded.set(code, value);
+    }
+    return codes.get(value);
+  };
+
+  return {
+    text: textUnits.map(({ value }) => encodeUnit(value)).join(''),
+    patterns: patternUnits.map(units => units.map(({ value }) => encodeUnit(value)).join('')),
+    textUnits,
+    patternUnits: patternUnits.map(units => units.map(({ value }) => value)),
+    decodeChar: (char) => decoded.get(char) ?? char,
+    hasEncodedUnits: decoded.size > 0
+  };
+};
+
+// Replace private-use stand-ins in a trace string with the units they encode
+export const decodeString = (encoded, str) => {
+  if (!encoded.hasEncodedUnits || typeof str !== 'string') return str;
+  return str.replace(/[\uE000-\uF8FF]/g, encoded.decodeChar);
+};
+
+// Original [position, end) of the units [from, to); an empty span sits before unit `from`
+export const originalSpan = (textUnits, from, to) => {
+  const position = from < textUnits.length ? textUnits[from].start : textUnits[textUnits.length - 1]?.end ?? 0;
+  return { position, end: to > from ? textUnits[to - 1].end : position };
+};
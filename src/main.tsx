@@ -1,5 +1,9 @@
 import { createRoot } from 'react-dom/client'
+import { registerPlugins, loadStoredPlugins } from './lib/plugins'
 import App from './App.tsx'
 import './index.css'
 
+// Installed plugins join the algorithm registry before any page reads it
+registerPlugins(loadStoredPlugins());
+
 createRoot(document.getElementById("root")!).render(<App />);
@@ -0,0 +1,13 @@
+import { useParams } from 'react-router-dom';
+import StringMatcher from '@/components/StringMatcher';
+import { algorithms } from '@/lib/engine';
+import NotFound from './NotFound';
+
+const AlgorithmPage = () => {
+  const { id } = useParams();
+  if (!algorithms[id]) return <NotFound />;
+  // Keyed so following a link to another algorithm reloads its experiment
+  return <StringMatcher key={id} view="algorithm" algorithmId={id} />;
+};
+
+export default AlgorithmPage;
@@ -0,0 +1,7 @@
+import StringMatcher from '@/components/StringMatcher';
+
+const ComparePage = () => {
+  return <StringMatcher view="compare" />;
+};
+
+export default ComparePage;
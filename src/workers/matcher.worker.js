@@ -0,0 +1,31 @@
+import { runSearch } from '../lib/engine.js';
+import { runBenchmark } from '../lib/benchmark.js';
+import { searchCorpus } from '../lib/corpus.js';
+import { generateInput } from '../lib/generators.js';
+import { registerPlugins, validatePlugin } from '../lib/plugins.js';
+
+const handlers = {
+  search: runSearch,
+  benchmark: runBenchmark,
+  corpus: searchCorpus,
+  // Collision search can hash millions of windows, so generation runs here too
+  generate: async ({ settings, hashing }) => generateInput(settings, hashing),
+  'validate-plugin': async ({ source }) => validatePlugin(source)
+};
+
+// Messages: { id, type: 'search' | 'benchmark' | 'corpus' | 'generate' | 'validate-plugin', payload,
+// plugins }, where plugins are the user's installed plugins, registered before every job.
+// They are only sent to a worker created for a job that runs them (use-matcher-worker.ts).
+// Replies: progress updates, then exactly one 'result' or 'error'.
+self.onmessage = async ({ data }) => {
+  const { id, type, payload, plugins = [] } = data;
+  const onProgress = (progress) => self.postMessage({ id, type: 'progress', progress });
+
+  try {
+    registerPlugins(plugins, { compile: true });
+    const results = await handlers[type](payload, onProgress);
+    self.postMessage({ id, type: 'result', results });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};